@@ -40,11 +40,18 @@ except Exception as e:
     print(f"❌ MongoDB connection error: {e}")
 
 # Helper function to validate ObjectId
-def validate_object_id(id_str: str):
+def validate_object_id(id_str: str, label: str = "user"):
     try:
         return ObjectId(id_str)
     except Exception:
-        raise HTTPException(status_code=400, detail="Invalid user ID format")
+        raise HTTPException(status_code=400, detail=f"Invalid {label} ID format")
+
+# Helper function to scope task queries to a project or the user's personal tasks,
+# leaving out tasks in the trash
+def task_scope(user_object_id: ObjectId, project_id: Optional[str] = None):
+    if project_id:
+        return {"project": validate_object_id(project_id, "project"), "deletedAt": None}
+    return {"user": user_object_id, "project": None, "deletedAt": None}
 
 @app.get("/")
 def read_root():
@@ -55,9 +62,9 @@ def read_root():
     }
 
 @app.get("/api/analytics/user-stats/{user_id}")
-async def get_user_statistics(user_id: str):
+async def get_user_statistics(user_id: str, project_id: Optional[str] = None):
     """
-    Get aggregate statistics for a user
+    Get aggregate statistics for a user's personal tasks, or for a project
     - Total task count
     - Completed vs pending tasks
     - Task distribution by priority
@@ -66,8 +73,8 @@ async def get_user_statistics(user_id: str):
     try:
         user_object_id = validate_object_id(user_id)
         
-        # Get all tasks for user
-        tasks = list(db.tasks.find({"user": user_object_id}))
+        # Get all tasks for user (or project)
+        tasks = list(db.tasks.find(task_scope(user_object_id, project_id)))
         
         if not tasks:
             return {
@@ -133,7 +140,8 @@ async def get_user_statistics(user_id: str):
 @app.get("/api/analytics/productivity/{user_id}")
 async def get_productivity_analysis(
     user_id: str,
-    days: Optional[int] = 30
+    days: Optional[int] = 30,
+    project_id: Optional[str] = None
 ):
     """
     Get productivity analysis and task completion trends
@@ -148,25 +156,50 @@ async def get_productivity_analysis(
         start_date = end_date - timedelta(days=days)
         
         # Get tasks within date range
+        scope = task_scope(user_object_id, project_id)
         tasks = list(db.tasks.find({
-            "user": user_object_id,
+            **scope,
             "createdAt": {"$gte": start_date, "$lte": end_date}
         }))
         
-        # Get completed tasks in the period
-        completed_tasks = [task for task in tasks if task.get('status') == 'Completed']
+        # Get tasks completed in the period, using the last status change to
+        # Completed from the audit history
+        completed_tasks = list(db.tasks.find({**scope, "status": "Completed"}))
+        completed_at = {
+            entry["_id"]: entry["completedAt"]
+            for entry in db.taskhistories.aggregate([
+                {"$match": {
+                    "task": {"$in": [task["_id"] for task in completed_tasks]},
+                    "changes": {"$elemMatch": {"field": "status", "to": "Completed"}}
+                }},
+                {"$group": {"_id": "$task", "completedAt": {"$max": "$createdAt"}}}
+            ])
+        }
+        
+        # Tasks without history predate it; fall back to their creation date
+        completions = []
+        for task in completed_tasks:
+            completed_date = completed_at.get(task["_id"], task.get("createdAt"))
+            if completed_date and start_date <= completed_date <= end_date:
+                completions.append((task, completed_date))
         
         # Calculate daily completion data
         daily_completions = {}
-        for task in completed_tasks:
-            created_date = task.get('createdAt')
-            if created_date:
-                date_key = created_date.strftime('%Y-%m-%d')
-                daily_completions[date_key] = daily_completions.get(date_key, 0) + 1
+        for task, completed_date in completions:
+            date_key = completed_date.strftime('%Y-%m-%d')
+            daily_completions[date_key] = daily_completions.get(date_key, 0) + 1
+        
+        # Average time from creation to completion
+        durations = [
+            (completed_date - task["createdAt"]).total_seconds() / 3600
+            for task, completed_date in completions
+            if task.get("createdAt")
+        ]
+        avg_completion_hours = round(sum(durations) / len(durations), 2) if durations else 0
         
         # Calculate trends
         total_created = len(tasks)
-        total_completed = len(completed_tasks)
+        total_completed = len(completions)
         
         # Average tasks per day
         avg_tasks_per_day = round(total_created / days, 2) if days > 0 else 0
@@ -189,11 +222,12 @@ async def get_productivity_analysis(
             "overdue_tasks": overdue_tasks,
             "avg_tasks_per_day": avg_tasks_per_day,
             "avg_completions_per_day": avg_completions_per_day,
+            "avg_completion_hours": avg_completion_hours,
             "daily_completion_trend": [
                 {"date": date, "count": count} 
                 for date, count in sorted(daily_completions.items())
             ],
-            "productivity_score": round((total_completed / total_created * 100), 2) if total_created > 0 else 0
+            "productivity_score": min(round((total_completed / total_created * 100), 2), 100) if total_created > 0 else 0
         }
         
     except HTTPException:
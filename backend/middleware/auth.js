@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 
 const auth = async (req, res, next) => {
     try {
@@ -16,6 +17,19 @@ const auth = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Reject tokens whose session was logged out or revoked
+        const sessionActive = decoded.sid && await RefreshToken.exists({
+            family: decoded.sid,
+            revokedAt: null
+        });
+
+        if (!sessionActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Token has been revoked'
+            });
+        }
+
         // Get user from token
         const user = await User.findById(decoded.id).select('-password');
 
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a key's response is kept for replay
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+
+// How long a request holds its key while it runs. A key still unanswered
+// after this (the server died mid-request) can be used again.
+const LEASE_SECONDS = 60;
+
+// Longest key accepted; clients normally send a UUID
+const MAX_KEY_LENGTH = 255;
+
+// Requests that change something; reads never need a key
+const METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Response headers stored with the body and sent again on replay; clients
+// keep the ETag for their next edit
+const REPLAYED_HEADERS = ['ETag', 'Location'];
+
+// Fingerprint of the request body, so a key can't be reused for a different
+// payload
+const hashBody = (body) => crypto
+    .createHash('sha256')
+    .update(JSON.stringify(body ?? null))
+    .digest('hex');
+
+const storedHeaders = (res) => Object.fromEntries(REPLAYED_HEADERS
+    .filter((name) => res.get(name) !== undefined)
+    .map((name) => [name, res.get(name)]));
+
+const leaseEnd = () => new Date(Date.now() + LEASE_SECONDS * 1000);
+
+const inProgress = (res) => res.status(409).json({
+    success: false,
+    message: 'A request with this Idempotency-Key is still in progress'
+});
+
+// Honour an `Idempotency-Key` header: the first request with a key runs and
+// its response is stored; repeats with the same key get that response again
+// (with `Idempotent-Replayed: true`) instead of running twice. Runs after auth,
+// as keys are per user. Server errors aren't stored, so those can be retried.
+const idempotent = async (req, res, next) => {
+    const key = req.header('Idempotency-Key');
+    if (!key || !METHODS.includes(req.method)) {
+        return next();
+    }
+    // Uploads are only parsed by their route, after this runs, so there is no
+    // body yet to tell a different file by
+    if (req.is('multipart/form-data')) {
+        return res.status(400).json({
+            success: false,
+            message: 'Idempotency-Key is not supported on file uploads'
+        });
+    }
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            message: `Idempotency-Key cannot exceed ${MAX_KEY_LENGTH} characters`
+        });
+    }
+
+    const requestHash = hashBody(req.body);
+    let record;
+    try {
+        const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+        if (existing) {
+            if (existing.method !== req.method
+                || existing.path !== req.originalUrl
+                || existing.requestHash !== requestHash) {
+                return res.status(422).json({
+                    success: false,
+                    message: 'This Idempotency-Key was already used for a different request'
+                });
+            }
+            if (existing.status !== null) {
+                return res.status(existing.status)
+                    .set({ ...existing.headers, 'Idempotent-Replayed': 'true' })
+                    .json(existing.body);
+            }
+
+            // Take over a lease that ran out; only one retry can win it
+            record = await IdempotencyKey.findOneAndUpdate(
+                { _id: existing._id, status: null, lockedUntil: { $not: { $gte: new Date() } } },
+                { lockedUntil: leaseEnd() },
+                { new: true }
+            );
+            if (!record) {
+                return inProgress(res);
+            }
+        } else {
+            record = await IdempotencyKey.create({
+                user: req.user._id,
+                key,
+                method: req.method,
+                path: req.originalUrl,
+                requestHash,
+                lockedUntil: leaseEnd(),
+                expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+            });
+        }
+    } catch (error) {
+        // Another request with the same key got in first
+        if (error.code === 11000) {
+            return inProgress(res);
+        }
+        console.error('Idempotency key error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to process request',
+            error: error.message
+        });
+    }
+
+    // Store the response before sending it, so a retry arriving straight
+    // after always finds it
+    const send = res.json.bind(res);
+    res.json = (body) => {
+        const stored = res.statusCode < 500
+            ? IdempotencyKey.updateOne(
+                { _id: record._id },
+                {
+                    status: res.statusCode,
+                    headers: storedHeaders(res),
+                    body: JSON.parse(JSON.stringify(body))
+                }
+            )
+            : IdempotencyKey.deleteOne({ _id: record._id });
+
+        stored
+            .catch((error) => {
+                console.error('Idempotency key error:', error);
+                // Free the key so a retry runs again instead of waiting out
+                // the lease
+                return IdempotencyKey.deleteOne({ _id: record._id }).catch(() => {});
+            })
+            .then(() => send(body));
+        return res;
+    };
+    next();
+};
+
+module.exports = idempotent;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+    uploader: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Original file name, shown and used for downloads
+    filename: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [255, 'File name cannot exceed 255 characters']
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    // Size in bytes
+    size: {
+        type: Number,
+        required: true
+    },
+    // Where the storage driver keeps the file; never sent to clients
+    key: {
+        type: String,
+        required: true,
+        select: false
+    }
+}, {
+    timestamps: true
+});
+
+// Index for listing a task's attachments in upload order
+attachmentSchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Mentions are written in the body as @[Name](userId)
+const MENTION_PATTERN = /@\[[^\]]+\]\(([0-9a-fA-F]{24})\)/g;
+
+const commentSchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Markdown source
+    body: {
+        type: String,
+        required: [true, 'Comment body is required'],
+        trim: true,
+        maxlength: [5000, 'Comment cannot exceed 5000 characters']
+    },
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    editedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Index for loading a task's thread in order
+commentSchema.index({ task: 1, createdAt: 1 });
+
+// User IDs mentioned in a comment body, deduplicated
+commentSchema.statics.extractMentions = (body) => {
+    const ids = [...body.matchAll(MENTION_PATTERN)].map((match) => match[1]);
+    return [...new Set(ids)];
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
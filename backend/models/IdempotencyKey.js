@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Response kept for a client-chosen Idempotency-Key, so a repeated request
+// gets the original response instead of being applied again
+const idempotencyKeySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    path: {
+        type: String,
+        required: true
+    },
+    // SHA-256 of the request body, to spot a key reused for other data
+    requestHash: {
+        type: String,
+        required: true
+    },
+    // Null while the original request is still being handled
+    status: {
+        type: Number,
+        default: null
+    },
+    // While `status` is null: until when the request running under the key
+    // holds it; after that a retry may take over
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    // Response headers sent again on replay, such as the task's ETag
+    headers: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    body: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// Let MongoDB drop keys once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
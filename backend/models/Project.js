@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+// Higher rank includes every permission of the ranks below it
+const ROLE_RANK = {
+    viewer: 1,
+    editor: 2,
+    owner: 3
+};
+
+const memberSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: {
+            values: ROLES,
+            message: '{VALUE} is not a valid role'
+        },
+        default: 'viewer'
+    }
+}, {
+    _id: false
+});
+
+const projectSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Project name is required'],
+        trim: true,
+        minlength: [2, 'Name must be at least 2 characters'],
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    members: [memberSchema]
+}, {
+    timestamps: true
+});
+
+// Index for listing a user's projects
+projectSchema.index({ 'members.user': 1 });
+
+// Role of a user in this project, or null if not a member
+projectSchema.methods.roleOf = function (userId) {
+    const member = this.members.find((m) => (m.user._id || m.user).equals(userId));
+    return member ? member.role : null;
+};
+
+projectSchema.statics.ROLES = ROLES;
+
+// Whether `role` grants at least the permissions of `required`
+projectSchema.statics.hasRole = (role, required) => {
+    return !!role && ROLE_RANK[role] >= ROLE_RANK[required];
+};
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // SHA-256 of the token; the raw value is only ever sent to the client
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Session id shared by every token issued through rotation from one login
+    family: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+// Let MongoDB drop tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const SORT_FIELDS = ['relevance', 'createdAt', 'dueDate', 'priority', 'title'];
+const LAYOUTS = ['list', 'board'];
+
+// A named combination of task list filters, sort and layout
+const savedViewSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'View name is required'],
+        trim: true,
+        maxlength: [50, 'Name cannot exceed 50 characters']
+    },
+    // Project whose tasks the view lists; null for personal tasks
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        default: null
+    },
+    filters: {
+        // Filter query typed into the search box
+        q: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Query cannot exceed 500 characters'],
+            default: ''
+        },
+        status: {
+            type: String,
+            enum: {
+                values: ['', 'Todo', 'In Progress', 'Completed'],
+                message: '{VALUE} is not a valid status'
+            },
+            default: ''
+        },
+        priority: {
+            type: String,
+            enum: {
+                values: ['', 'Low', 'Medium', 'High'],
+                message: '{VALUE} is not a valid priority'
+            },
+            default: ''
+        },
+        people: {
+            type: String,
+            enum: {
+                values: ['', 'assigned', 'created'],
+                message: '{VALUE} is not a valid people filter'
+            },
+            default: ''
+        }
+    },
+    sort: {
+        sortBy: {
+            type: String,
+            enum: {
+                values: SORT_FIELDS,
+                message: '{VALUE} is not a valid sort field'
+            },
+            default: 'createdAt'
+        },
+        order: {
+            type: String,
+            enum: {
+                values: ['asc', 'desc'],
+                message: '{VALUE} is not a valid sort order'
+            },
+            default: 'desc'
+        }
+    },
+    layout: {
+        type: String,
+        enum: {
+            values: LAYOUTS,
+            message: '{VALUE} is not a valid layout'
+        },
+        default: 'list'
+    }
+}, {
+    timestamps: true
+});
+
+// View names are unique per user and scope
+savedViewSchema.index({ user: 1, project: 1, name: 1 }, { unique: true });
+
+savedViewSchema.statics.SORT_FIELDS = SORT_FIELDS;
+savedViewSchema.statics.LAYOUTS = LAYOUTS;
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Compare tag names case-insensitively
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const tagSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Tag name is required'],
+        trim: true,
+        maxlength: [30, 'Tag name cannot exceed 30 characters']
+    },
+    color: {
+        type: String,
+        match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color like #1976d2'],
+        default: '#757575'
+    },
+    // Owner of a personal tag; null for project tags
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Project a tag belongs to; null for personal tags
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Tag names are unique within their scope, ignoring case
+tagSchema.index({ user: 1, project: 1, name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+tagSchema.statics.NAME_COLLATION = NAME_COLLATION;
+
+// Filter for the tags usable on a task in the given scope
+tagSchema.statics.scopeFilter = ({ project, user }) => (project
+    ? { project, user: null }
+    : { project: null, user });
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -1,4 +1,60 @@
 const mongoose = require('mongoose');
+const { nextOccurrence } = require('../utils/recurrence');
+
+const checklistItemSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Checklist item title is required'],
+        trim: true,
+        maxlength: [200, 'Checklist item cannot exceed 200 characters']
+    },
+    done: {
+        type: Boolean,
+        default: false
+    },
+    order: {
+        type: Number,
+        default: 0
+    }
+});
+
+const recurrenceSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: {
+            values: ['daily', 'weekly', 'monthly'],
+            message: '{VALUE} is not a valid frequency'
+        },
+        required: true
+    },
+    // Repeat every N days/weeks/months
+    interval: {
+        type: Number,
+        min: 1,
+        max: 365,
+        default: 1
+    },
+    // Weekly: days of week, 0 = Sunday
+    byWeekday: [{
+        type: Number,
+        min: 0,
+        max: 6
+    }],
+    // Monthly: day of month, clamped in shorter months
+    byMonthDay: {
+        type: Number,
+        min: 1,
+        max: 31
+    },
+    until: Date,
+    // Total number of occurrences in the series
+    count: {
+        type: Number,
+        min: 1
+    }
+}, {
+    _id: false
+});
 
 const taskSchema = new mongoose.Schema({
     title: {
@@ -37,14 +93,225 @@ const taskSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
+    },
+    // Shared workspace; personal tasks have no project
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        default: null
+    },
+    assignee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    watchers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Tags from the task's scope: the owner's personal tags or the project's
+    tags: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tag'
+    }],
+    // Tasks that must be completed before this one can start, from the same
+    // project (or, for personal tasks, other personal tasks)
+    blockedBy: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task'
+    }],
+    // Kept in step with the task's Attachment documents for list views
+    attachmentCount: {
+        type: Number,
+        default: 0
+    },
+    checklist: [checklistItemSchema],
+    // Mark the task Completed once every checklist item is done
+    autoComplete: {
+        type: Boolean,
+        default: false
+    },
+    recurrence: {
+        type: recurrenceSchema,
+        default: null
+    },
+    // Position of this task within its recurring series, starting at 1
+    occurrence: {
+        type: Number,
+        default: 1
+    },
+    // First task of the recurring series
+    seriesId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        default: null
+    },
+    // Set once the following occurrence has been generated
+    nextInstance: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        default: null
+    },
+    // Rank within its status column on the board; lower comes first. New
+    // tasks are placed after the last task in their column when first saved.
+    position: {
+        type: Number,
+        default: null
+    },
+    // Set when the task is moved to the trash; purged after the retention period
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // Bumped whenever the task's own fields change, so stale edits can be
+    // detected (If-Match); attachmentCount and position don't count
+    version: {
+        type: Number,
+        default: 0
     }
 }, {
     timestamps: true
 });
 
+// Gap left between neighbouring tasks on the board
+const POSITION_STEP = 1024;
+
+// Changes that leave `version` alone: reordering the board or counting
+// attachments doesn't touch anything an open edit form could overwrite
+const UNVERSIONED_PATHS = ['position', 'attachmentCount', 'updatedAt'];
+
+// Keep checklist in display order and apply auto-completion. A task with
+// open blockers can't be completed, so it stays as it is until they're done.
+taskSchema.pre('save', async function () {
+    if (this.isModified('checklist')) {
+        this.checklist.sort((a, b) => a.order - b.order);
+    }
+
+    const allDone = this.checklist.length > 0 && this.checklist.every((item) => item.done);
+    const checklistChanged = this.isModified('checklist') || this.isModified('autoComplete');
+    if (this.autoComplete && checklistChanged && allDone && this.status !== 'Completed') {
+        const blocked = this.blockedBy.length > 0 && (await this.findOpenBlockers()).length > 0;
+        if (!blocked) {
+            this.status = 'Completed';
+        }
+    }
+
+    if (!this.isNew && this.modifiedPaths().some((path) => !UNVERSIONED_PATHS.includes(path))) {
+        this.$inc('version', 1);
+    }
+});
+
+// New tasks go to the end of their board column
+taskSchema.pre('save', async function () {
+    if (this.isNew && this.position === null) {
+        const last = await this.constructor.findOne(this.columnFilter())
+            .sort({ position: -1 })
+            .select('position')
+            .lean();
+        this.position = (last?.position || 0) + POSITION_STEP;
+    }
+});
+
+// Blockers of this task that are not yet completed; trashed blockers don't count
+taskSchema.methods.findOpenBlockers = function () {
+    return this.constructor.find({
+        _id: { $in: this.blockedBy },
+        status: { $ne: 'Completed' },
+        deletedAt: null
+    }).select('title status');
+};
+
+// Other tasks in this task's board column: same project (or owner's personal
+// tasks), same status, not in the trash
+taskSchema.methods.columnFilter = function (status = this.status) {
+    return {
+        ...(this.project ? { project: this.project } : { user: this.user, project: null }),
+        status,
+        deletedAt: null,
+        _id: { $ne: this._id }
+    };
+};
+
+// Create the next occurrence of a completed recurring task. Returns the new
+// task, or null if the series has ended or the occurrence already exists.
+taskSchema.methods.spawnNextOccurrence = async function () {
+    if (!this.recurrence || this.status !== 'Completed' || this.nextInstance) {
+        return null;
+    }
+
+    const dueDate = nextOccurrence(this.recurrence, this.dueDate, this.occurrence);
+    if (!dueDate) {
+        return null;
+    }
+
+    const Task = this.constructor;
+    const next = new Task({
+        title: this.title,
+        description: this.description,
+        priority: this.priority,
+        status: 'Todo',
+        dueDate,
+        user: this.user,
+        project: this.project,
+        assignee: this.assignee,
+        watchers: this.watchers,
+        tags: this.tags,
+        checklist: this.checklist.map(({ title, order }) => ({ title, order, done: false })),
+        autoComplete: this.autoComplete,
+        recurrence: this.recurrence.toObject(),
+        occurrence: this.occurrence + 1,
+        seriesId: this.seriesId || this._id
+    });
+
+    // Claim the slot atomically so concurrent completions spawn only one task
+    const claimed = await Task.updateOne(
+        { _id: this._id, nextInstance: null },
+        { nextInstance: next._id }
+    );
+    if (claimed.modifiedCount === 0) {
+        return null;
+    }
+
+    this.nextInstance = next._id;
+    await next.save();
+    return next;
+};
+
+// Populate the people, tags and blockers on a task document or query for API
+// responses. Blockers in the trash are left out.
+taskSchema.statics.populateRefs = function (target) {
+    return target.populate([
+        { path: 'assignee', select: 'name email' },
+        { path: 'watchers', select: 'name email' },
+        { path: 'tags', select: 'name color' },
+        { path: 'blockedBy', select: 'title status', match: { deletedAt: null } }
+    ]);
+};
+
 // Index for faster queries
 taskSchema.index({ user: 1, status: 1 });
 taskSchema.index({ user: 1, priority: 1 });
 taskSchema.index({ user: 1, dueDate: 1 });
+taskSchema.index({ user: 1, createdAt: -1 });
+taskSchema.index({ project: 1, status: 1 });
+taskSchema.index({ project: 1, createdAt: -1 });
+taskSchema.index({ assignee: 1, status: 1 });
+taskSchema.index({ watchers: 1 });
+taskSchema.index({ seriesId: 1 });
+taskSchema.index({ deletedAt: 1 });
+taskSchema.index({ user: 1, status: 1, position: 1 });
+taskSchema.index({ project: 1, status: 1, position: 1 });
+taskSchema.index({ user: 1, tags: 1 });
+taskSchema.index({ project: 1, tags: 1 });
+taskSchema.index({ blockedBy: 1 });
+
+// Full-text search; title matches rank above description matches
+taskSchema.index(
+    { title: 'text', description: 'text' },
+    { name: 'task_text', weights: { title: 10, description: 3 }, default_language: 'english' }
+);
+
+const Task = mongoose.model('Task', taskSchema);
+Task.POSITION_STEP = POSITION_STEP;
 
-module.exports = mongoose.model('Task', taskSchema);
+module.exports = Task;
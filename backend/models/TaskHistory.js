@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+}, {
+    _id: false
+});
+
+const taskHistorySchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true,
+        immutable: true
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        immutable: true
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'restore'],
+        required: true,
+        immutable: true
+    },
+    changes: {
+        type: [changeSchema],
+        immutable: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for reading a task's history and for analytics on status changes
+taskHistorySchema.index({ task: 1, createdAt: -1 });
+taskHistorySchema.index({ 'changes.field': 1, 'changes.to': 1, createdAt: 1 });
+
+// History is append-only: reject edits and deletes
+const immutable = function (next) {
+    next(new Error('Task history is immutable'));
+};
+
+taskHistorySchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return immutable(next);
+    }
+    next();
+});
+
+taskHistorySchema.pre([
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+], immutable);
+
+module.exports = mongoose.model('TaskHistory', taskHistorySchema);
@@ -22,6 +22,12 @@ const userSchema = new mongoose.Schema({
         required: [true, 'Password is required'],
         minlength: [6, 'Password must be at least 6 characters'],
         select: false // Don't return password by default
+    },
+    // Secret for the iCalendar feed URL; rotating it revokes old links
+    calendarToken: {
+        type: String,
+        default: null,
+        select: false
     }
 }, {
     timestamps: true
@@ -51,11 +57,18 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
     }
 };
 
-// Remove password from JSON output
+// Remove secrets from JSON output
 userSchema.methods.toJSON = function () {
     const user = this.toObject();
     delete user.password;
+    delete user.calendarToken;
     return user;
 };
 
+// Index for looking up a user by calendar feed token
+userSchema.index({ calendarToken: 1 }, {
+    unique: true,
+    partialFilterExpression: { calendarToken: { $type: 'string' } }
+});
+
 module.exports = mongoose.model('User', userSchema);
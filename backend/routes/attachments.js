@@ -0,0 +1,229 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const router = express.Router({ mergeParams: true });
+const Attachment = require('../models/Attachment');
+const Task = require('../models/Task');
+const { HttpError, sendHttpError } = require('../utils/httpError');
+const { findTaskForUser } = require('../utils/taskAccess');
+const { getStorage, generateKey } = require('../utils/storage');
+const { publishTaskEvent } = require('../utils/taskEvents');
+const {
+    MAX_ATTACHMENT_SIZE,
+    MAX_ATTACHMENTS,
+    ALLOWED_MIME_TYPES,
+    INLINE_MIME_TYPES
+} = require('../utils/attachments');
+
+// Mounted under /api/tasks/:id/attachments, after the tasks router's auth
+
+// Attachments arrive as a single `file` upload held in memory until stored
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+            return cb(new HttpError(415, `Files of type ${file.mimetype} cannot be attached`));
+        }
+        cb(null, true);
+    }
+});
+
+// Read the upload from the request, mapping upload problems to HTTP errors
+const receiveFile = (req, res) => new Promise((resolve, reject) => {
+    upload.single('file')(req, res, (error) => {
+        if (!error) {
+            return resolve(req.file);
+        }
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return reject(new HttpError(413, `Files cannot exceed ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB`));
+        }
+        reject(error instanceof HttpError ? error : new HttpError(400, error.message));
+    });
+});
+
+// Load an attachment of the task or fail with 404
+const findAttachment = async (task, attachmentId, { withKey = false } = {}) => {
+    const attachment = mongoose.Types.ObjectId.isValid(attachmentId)
+        && await Attachment.findOne({ _id: attachmentId, task: task._id }).select(withKey ? '+key' : '');
+    if (!attachment) {
+        throw new HttpError(404, 'Attachment not found');
+    }
+    return attachment;
+};
+
+// Content-Disposition with an ASCII fallback and the UTF-8 name (RFC 6266)
+const contentDisposition = (type, filename) => {
+    const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(filename)
+        .replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// @route   GET /api/tasks/:id/attachments
+// @desc    Get a task's attachments, oldest first
+// @access  Private (viewer)
+router.get('/', async (req, res) => {
+    try {
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'viewer');
+
+        const attachments = await Attachment.find({ task: task._id })
+            .populate('uploader', 'name email')
+            .sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            count: attachments.length,
+            attachments
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Get attachments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch attachments',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/tasks/:id/attachments
+// @desc    Attach an uploaded `file` to a task
+// @access  Private (editor)
+router.post('/', async (req, res) => {
+    try {
+        // Check access before accepting the upload
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'editor');
+
+        const file = await receiveFile(req, res);
+        if (!file) {
+            throw new HttpError(400, 'A file is required');
+        }
+        if (task.attachmentCount >= MAX_ATTACHMENTS) {
+            throw new HttpError(400, `A task cannot have more than ${MAX_ATTACHMENTS} attachments`);
+        }
+
+        const storage = getStorage();
+        const key = generateKey(`attachments/${task._id}`);
+        await storage.save(key, file.buffer);
+
+        let attachment;
+        try {
+            attachment = await Attachment.create({
+                task: task._id,
+                uploader: req.user._id,
+                // Multer decodes multipart file names as latin1
+                filename: Buffer.from(file.originalname, 'latin1').toString('utf8'),
+                mimeType: file.mimetype,
+                size: file.size,
+                key
+            });
+        } catch (error) {
+            await storage.remove(key);
+            throw error;
+        }
+        await Task.updateOne({ _id: task._id }, { $inc: { attachmentCount: 1 } });
+        publishTaskEvent('updated', task);
+
+        attachment.key = undefined;
+        await attachment.populate('uploader', 'name email');
+
+        res.status(201).json({
+            success: true,
+            message: 'File attached successfully',
+            attachment
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Upload attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to attach file',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/tasks/:id/attachments/:attachmentId/download
+// @desc    Download an attachment; images and PDFs open in place with `inline=true`
+// @access  Private (viewer)
+router.get('/:attachmentId/download', async (req, res) => {
+    try {
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'viewer');
+        const attachment = await findAttachment(task, req.params.attachmentId, { withKey: true });
+
+        const inline = req.query.inline === 'true' && INLINE_MIME_TYPES.includes(attachment.mimeType);
+        const stream = getStorage().createReadStream(attachment.key);
+
+        stream.on('error', (error) => {
+            if (res.headersSent) {
+                return res.destroy(error);
+            }
+            if (error.code === 'ENOENT') {
+                return sendHttpError(res, new HttpError(404, 'Attachment file is missing'));
+            }
+            console.error('Download attachment error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to download attachment',
+                error: error.message
+            });
+        });
+        stream.once('open', () => {
+            res.set({
+                'Content-Type': attachment.mimeType,
+                'Content-Length': attachment.size,
+                'Content-Disposition': contentDisposition(inline ? 'inline' : 'attachment', attachment.filename),
+                'X-Content-Type-Options': 'nosniff',
+                'Cache-Control': 'private, no-cache'
+            });
+            stream.pipe(res);
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Download attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to download attachment',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/tasks/:id/attachments/:attachmentId
+// @desc    Remove an attachment and its file
+// @access  Private (editor)
+router.delete('/:attachmentId', async (req, res) => {
+    try {
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'editor');
+        const attachment = await findAttachment(task, req.params.attachmentId, { withKey: true });
+
+        await attachment.deleteOne();
+        await Task.updateOne({ _id: task._id }, { $inc: { attachmentCount: -1 } });
+        publishTaskEvent('updated', task);
+        await getStorage().remove(attachment.key);
+
+        res.json({
+            success: true,
+            message: 'Attachment deleted successfully'
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Delete attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete attachment',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 const auth = require('../middleware/auth');
 
 // Validation middleware
@@ -18,11 +20,52 @@ const validateLogin = [
     body('password').notEmpty().withMessage('Password is required')
 ];
 
-// Generate JWT token
-const generateToken = (userId) => {
-    return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-        expiresIn: '30d'
+const validateRefresh = [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+];
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate short-lived JWT access token bound to a login session
+const generateToken = (userId, sessionId) => {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL
+    });
+};
+
+// Issue a refresh token for the session, storing only its hash
+const issueRefreshToken = async (userId, sessionId) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    await RefreshToken.create({
+        user: userId,
+        tokenHash: hashToken(refreshToken),
+        family: sessionId,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
     });
+
+    return refreshToken;
+};
+
+// Start a new session and return its access/refresh token pair
+const createSession = async (userId) => {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = await issueRefreshToken(userId, sessionId);
+
+    return {
+        token: generateToken(userId, sessionId),
+        refreshToken
+    };
+};
+
+const revokeSession = (sessionId) => {
+    return RefreshToken.updateMany(
+        { family: sessionId, revokedAt: null },
+        { revokedAt: new Date() }
+    );
 };
 
 // @route   POST /api/auth/register
@@ -59,13 +102,14 @@ router.post('/register', validateRegister, async (req, res) => {
 
         await user.save();
 
-        // Generate token
-        const token = generateToken(user._id);
+        // Generate tokens
+        const { token, refreshToken } = await createSession(user._id);
 
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
             token,
+            refreshToken,
             user: {
                 id: user._id,
                 name: user.name,
@@ -116,13 +160,14 @@ router.post('/login', validateLogin, async (req, res) => {
             });
         }
 
-        // Generate token
-        const token = generateToken(user._id);
+        // Generate tokens
+        const { token, refreshToken } = await createSession(user._id);
 
         res.json({
             success: true,
             message: 'Login successful',
             token,
+            refreshToken,
             user: {
                 id: user._id,
                 name: user.name,
@@ -139,6 +184,99 @@ router.post('/login', validateLogin, async (req, res) => {
     }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', validateRefresh, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const stored = await RefreshToken.findOne({
+            tokenHash: hashToken(req.body.refreshToken)
+        });
+
+        if (!stored || stored.expiresAt < new Date()) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid refresh token'
+            });
+        }
+
+        // Mark the token used; a second use means it leaked, so end the session
+        const rotated = await RefreshToken.findOneAndUpdate(
+            { _id: stored._id, revokedAt: null },
+            { revokedAt: new Date() }
+        );
+
+        if (!rotated) {
+            await revokeSession(stored.family);
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token has been revoked'
+            });
+        }
+
+        const refreshToken = await issueRefreshToken(stored.user, stored.family);
+        const token = generateToken(stored.user, stored.family);
+
+        res.json({
+            success: true,
+            token,
+            refreshToken
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during token refresh',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the session behind a refresh token
+// @access  Public
+router.post('/logout', validateRefresh, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const stored = await RefreshToken.findOne({
+            tokenHash: hashToken(req.body.refreshToken)
+        });
+
+        if (stored) {
+            await revokeSession(stored.family);
+        }
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout',
+            error: error.message
+        });
+    }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
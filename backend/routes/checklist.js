@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const { HttpError, sendHttpError } = require('../utils/httpError');
+const { findTaskForUser } = require('../utils/taskAccess');
+const { snapshotTask, recordHistory } = require('../utils/taskHistory');
+const { publishTaskEvent } = require('../utils/taskEvents');
+
+// Mounted under /api/tasks/:id/checklist, after the tasks router's auth
+
+// Validation middleware
+const validateItem = [
+    body('title').trim().notEmpty().withMessage('Title is required')
+        .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters')
+];
+
+const validateItemUpdate = [
+    body('title').optional().trim().notEmpty().withMessage('Title cannot be empty')
+        .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+    body('done').optional().isBoolean().withMessage('Done must be true or false')
+];
+
+const validateOrder = [
+    body('itemIds').isArray().withMessage('itemIds must be an array'),
+    body('itemIds.*').isMongoId().withMessage('itemIds must be valid IDs')
+];
+
+// Find a checklist item on the task or fail with 404
+const findItem = (task, itemId) => {
+    const item = task.checklist.id(itemId);
+    if (!item) {
+        throw new HttpError(404, 'Checklist item not found');
+    }
+    return item;
+};
+
+// @route   POST /api/tasks/:id/checklist
+// @desc    Add a checklist item to the end of the list
+// @access  Private (editor)
+router.post('/', validateItem, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'editor');
+        const before = snapshotTask(task);
+
+        const lastOrder = task.checklist.reduce((max, item) => Math.max(max, item.order), -1);
+        task.checklist.push({ title: req.body.title, order: lastOrder + 1 });
+
+        await task.save();
+        await recordHistory(task, req.user._id, 'update', before);
+        publishTaskEvent('updated', task, before);
+
+        res.status(201).json({
+            success: true,
+            message: 'Checklist item added successfully',
+            task: await Task.populateRefs(task)
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Add checklist item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add checklist item',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/tasks/:id/checklist/order
+// @desc    Reorder checklist items; itemIds must list every item once
+// @access  Private (editor)
+router.put('/order', validateOrder, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'editor');
+        const before = snapshotTask(task);
+        const { itemIds } = req.body;
+
+        const unique = new Set(itemIds);
+        if (unique.size !== itemIds.length || itemIds.length !== task.checklist.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'itemIds must list every checklist item exactly once'
+            });
+        }
+
+        itemIds.forEach((itemId, index) => {
+            findItem(task, itemId).order = index;
+        });
+
+        await task.save();
+        await recordHistory(task, req.user._id, 'update', before);
+        publishTaskEvent('updated', task, before);
+
+        res.json({
+            success: true,
+            message: 'Checklist reordered successfully',
+            task: await Task.populateRefs(task)
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Reorder checklist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reorder checklist',
+            error: error.message
+        });
+    }
+});
+
+// @route   PATCH /api/tasks/:id/checklist/:itemId
+// @desc    Rename or toggle a checklist item
+// @access  Private (editor)
+router.patch('/:itemId', validateItemUpdate, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'editor');
+        const before = snapshotTask(task);
+        const item = findItem(task, req.params.itemId);
+
+        if (req.body.title !== undefined) {
+            item.title = req.body.title;
+        }
+        if (req.body.done !== undefined) {
+            item.done = req.body.done;
+        }
+
+        await task.save();
+        await recordHistory(task, req.user._id, 'update', before);
+        publishTaskEvent('updated', task, before);
+
+        // Auto-completion may have finished a recurring task
+        const nextTask = await task.spawnNextOccurrence();
+        if (nextTask) {
+            await recordHistory(nextTask, req.user._id, 'create');
+            publishTaskEvent('created', nextTask);
+        }
+
+        res.json({
+            success: true,
+            message: 'Checklist item updated successfully',
+            task: await Task.populateRefs(task),
+            nextTask
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Update checklist item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update checklist item',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @desc    Remove a checklist item
+// @access  Private (editor)
+router.delete('/:itemId', async (req, res) => {
+    try {
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'editor');
+        const before = snapshotTask(task);
+
+        findItem(task, req.params.itemId).deleteOne();
+
+        await task.save();
+        await recordHistory(task, req.user._id, 'update', before);
+        publishTaskEvent('updated', task, before);
+
+        // Auto-completion may have finished a recurring task
+        const nextTask = await task.spawnNextOccurrence();
+        if (nextTask) {
+            await recordHistory(nextTask, req.user._id, 'create');
+            publishTaskEvent('created', nextTask);
+        }
+
+        res.json({
+            success: true,
+            message: 'Checklist item removed successfully',
+            task: await Task.populateRefs(task),
+            nextTask
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Remove checklist item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove checklist item',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
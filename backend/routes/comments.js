@@ -0,0 +1,198 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { HttpError, sendHttpError } = require('../utils/httpError');
+const { getTaskRole, findTaskForUser } = require('../utils/taskAccess');
+
+// Mounted under /api/tasks/:id/comments, after the tasks router's auth
+
+// Validation middleware
+const validateComment = [
+    body('body').trim().notEmpty().withMessage('Comment cannot be empty')
+        .isLength({ max: 5000 }).withMessage('Comment cannot exceed 5000 characters')
+];
+
+const populateComment = (target) => target.populate([
+    { path: 'author', select: 'name email' },
+    { path: 'mentions', select: 'name email' }
+]);
+
+// Keep only mentioned users who can see the task
+const resolveMentions = async (task, text) => {
+    const ids = Comment.extractMentions(text);
+    const users = await User.find({ _id: { $in: ids } }).select('_id');
+
+    const allowed = await Promise.all(users.map(async (user) => (
+        (await getTaskRole(task, user._id)) ? user._id : null
+    )));
+    return allowed.filter(Boolean);
+};
+
+// Load a comment on the task or fail with 404
+const findComment = async (task, commentId) => {
+    const comment = mongoose.Types.ObjectId.isValid(commentId)
+        && await Comment.findOne({ _id: commentId, task: task._id });
+    if (!comment) {
+        throw new HttpError(404, 'Comment not found');
+    }
+    return comment;
+};
+
+// @route   GET /api/tasks/:id/comments
+// @desc    Get a task's comment thread, oldest first
+// @access  Private (viewer)
+router.get('/', async (req, res) => {
+    try {
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'viewer');
+
+        const comments = await populateComment(
+            Comment.find({ task: task._id }).sort({ createdAt: 1 })
+        );
+
+        res.json({
+            success: true,
+            count: comments.length,
+            comments
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Get comments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch comments',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/tasks/:id/comments
+// @desc    Comment on a task
+// @access  Private (viewer)
+router.post('/', validateComment, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'viewer');
+
+        const comment = new Comment({
+            task: task._id,
+            author: req.user._id,
+            body: req.body.body,
+            mentions: await resolveMentions(task, req.body.body)
+        });
+
+        await comment.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Comment added successfully',
+            comment: await populateComment(comment)
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Add comment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add comment',
+            error: error.message
+        });
+    }
+});
+
+// @route   PATCH /api/tasks/:id/comments/:commentId
+// @desc    Edit your own comment
+// @access  Private (author)
+router.patch('/:commentId', validateComment, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'viewer');
+        const comment = await findComment(task, req.params.commentId);
+
+        if (!comment.author.equals(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit your own comments'
+            });
+        }
+
+        comment.body = req.body.body;
+        comment.mentions = await resolveMentions(task, req.body.body);
+        comment.editedAt = new Date();
+
+        await comment.save();
+
+        res.json({
+            success: true,
+            message: 'Comment updated successfully',
+            comment: await populateComment(comment)
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Update comment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update comment',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @desc    Delete a comment (its author, or the task/project owner)
+// @access  Private (author or owner)
+router.delete('/:commentId', async (req, res) => {
+    try {
+        const { task, role } = await findTaskForUser(req.params.id, req.user._id, 'viewer');
+        const comment = await findComment(task, req.params.commentId);
+
+        if (!comment.author.equals(req.user._id) && role !== 'owner') {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only delete your own comments'
+            });
+        }
+
+        await comment.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Comment deleted successfully'
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Delete comment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete comment',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const { HttpError, sendHttpError } = require('../utils/httpError');
+const { findTaskForUser } = require('../utils/taskAccess');
+const { snapshotTask, recordHistory } = require('../utils/taskHistory');
+const { MAX_BLOCKERS, findOpenBlockers, createsCycle } = require('../utils/taskDependencies');
+const { publishTaskEvent } = require('../utils/taskEvents');
+
+// Mounted under /api/tasks/:id/dependencies, after the tasks router's auth
+
+// Validation middleware
+const validateLink = [
+    body('blockerId').isMongoId().withMessage('Blocker must be a valid task ID')
+];
+
+// Tasks can only depend on tasks in the same project, or personal tasks on
+// other personal tasks of the same owner
+const sameScope = (task, other) => (task.project
+    ? String(task.project) === String(other.project)
+    : !other.project && task.user.equals(other.user));
+
+// @route   GET /api/tasks/:id/dependencies
+// @desc    Get the tasks blocking this task and the tasks it blocks
+// @access  Private (viewer)
+router.get('/', async (req, res) => {
+    try {
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'viewer');
+
+        const [blockedBy, blocking, openBlockers] = await Promise.all([
+            Task.find({ _id: { $in: task.blockedBy }, deletedAt: null })
+                .select('title status dueDate priority'),
+            Task.find({ blockedBy: task._id, deletedAt: null })
+                .select('title status dueDate priority'),
+            findOpenBlockers(task)
+        ]);
+
+        res.json({
+            success: true,
+            blockedBy,
+            blocking,
+            isBlocked: openBlockers.length > 0
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Get dependencies error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch dependencies',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/tasks/:id/dependencies
+// @desc    Mark the task as blocked by another task (`blockerId`)
+// @access  Private (editor)
+router.post('/', validateLink, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'editor');
+        const { blockerId } = req.body;
+
+        if (task._id.equals(blockerId)) {
+            throw new HttpError(400, 'A task cannot block itself');
+        }
+
+        const { task: blocker } = await findTaskForUser(blockerId, req.user._id, 'viewer');
+
+        if (!sameScope(task, blocker)) {
+            throw new HttpError(400, task.project
+                ? 'Tasks can only be blocked by tasks in the same project'
+                : 'Personal tasks can only be blocked by your other personal tasks');
+        }
+        if (task.blockedBy.some((id) => id.equals(blocker._id))) {
+            throw new HttpError(409, 'Task is already blocked by this task');
+        }
+        if (task.blockedBy.length >= MAX_BLOCKERS) {
+            throw new HttpError(400, `A task cannot have more than ${MAX_BLOCKERS} blockers`);
+        }
+        if (await createsCycle(task._id, blocker._id)) {
+            throw new HttpError(409, `"${blocker.title}" already depends on this task, so it cannot block it`);
+        }
+
+        const before = snapshotTask(task);
+        task.blockedBy.push(blocker._id);
+
+        await task.save();
+        await recordHistory(task, req.user._id, 'update', before);
+        publishTaskEvent('updated', task, before);
+
+        res.status(201).json({
+            success: true,
+            message: 'Dependency added successfully',
+            task: await Task.populateRefs(task)
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Add dependency error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add dependency',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/tasks/:id/dependencies/:blockerId
+// @desc    Remove a blocker from the task
+// @access  Private (editor)
+router.delete('/:blockerId', async (req, res) => {
+    try {
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'editor');
+
+        if (!task.blockedBy.some((id) => id.equals(req.params.blockerId))) {
+            throw new HttpError(404, 'Dependency not found');
+        }
+
+        const before = snapshotTask(task);
+        task.blockedBy.pull(req.params.blockerId);
+
+        await task.save();
+        await recordHistory(task, req.user._id, 'update', before);
+        publishTaskEvent('updated', task, before);
+
+        res.json({
+            success: true,
+            message: 'Dependency removed successfully',
+            task: await Task.populateRefs(task)
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Remove dependency error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove dependency',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { subscribe } = require('../utils/taskEvents');
+
+// Comment lines sent to keep idle connections (and proxies) from timing out
+const HEARTBEAT_MS = 25 * 1000;
+
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// All routes are protected
+router.use(auth);
+
+const writeEvent = (res, name, data) => {
+    res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// @route   GET /api/events
+// @desc    Server-Sent Events stream of task.created, task.updated and
+//          task.deleted events for every task you can see. The stream sends
+//          `expired` and closes when the access token expires; reconnect with
+//          a fresh token.
+// @access  Private
+router.get('/', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    writeEvent(res, 'ready', { user: req.user._id });
+
+    const unsubscribe = subscribe(req.user._id, (event) => {
+        writeEvent(res, `task.${event.type}`, event);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    // auth has already verified the token, so only its expiry is read here
+    const { exp } = jwt.decode(req.header('Authorization').replace('Bearer ', ''));
+    const expiry = setTimeout(() => {
+        writeEvent(res, 'expired', {});
+        res.end();
+    }, Math.min(exp * 1000 - Date.now(), MAX_TIMEOUT_MS));
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        unsubscribe();
+    });
+});
+
+module.exports = router;
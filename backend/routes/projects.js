@@ -0,0 +1,347 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const SavedView = require('../models/SavedView');
+const Tag = require('../models/Tag');
+const auth = require('../middleware/auth');
+const { HttpError, sendHttpError } = require('../utils/httpError');
+const { findProjectForUser } = require('../utils/taskAccess');
+const { deleteTaskAttachments } = require('../utils/attachments');
+
+// All routes are protected
+router.use(auth);
+
+// Validation middleware
+const validateProject = [
+    body('name').trim().notEmpty().withMessage('Name is required')
+        .isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+    body('description').optional().trim()
+        .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+];
+
+const validateRole = body('role').isIn(Project.ROLES)
+    .withMessage('Role must be owner, editor, or viewer');
+
+const validateMember = [
+    body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+    validateRole
+];
+
+// Load :id into req.project, requiring the given role
+const loadProject = (required) => async (req, res, next) => {
+    try {
+        const { project, role } = await findProjectForUser(req.params.id, req.user._id, required);
+        req.project = project;
+        req.projectRole = role;
+        next();
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        next(error);
+    }
+};
+
+// Project JSON with members populated and the caller's role attached
+const serializeProject = async (project, userId) => {
+    await project.populate('members.user', 'name email');
+    return {
+        ...project.toJSON(),
+        role: project.roleOf(userId)
+    };
+};
+
+const ownerCount = (project) => project.members.filter((m) => m.role === 'owner').length;
+
+// @route   GET /api/projects
+// @desc    Get projects the logged-in user is a member of
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const projects = await Project.find({ 'members.user': req.user._id }).sort({ name: 1 });
+
+        res.json({
+            success: true,
+            count: projects.length,
+            projects: await Promise.all(projects.map((p) => serializeProject(p, req.user._id)))
+        });
+    } catch (error) {
+        console.error('Get projects error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch projects',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/projects
+// @desc    Create a project owned by the logged-in user
+// @access  Private
+router.post('/', validateProject, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { name, description } = req.body;
+
+        const project = new Project({
+            name,
+            description,
+            members: [{ user: req.user._id, role: 'owner' }]
+        });
+
+        await project.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Project created successfully',
+            project: await serializeProject(project, req.user._id)
+        });
+    } catch (error) {
+        console.error('Create project error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create project',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/projects/:id
+// @desc    Get single project
+// @access  Private (viewer)
+router.get('/:id', loadProject('viewer'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            project: await serializeProject(req.project, req.user._id)
+        });
+    } catch (error) {
+        console.error('Get project error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch project',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/projects/:id
+// @desc    Update project name and description
+// @access  Private (owner)
+router.put('/:id', loadProject('owner'), validateProject, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { name, description } = req.body;
+
+        req.project.name = name;
+        req.project.description = description;
+
+        await req.project.save();
+
+        res.json({
+            success: true,
+            message: 'Project updated successfully',
+            project: await serializeProject(req.project, req.user._id)
+        });
+    } catch (error) {
+        console.error('Update project error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update project',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/projects/:id
+// @desc    Delete project and all of its tasks
+// @access  Private (owner)
+router.delete('/:id', loadProject('owner'), async (req, res) => {
+    try {
+        const taskIds = await Task.find({ project: req.project._id }).distinct('_id');
+        await Comment.deleteMany({ task: { $in: taskIds } });
+        await deleteTaskAttachments(taskIds);
+        await Task.deleteMany({ project: req.project._id });
+        await SavedView.deleteMany({ project: req.project._id });
+        await Tag.deleteMany({ project: req.project._id });
+        await req.project.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Project deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete project error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete project',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/projects/:id/members
+// @desc    Invite an existing user to the project by email
+// @access  Private (owner)
+router.post('/:id/members', loadProject('owner'), validateMember, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { email, role } = req.body;
+
+        const user = await User.findOne({ email });
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'No user found with this email'
+            });
+        }
+
+        if (req.project.roleOf(user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is already a member of this project'
+            });
+        }
+
+        req.project.members.push({ user: user._id, role });
+        await req.project.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Member added successfully',
+            project: await serializeProject(req.project, req.user._id)
+        });
+    } catch (error) {
+        console.error('Add member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add member',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/projects/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (owner)
+router.put('/:id/members/:userId', loadProject('owner'), validateRole, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const member = req.project.members.find((m) => m.user.equals(req.params.userId));
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        if (member.role === 'owner' && req.body.role !== 'owner' && ownerCount(req.project) === 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'A project must keep at least one owner'
+            });
+        }
+
+        member.role = req.body.role;
+        await req.project.save();
+
+        res.json({
+            success: true,
+            message: 'Member updated successfully',
+            project: await serializeProject(req.project, req.user._id)
+        });
+    } catch (error) {
+        console.error('Update member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update member',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/projects/:id/members/:userId
+// @desc    Remove a member (owners may remove anyone, members may leave)
+// @access  Private (viewer)
+router.delete('/:id/members/:userId', loadProject('viewer'), async (req, res) => {
+    try {
+        const isSelf = req.user._id.equals(req.params.userId);
+        if (!isSelf && req.projectRole !== 'owner') {
+            return res.status(403).json({
+                success: false,
+                message: 'Requires owner access to this project'
+            });
+        }
+
+        const member = req.project.members.find((m) => m.user.equals(req.params.userId));
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        if (member.role === 'owner' && ownerCount(req.project) === 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'A project must keep at least one owner'
+            });
+        }
+
+        req.project.members = req.project.members.filter((m) => m !== member);
+        await req.project.save();
+
+        // Their saved views of the project no longer work
+        await SavedView.deleteMany({ user: member.user, project: req.project._id });
+
+        res.json({
+            success: true,
+            message: 'Member removed successfully'
+        });
+    } catch (error) {
+        console.error('Remove member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove member',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
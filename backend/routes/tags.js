@@ -0,0 +1,283 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+const auth = require('../middleware/auth');
+const { HttpError, sendHttpError } = require('../utils/httpError');
+const { findProjectForUser } = require('../utils/taskAccess');
+
+// All routes are protected
+router.use(auth);
+
+// Validation middleware
+const validateColor = body('color').optional().matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex color like #1976d2');
+
+const validateCreate = [
+    body('name').trim().notEmpty().withMessage('Name is required')
+        .isLength({ max: 30 }).withMessage('Name cannot exceed 30 characters'),
+    validateColor,
+    body('project').optional({ values: 'null' }).isMongoId()
+        .withMessage('Project must be a valid project ID')
+];
+
+const validateUpdate = [
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+        .isLength({ max: 30 }).withMessage('Name cannot exceed 30 characters'),
+    validateColor
+];
+
+const validateMerge = body('into').isMongoId().withMessage('Target tag must be a valid tag ID');
+
+// Load a tag: project tags need `required` access to the project,
+// personal tags must belong to the user
+const findTagForUser = async (tagId, userId, required = 'viewer') => {
+    const tag = mongoose.Types.ObjectId.isValid(tagId) ? await Tag.findById(tagId) : null;
+
+    if (tag && tag.project) {
+        try {
+            await findProjectForUser(tag.project, userId, required);
+        } catch (error) {
+            if (error instanceof HttpError && error.status === 404) {
+                throw new HttpError(404, 'Tag not found');
+            }
+            throw error;
+        }
+    } else if (!tag || !tag.user.equals(userId)) {
+        throw new HttpError(404, 'Tag not found');
+    }
+    return tag;
+};
+
+// Number of live tasks carrying each of the tags
+const countTasks = async (tagIds) => {
+    const counts = await Task.aggregate([
+        { $match: { tags: { $in: tagIds }, deletedAt: null } },
+        { $unwind: '$tags' },
+        { $match: { tags: { $in: tagIds } } },
+        { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+const duplicateName = (res) => res.status(409).json({
+    success: false,
+    message: 'A tag with this name already exists'
+});
+
+// @route   GET /api/tags
+// @desc    Get your personal tags, or a project's tags with `project`, with task counts
+// @access  Private (viewer when in a project)
+router.get('/', async (req, res) => {
+    try {
+        const { project } = req.query;
+
+        if (project) {
+            await findProjectForUser(project, req.user._id, 'viewer');
+        }
+
+        const tags = await Tag.find(Tag.scopeFilter({ project, user: req.user._id }))
+            .collation(Tag.NAME_COLLATION)
+            .sort({ name: 1 });
+        const counts = await countTasks(tags.map((tag) => tag._id));
+
+        res.json({
+            success: true,
+            count: tags.length,
+            tags: tags.map((tag) => ({
+                ...tag.toJSON(),
+                taskCount: counts.get(tag._id.toString()) || 0
+            }))
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Get tags error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch tags',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/tags
+// @desc    Create a personal tag, or a project tag with `project`
+// @access  Private (editor when in a project)
+router.post('/', validateCreate, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { name, color, project } = req.body;
+
+        if (project) {
+            await findProjectForUser(project, req.user._id, 'editor');
+        }
+
+        const tag = await Tag.create({
+            name,
+            color,
+            project: project || null,
+            user: project ? null : req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Tag created successfully',
+            tag
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        if (error.code === 11000) {
+            return duplicateName(res);
+        }
+        console.error('Create tag error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create tag',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/tags/:id
+// @desc    Rename or recolor a tag
+// @access  Private (tag owner, or project editor)
+router.put('/:id', validateUpdate, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const tag = await findTagForUser(req.params.id, req.user._id, 'editor');
+        const { name, color } = req.body;
+
+        if (name !== undefined) {
+            tag.name = name;
+        }
+        if (color !== undefined) {
+            tag.color = color;
+        }
+        await tag.save();
+
+        res.json({
+            success: true,
+            message: 'Tag updated successfully',
+            tag
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        if (error.code === 11000) {
+            return duplicateName(res);
+        }
+        console.error('Update tag error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update tag',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/tags/:id/merge
+// @desc    Merge a tag into another tag of the same scope (`into`): its tasks
+//          get the target tag and the merged tag is deleted
+// @access  Private (tag owner, or project editor)
+router.post('/:id/merge', validateMerge, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const source = await findTagForUser(req.params.id, req.user._id, 'editor');
+        const target = await findTagForUser(req.body.into, req.user._id, 'editor');
+
+        if (source._id.equals(target._id)) {
+            throw new HttpError(400, 'Cannot merge a tag into itself');
+        }
+        if (String(source.project) !== String(target.project) || String(source.user) !== String(target.user)) {
+            throw new HttpError(400, 'Tags can only be merged within the same project or personal scope');
+        }
+
+        await Task.updateMany({ tags: source._id }, { $addToSet: { tags: target._id } });
+        const { modifiedCount } = await Task.updateMany({ tags: source._id }, {
+            $pull: { tags: source._id },
+            $inc: { version: 1 }
+        });
+        await source.deleteOne();
+
+        res.json({
+            success: true,
+            message: `Merged "${source.name}" into "${target.name}"`,
+            tag: target,
+            tasksUpdated: modifiedCount
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Merge tag error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to merge tag',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/tags/:id
+// @desc    Delete a tag and remove it from every task
+// @access  Private (tag owner, or project editor)
+router.delete('/:id', async (req, res) => {
+    try {
+        const tag = await findTagForUser(req.params.id, req.user._id, 'editor');
+
+        const { modifiedCount } = await Task.updateMany({ tags: tag._id }, {
+            $pull: { tags: tag._id },
+            $inc: { version: 1 }
+        });
+        await tag.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Tag deleted successfully',
+            tasksUpdated: modifiedCount
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Delete tag error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete tag',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
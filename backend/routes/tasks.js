@@ -1,11 +1,69 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query: queryParam, validationResult } = require('express-validator');
 const Task = require('../models/Task');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Tag = require('../models/Tag');
+const TaskHistory = require('../models/TaskHistory');
 const auth = require('../middleware/auth');
+const idempotent = require('../middleware/idempotency');
+const { HttpError, sendHttpError } = require('../utils/httpError');
+const {
+    parseLimit,
+    buildSort,
+    encodeCursor,
+    cursorFilter,
+    encodeOffsetCursor,
+    decodeOffsetCursor
+} = require('../utils/pagination');
+const {
+    findProjectForUser,
+    accessibleTaskFilter,
+    findTaskForUser
+} = require('../utils/taskAccess');
+const { snapshotTask, recordHistory } = require('../utils/taskHistory');
+const { checkUnblocked } = require('../utils/taskDependencies');
+const { publishTaskEvent } = require('../utils/taskEvents');
+const { versionTag, checkVersion, saveIfUnchanged } = require('../utils/taskVersion');
+const { TRASH_RETENTION_DAYS, purgeDate } = require('../utils/trash');
+const { moveTask } = require('../utils/taskPosition');
+const { parseTaskQuery } = require('../utils/taskQuery');
+const { mergePatch } = require('../utils/mergePatch');
+const { buildCalendar } = require('../utils/ical');
+const {
+    exportCsv,
+    exportJson,
+    parseImportFile,
+    resolvePeople,
+    resolveTags
+} = require('../utils/taskTransfer');
 
-// All routes are protected
-router.use(auth);
+// Most tags a task may carry
+const MAX_TAGS = 20;
+
+// Checklist item and recurrence rule fields, checked alike by PUT and PATCH
+const validateChecklistItems = [
+    body('checklist.*.title').trim().notEmpty().withMessage('Checklist item title is required')
+        .isLength({ max: 200 }).withMessage('Checklist item cannot exceed 200 characters'),
+    body('checklist.*.done').optional().isBoolean().withMessage('Checklist done must be true or false')
+];
+
+const validateRecurrenceFields = [
+    body('recurrence.interval').optional({ values: 'null' }).isInt({ min: 1, max: 365 })
+        .withMessage('Interval must be between 1 and 365'),
+    body('recurrence.byWeekday').optional({ values: 'null' }).isArray().withMessage('Weekdays must be an array'),
+    body('recurrence.byWeekday.*').isInt({ min: 0, max: 6 })
+        .withMessage('Weekdays must be 0 (Sunday) to 6 (Saturday)'),
+    body('recurrence.byMonthDay').optional({ values: 'null' }).isInt({ min: 1, max: 31 })
+        .withMessage('Day of month must be between 1 and 31'),
+    body('recurrence.until').optional({ values: 'null' }).isISO8601()
+        .withMessage('End date must be a valid date'),
+    body('recurrence.count').optional({ values: 'null' }).isInt({ min: 1 })
+        .withMessage('Occurrence count must be at least 1')
+];
 
 // Validation middleware
 const validateTask = [
@@ -18,48 +76,427 @@ const validateTask = [
     body('status').optional().isIn(['Todo', 'In Progress', 'Completed'])
         .withMessage('Status must be Todo, In Progress, or Completed'),
     body('dueDate').notEmpty().withMessage('Due date is required')
-        .isISO8601().withMessage('Due date must be a valid date')
+        .isISO8601().withMessage('Due date must be a valid date'),
+    body('project').optional({ values: 'null' }).isMongoId()
+        .withMessage('Project must be a valid ID'),
+    body('assignee').optional({ values: 'null' }).isMongoId()
+        .withMessage('Assignee must be a valid user ID'),
+    body('watchers').optional().isArray().withMessage('Watchers must be an array'),
+    body('watchers.*').isMongoId().withMessage('Watchers must be valid user IDs'),
+    body('tags').optional().isArray({ max: MAX_TAGS }).withMessage(`Tags must be an array of at most ${MAX_TAGS}`),
+    body('tags.*').isMongoId().withMessage('Tags must be valid tag IDs'),
+    body('checklist').optional().isArray().withMessage('Checklist must be an array'),
+    ...validateChecklistItems,
+    body('autoComplete').optional().isBoolean().withMessage('Auto-complete must be true or false'),
+    body('recurrence').optional({ values: 'null' }).isObject()
+        .withMessage('Recurrence must be an object'),
+    body('recurrence.frequency').if(body('recurrence').exists({ values: 'null' }))
+        .isIn(['daily', 'weekly', 'monthly'])
+        .withMessage('Frequency must be daily, weekly, or monthly'),
+    ...validateRecurrenceFields,
+    body('version').optional().isInt({ min: 0 }).withMessage('Version must be a whole number').toInt()
 ];
 
-// @route   GET /api/tasks
-// @desc    Get all tasks for logged-in user with filtering and sorting
-// @access  Private
-router.get('/', async (req, res) => {
+// Fields a PATCH may change
+const PATCH_FIELDS = [
+    'title', 'description', 'priority', 'status', 'dueDate', 'assignee', 'watchers', 'tags',
+    'checklist', 'autoComplete', 'recurrence'
+];
+
+// A patch may change a required field but not remove it with null
+const notRemovable = (field, label) => body(field).optional()
+    .custom((value) => value !== null).withMessage(`${label} cannot be removed`)
+    .bail();
+
+// Each field is only checked when the patch sets it
+const validatePatch = [
+    body().custom((patch) => {
+        if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+            throw new Error('Patch must be a JSON object');
+        }
+        const unknown = Object.keys(patch).filter((field) => !PATCH_FIELDS.includes(field) && field !== 'version');
+        if (unknown.length > 0) {
+            throw new Error(`Cannot patch ${unknown.join(', ')}`);
+        }
+        return true;
+    }),
+    notRemovable('title', 'Title').isString().withMessage('Title must be text')
+        .trim().isLength({ min: 3, max: 100 }).withMessage('Title must be 3-100 characters'),
+    body('description').optional({ values: 'null' }).isString().withMessage('Description must be text')
+        .trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    notRemovable('priority', 'Priority').isIn(['Low', 'Medium', 'High'])
+        .withMessage('Priority must be Low, Medium, or High'),
+    notRemovable('status', 'Status').isIn(['Todo', 'In Progress', 'Completed'])
+        .withMessage('Status must be Todo, In Progress, or Completed'),
+    notRemovable('dueDate', 'Due date').isISO8601().withMessage('Due date must be a valid date'),
+    body('assignee').optional({ values: 'null' }).isMongoId()
+        .withMessage('Assignee must be a valid user ID'),
+    notRemovable('watchers', 'Watchers').isArray().withMessage('Watchers must be an array'),
+    body('watchers.*').isMongoId().withMessage('Watchers must be valid user IDs'),
+    notRemovable('tags', 'Tags').isArray({ max: MAX_TAGS }).withMessage(`Tags must be an array of at most ${MAX_TAGS}`),
+    body('tags.*').isMongoId().withMessage('Tags must be valid tag IDs'),
+    notRemovable('checklist', 'Checklist').isArray().withMessage('Checklist must be an array'),
+    ...validateChecklistItems,
+    notRemovable('autoComplete', 'Auto-complete').isBoolean().withMessage('Auto-complete must be true or false'),
+    body('recurrence').optional({ values: 'null' }).isObject()
+        .withMessage('Recurrence must be an object'),
+    body('recurrence.frequency').optional().isIn(['daily', 'weekly', 'monthly'])
+        .withMessage('Frequency must be daily, weekly, or monthly'),
+    ...validateRecurrenceFields,
+    body('version').optional().isInt({ min: 0 }).withMessage('Version must be a whole number').toInt()
+];
+
+const validateListQuery = [
+    queryParam('search').optional().isString().trim()
+        .isLength({ max: 200 }).withMessage('Search cannot exceed 200 characters'),
+    queryParam('q').optional().isString().trim()
+        .isLength({ max: 500 }).withMessage('Query cannot exceed 500 characters'),
+    queryParam('tag').optional().isString()
+        .custom((value) => value.split(',').every((id) => mongoose.Types.ObjectId.isValid(id)))
+        .withMessage('Tag filter must be comma-separated tag IDs'),
+    queryParam('dueFrom').optional().isISO8601().withMessage('dueFrom must be a valid date'),
+    queryParam('dueTo').optional().isISO8601().withMessage('dueTo must be a valid date')
+];
+
+// Most tasks the calendar feed will include
+const FEED_LIMIT = 1000;
+
+// Most tasks an export will include, and rows an import will accept
+const EXPORT_LIMIT = 5000;
+const IMPORT_LIMIT = 1000;
+
+// Imports arrive as a single `file` upload held in memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024, files: 1 }
+});
+
+// Accept the import upload, reporting upload problems as 400s
+const uploadImportFile = (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        next();
+    });
+};
+
+// Most tasks a single bulk request may touch
+const BULK_LIMIT = 100;
+
+const validateBulk = [
+    body('ids').isArray({ min: 1, max: BULK_LIMIT })
+        .withMessage(`ids must be an array of 1-${BULK_LIMIT} task IDs`),
+    body('ids.*').isMongoId().withMessage('ids must be valid task IDs'),
+    body('action').isIn(['status', 'priority', 'shiftDueDate', 'delete'])
+        .withMessage('Action must be status, priority, shiftDueDate, or delete'),
+    body('value').if(body('action').equals('status'))
+        .isIn(['Todo', 'In Progress', 'Completed'])
+        .withMessage('Status must be Todo, In Progress, or Completed'),
+    body('value').if(body('action').equals('priority'))
+        .isIn(['Low', 'Medium', 'High'])
+        .withMessage('Priority must be Low, Medium, or High'),
+    body('value').if(body('action').equals('shiftDueDate'))
+        .isInt({ min: -3650, max: 3650 }).withMessage('Shift must be a whole number of days')
+        .toInt()
+];
+
+const validateMove = [
+    body('status').optional().isIn(['Todo', 'In Progress', 'Completed'])
+        .withMessage('Status must be Todo, In Progress, or Completed'),
+    body('afterId').optional({ values: 'null' }).isMongoId()
+        .withMessage('afterId must be a valid task ID'),
+    body('beforeId').optional({ values: 'null' }).isMongoId()
+        .withMessage('beforeId must be a valid task ID')
+];
+
+// Normalise submitted checklist items, numbering them in the order given
+const toChecklist = (items) => items.map(({ _id, title, done }, index) => ({
+    ...(mongoose.Types.ObjectId.isValid(_id) ? { _id } : {}),
+    title,
+    done: !!done,
+    order: index
+}));
+
+// Resolve `me` to the caller's ID in user filters
+const resolveUserParam = (value, req) => {
+    if (value === 'me') {
+        return req.user._id;
+    }
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new HttpError(400, 'User filter must be "me" or a valid user ID');
+    }
+    return value;
+};
+
+// Ensure assignee/watchers exist and, for project tasks, belong to the project
+const checkAssignable = async (userIds, projectId) => {
+    const ids = [...new Set(userIds.filter(Boolean).map(String))];
+    if (ids.length === 0) {
+        return;
+    }
+
+    const found = await User.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) {
+        throw new HttpError(400, 'Assignee or watcher not found');
+    }
+
+    if (projectId) {
+        const project = await Project.findById(projectId).select('members');
+        if (!ids.every((id) => project.roleOf(id))) {
+            throw new HttpError(400, 'Assignee and watchers must be project members');
+        }
+    }
+};
+
+// Ensure tags come from the task's scope: the project's tags, or the
+// task owner's personal tags
+const checkTaggable = async (tagIds, scope) => {
+    const ids = [...new Set(tagIds.map(String))];
+    if (ids.length === 0) {
+        return;
+    }
+
+    const found = await Tag.countDocuments({ _id: { $in: ids }, ...Tag.scopeFilter(scope) });
+    if (found !== ids.length) {
+        throw new HttpError(400, scope.project
+            ? 'Tags must belong to the task\'s project'
+            : 'Tags must be personal tags of the task\'s owner');
+    }
+};
+
+// Normalise a submitted recurrence rule; monthly rules pin the day of month
+// from the due date so short months don't shift later occurrences
+const toRecurrence = (rule, dueDate) => {
+    if (!rule) {
+        return null;
+    }
+
+    const { frequency, interval, byWeekday, byMonthDay, until, count } = rule;
+    const due = new Date(dueDate);
+
+    return {
+        frequency,
+        interval: interval || 1,
+        byWeekday: frequency === 'weekly' && byWeekday && byWeekday.length > 0
+            ? [...new Set(byWeekday.map(Number))]
+            : (frequency === 'weekly' ? [due.getUTCDay()] : []),
+        byMonthDay: frequency === 'monthly' ? (byMonthDay || due.getUTCDate()) : undefined,
+        until: until || undefined,
+        count: count || undefined
+    };
+};
+
+// Build the Mongo filter shared by the task listing routes.
+// Lists a project's tasks when `project` is given; `assignee`/`createdBy`
+// (as params or in `q`) search everything the user can see; otherwise the
+// user's personal tasks.
+const buildTaskFilter = async (req) => {
+    const {
+        status, priority, search, q, project, assignee, createdBy, tag, dueFrom, dueTo
+    } = req.query;
+
+    // Check project access first, as the query can look up the project's tags
+    if (project) {
+        await findProjectForUser(project, req.user._id, 'viewer');
+    }
+    const parsed = q ? await parseTaskQuery(q, req.user._id, { project }) : null;
+
+    let query;
+    if (project) {
+        query = { project };
+    } else if (assignee || createdBy || parsed?.people) {
+        query = await accessibleTaskFilter(req.user._id);
+    } else {
+        query = { user: req.user._id, project: null };
+    }
+
+    // Tasks in the trash are listed separately
+    query.deletedAt = null;
+
+    if (assignee) {
+        query.assignee = assignee === 'none' ? null : resolveUserParam(assignee, req);
+    }
+
+    if (createdBy) {
+        query.user = resolveUserParam(createdBy, req);
+    }
+
+    if (status) {
+        query.status = status;
+    }
+
+    if (priority) {
+        query.priority = priority;
+    }
+
+    // Any of the given tags
+    if (tag) {
+        query.tags = { $in: tag.split(',') };
+    }
+
+    if (parsed?.conditions.length) {
+        query.$and = parsed.conditions;
+    }
+
+    // Words, "quoted phrases" and -excluded words, matched against the text index
+    const text = [search, parsed?.text].filter(Boolean).join(' ');
+    if (text) {
+        query.$text = { $search: text };
+    }
+
+    if (dueFrom || dueTo) {
+        query.dueDate = {
+            ...(dueFrom ? { $gte: new Date(dueFrom) } : {}),
+            ...(dueTo ? { $lte: new Date(dueTo) } : {})
+        };
+    }
+
+    return query;
+};
+
+// @route   GET /api/tasks/calendar.ics
+// @desc    iCalendar feed of your tasks, accepting the same filters as GET /api/tasks
+//          plus `type` (event or todo)
+// @access  Public (secret feed token)
+router.get('/calendar.ics', validateListQuery, async (req, res) => {
     try {
-        const { status, priority, search, sortBy, order } = req.query;
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
 
-        // Build query
-        const query = { user: req.user._id };
+        const { token, project, type } = req.query;
+        const user = typeof token === 'string' && token
+            ? await User.findOne({ calendarToken: token })
+            : null;
 
-        if (status) {
-            query.status = status;
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid calendar feed token'
+            });
         }
 
-        if (priority) {
-            query.priority = priority;
+        // The feed token stands in for the usual authenticated user
+        req.user = user;
+        const query = await buildTaskFilter(req);
+        const tasks = await Task.find(query).sort({ dueDate: 1, _id: 1 }).limit(FEED_LIMIT);
+
+        const name = project
+            ? (await Project.findById(project).select('name')).name
+            : `${user.name}'s tasks`;
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="tasks.ics"',
+            'Cache-Control': 'private, max-age=300'
+        });
+        res.send(buildCalendar(tasks, { name, type }));
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
         }
+        console.error('Calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build calendar feed',
+            error: error.message
+        });
+    }
+});
 
-        if (search) {
-            query.title = { $regex: search, $options: 'i' };
+// All other routes are protected
+router.use(auth);
+// Changes (here and in the nested task routes) can carry an Idempotency-Key
+router.use(idempotent);
+
+// @route   GET /api/tasks
+// @desc    Get a page of personal or project tasks with filtering, full-text search and sorting
+// @access  Private
+router.get('/', validateListQuery, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
         }
 
-        // Build sort object
-        let sort = {};
-        if (sortBy) {
-            const sortOrder = order === 'desc' ? -1 : 1;
-            sort[sortBy] = sortOrder;
-        } else {
-            sort.createdAt = -1; // Default: newest first
+        const { sortBy, order, cursor } = req.query;
+        const limit = parseLimit(req.query.limit);
+
+        const query = await buildTaskFilter(req);
+
+        // Searches rank by relevance unless another sort is asked for
+        if (query.$text && (!sortBy || sortBy === 'relevance')) {
+            const offset = cursor ? decodeOffsetCursor(cursor) : 0;
+            const score = { $meta: 'textScore' };
+
+            const [tasks, total] = await Promise.all([
+                Task.populateRefs(
+                    Task.find(query)
+                        .select({ score })
+                        .sort({ score, _id: -1 })
+                        .skip(offset)
+                        .limit(limit + 1)
+                ),
+                Task.countDocuments(query)
+            ]);
+
+            const hasMore = tasks.length > limit;
+            if (hasMore) {
+                tasks.pop();
+            }
+
+            return res.json({
+                success: true,
+                count: tasks.length,
+                total,
+                hasMore,
+                nextCursor: hasMore ? encodeOffsetCursor(offset + limit) : null,
+                tasks
+            });
         }
 
-        const tasks = await Task.find(query).sort(sort);
+        const { field, direction, sort } = buildSort(sortBy, order);
+
+        const pageQuery = cursor
+            ? { $and: [query, cursorFilter(cursor, field, direction)] }
+            : query;
+
+        // Fetch one extra task to know whether another page exists
+        const [tasks, total] = await Promise.all([
+            Task.populateRefs(Task.find(pageQuery).sort(sort).limit(limit + 1)),
+            Task.countDocuments(query)
+        ]);
+
+        const hasMore = tasks.length > limit;
+        if (hasMore) {
+            tasks.pop();
+        }
 
         res.json({
             success: true,
             count: tasks.length,
+            total,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(tasks[tasks.length - 1], field) : null,
             tasks
         });
     } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
         console.error('Get tasks error:', error);
         res.status(500).json({
             success: false,
@@ -69,28 +506,274 @@ router.get('/', async (req, res) => {
     }
 });
 
-// @route   GET /api/tasks/:id
-// @desc    Get single task
+// @route   GET /api/tasks/trash
+// @desc    Get deleted personal or project tasks, most recently deleted first
+// @access  Private (editor when in a project)
+router.get('/trash', async (req, res) => {
+    try {
+        const { project } = req.query;
+
+        let query;
+        if (project) {
+            await findProjectForUser(project, req.user._id, 'editor');
+            query = { project };
+        } else {
+            query = {
+                project: null,
+                $or: [{ user: req.user._id }, { assignee: req.user._id }]
+            };
+        }
+
+        const tasks = await Task.populateRefs(
+            Task.find({ ...query, deletedAt: { $ne: null } }).sort({ deletedAt: -1 })
+        );
+
+        res.json({
+            success: true,
+            count: tasks.length,
+            retentionDays: TRASH_RETENTION_DAYS,
+            tasks: tasks.map((task) => ({
+                ...task.toObject(),
+                purgeAt: purgeDate(task.deletedAt)
+            }))
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Get trash error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch trash',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/tasks/export
+// @desc    Download personal or project tasks as CSV or JSON, with the list filters and sort
 // @access  Private
-router.get('/:id', async (req, res) => {
+router.get('/export', validateListQuery, async (req, res) => {
     try {
-        const task = await Task.findOne({
-            _id: req.params.id,
-            user: req.user._id
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const format = req.query.format === 'json' ? 'json' : 'csv';
+        const query = await buildTaskFilter(req);
+        const { sort } = buildSort(req.query.sortBy, req.query.order);
+
+        const tasks = await Task.populateRefs(
+            Task.find(query).sort(sort).limit(EXPORT_LIMIT)
+        );
+
+        const filename = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.set({
+            'Content-Type': format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${filename}"`
+        });
+        res.send(format === 'json' ? exportJson(tasks) : exportCsv(tasks));
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Export tasks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export tasks',
+            error: error.message
         });
+    }
+});
+
+// @route   POST /api/tasks/import
+// @desc    Create tasks from an uploaded CSV or JSON `file`, checking each row
+//          with the same rules as POST /api/tasks. `dryRun=true` only validates.
+// @access  Private (editor when importing into a project)
+router.post('/import', uploadImportFile, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload a CSV or JSON file in the "file" field'
+            });
+        }
+
+        const { project } = req.query;
+        const dryRun = req.query.dryRun === 'true';
+        const isJsonFile = /\.json$/i.test(req.file.originalname) || req.file.mimetype === 'application/json';
+        const format = ['csv', 'json'].includes(req.query.format)
+            ? req.query.format
+            : (isJsonFile ? 'json' : 'csv');
 
-        if (!task) {
-            return res.status(404).json({
+        if (project) {
+            await findProjectForUser(project, req.user._id, 'editor');
+        }
+
+        let rows;
+        try {
+            rows = parseImportFile(req.file.buffer, format);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: `Could not read ${format.toUpperCase()} file: ${error.message}`
+            });
+        }
+
+        if (rows.length > IMPORT_LIMIT) {
+            return res.status(400).json({
                 success: false,
-                message: 'Task not found'
+                message: `Imports are limited to ${IMPORT_LIMIT} tasks`
             });
         }
 
+        const results = [];
+
+        for (const [index, row] of rows.entries()) {
+            const result = { row: index + 1, title: row.title };
+
+            try {
+                const problems = [
+                    ...await resolvePeople(row),
+                    ...await resolveTags(row, { project, user: req.user._id })
+                ];
+
+                // Run the create-task validation chains against the row
+                const rowReq = { body: row };
+                for (const chain of validateTask) {
+                    await chain.run(rowReq);
+                }
+                problems.push(...validationResult(rowReq).array().map((error) => error.msg));
+
+                if (problems.length === 0) {
+                    await checkAssignable([row.assignee, ...(row.watchers || [])], project);
+                    await checkTaggable(row.tags || [], { project, user: req.user._id });
+                }
+
+                if (problems.length > 0) {
+                    results.push({ ...result, success: false, errors: [...new Set(problems)] });
+                    continue;
+                }
+
+                if (!dryRun) {
+                    const task = new Task({
+                        title: row.title,
+                        description: row.description,
+                        priority: row.priority,
+                        status: row.status,
+                        dueDate: row.dueDate,
+                        user: req.user._id,
+                        project: project || null,
+                        assignee: row.assignee || null,
+                        watchers: row.watchers || [],
+                        tags: [...new Set(row.tags || [])],
+                        checklist: toChecklist(row.checklist || []),
+                        autoComplete: row.autoComplete,
+                        recurrence: toRecurrence(row.recurrence, row.dueDate)
+                    });
+
+                    await task.save();
+                    await recordHistory(task, req.user._id, 'create');
+                    publishTaskEvent('created', task);
+                    result.task = task._id;
+                }
+
+                results.push({ ...result, success: true });
+            } catch (error) {
+                if (!(error instanceof HttpError)) {
+                    console.error('Import row error:', error);
+                }
+                results.push({
+                    ...result,
+                    success: false,
+                    errors: [error instanceof HttpError ? error.message : 'Failed to import task']
+                });
+            }
+        }
+
+        const valid = results.filter((result) => result.success).length;
+
+        res.status(dryRun ? 200 : 201).json({
+            success: true,
+            message: dryRun
+                ? `${valid} of ${results.length} tasks are ready to import`
+                : `Imported ${valid} of ${results.length} tasks`,
+            dryRun,
+            total: results.length,
+            valid,
+            invalid: results.length - valid,
+            imported: dryRun ? 0 : valid,
+            results
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Import tasks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import tasks',
+            error: error.message
+        });
+    }
+});
+
+// Sub-resources nested under a task
+router.use('/:id/checklist', require('./checklist'));
+router.use('/:id/comments', require('./comments'));
+router.use('/:id/attachments', require('./attachments'));
+router.use('/:id/dependencies', require('./dependencies'));
+
+// @route   GET /api/tasks/:id/history
+// @desc    Get a task's change history, newest first
+// @access  Private (viewer)
+router.get('/:id/history', async (req, res) => {
+    try {
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'viewer');
+
+        const history = await TaskHistory.find({ task: task._id })
+            .sort({ createdAt: -1 })
+            .populate('actor', 'name email');
+
+        res.json({
+            success: true,
+            count: history.length,
+            history
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Get task history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch task history',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/tasks/:id
+// @desc    Get single task
+// @access  Private (viewer)
+router.get('/:id', async (req, res) => {
+    try {
+        const { task, role } = await findTaskForUser(req.params.id, req.user._id, 'viewer');
+
         res.json({
             success: true,
-            task
+            task: await Task.populateRefs(task),
+            role
         });
     } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
         console.error('Get task error:', error);
         res.status(500).json({
             success: false,
@@ -101,8 +784,8 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/tasks
-// @desc    Create new task
-// @access  Private
+// @desc    Create new personal or project task
+// @access  Private (editor when in a project)
 router.post('/', validateTask, async (req, res) => {
     try {
         // Check validation errors
@@ -114,7 +797,16 @@ router.post('/', validateTask, async (req, res) => {
             });
         }
 
-        const { title, description, priority, status, dueDate } = req.body;
+        const {
+            title, description, priority, status, dueDate, project, assignee,
+            watchers = [], tags = [], checklist = [], autoComplete, recurrence
+        } = req.body;
+
+        if (project) {
+            await findProjectForUser(project, req.user._id, 'editor');
+        }
+        await checkAssignable([assignee, ...watchers], project);
+        await checkTaggable(tags, { project, user: req.user._id });
 
         const task = new Task({
             title,
@@ -122,17 +814,29 @@ router.post('/', validateTask, async (req, res) => {
             priority,
             status,
             dueDate,
-            user: req.user._id
+            user: req.user._id,
+            project: project || null,
+            assignee: assignee || null,
+            watchers,
+            tags: [...new Set(tags)],
+            checklist: toChecklist(checklist),
+            autoComplete,
+            recurrence: toRecurrence(recurrence, dueDate)
         });
 
         await task.save();
+        await recordHistory(task, req.user._id, 'create');
+        publishTaskEvent('created', task);
 
         res.status(201).json({
             success: true,
             message: 'Task created successfully',
-            task
+            task: await Task.populateRefs(task)
         });
     } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
         console.error('Create task error:', error);
         res.status(500).json({
             success: false,
@@ -142,10 +846,10 @@ router.post('/', validateTask, async (req, res) => {
     }
 });
 
-// @route   PUT /api/tasks/:id
-// @desc    Update task
-// @access  Private
-router.put('/:id', validateTask, async (req, res) => {
+// @route   POST /api/tasks/bulk
+// @desc    Apply one action to several tasks, reporting the outcome per task
+// @access  Private (editor on each task)
+router.post('/bulk', validateBulk, async (req, res) => {
     try {
         // Check validation errors
         const errors = validationResult(req);
@@ -156,35 +860,158 @@ router.put('/:id', validateTask, async (req, res) => {
             });
         }
 
-        const { title, description, priority, status, dueDate } = req.body;
+        const { action, value } = req.body;
+        const ids = [...new Set(req.body.ids)];
+        const results = [];
+
+        // One task at a time, so a failure only affects its own result
+        for (const id of ids) {
+            try {
+                const { task } = await findTaskForUser(id, req.user._id, 'editor');
+                const before = snapshotTask(task);
+                let nextTask = null;
+
+                // Saved only if nobody changed the task since it was loaded here
+                if (action === 'delete') {
+                    task.deletedAt = new Date();
+                    await saveIfUnchanged(task);
+                    await recordHistory(task, req.user._id, 'delete', before);
+                    publishTaskEvent('deleted', task, before);
+                } else {
+                    if (action === 'status') {
+                        await checkUnblocked(task, value);
+                        task.status = value;
+                    } else if (action === 'priority') {
+                        task.priority = value;
+                    } else {
+                        task.dueDate = new Date(task.dueDate.getTime() + value * 24 * 60 * 60 * 1000);
+                    }
+
+                    await saveIfUnchanged(task);
+                    await recordHistory(task, req.user._id, 'update', before);
+                    publishTaskEvent('updated', task, before);
+
+                    nextTask = await task.spawnNextOccurrence();
+                    if (nextTask) {
+                        await recordHistory(nextTask, req.user._id, 'create');
+                        publishTaskEvent('created', nextTask);
+                    }
+                }
+
+                results.push({ id, success: true, task: await Task.populateRefs(task), nextTask });
+            } catch (error) {
+                if (!(error instanceof HttpError)) {
+                    console.error('Bulk task error:', error);
+                }
+                results.push({
+                    id,
+                    success: false,
+                    message: error instanceof HttpError ? error.message : 'Failed to update task'
+                });
+            }
+        }
+
+        const succeeded = results.filter((result) => result.success).length;
 
-        let task = await Task.findOne({
-            _id: req.params.id,
-            user: req.user._id
+        res.json({
+            success: true,
+            message: `${succeeded} of ${results.length} tasks updated`,
+            succeeded,
+            failed: results.length - succeeded,
+            results
         });
+    } catch (error) {
+        console.error('Bulk update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to apply bulk action',
+            error: error.message
+        });
+    }
+});
 
-        if (!task) {
-            return res.status(404).json({
+// @route   PUT /api/tasks/:id
+// @desc    Update task. Send the version the edit is based on as
+//          `If-Match: "<version>"` (or `version` in the body) to get a 409
+//          with the current task instead of overwriting someone else's changes.
+// @access  Private (editor)
+router.put('/:id', validateTask, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
                 success: false,
-                message: 'Task not found'
+                errors: errors.array()
             });
         }
 
-        // Update fields
+        const {
+            title, description, priority, status, dueDate, assignee, watchers, tags, checklist,
+            autoComplete, recurrence
+        } = req.body;
+
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'editor');
+        await checkVersion(task, req);
+        await checkUnblocked(task, status);
+        const before = snapshotTask(task);
+
+        // Update fields; priority and status keep their value when left out
         task.title = title;
         task.description = description;
-        task.priority = priority;
-        task.status = status;
         task.dueDate = dueDate;
+        if (priority !== undefined) {
+            task.priority = priority;
+        }
+        if (status !== undefined) {
+            task.status = status;
+        }
 
-        await task.save();
+        // People are only replaced when sent, so older clients don't unassign
+        if (assignee !== undefined || watchers !== undefined) {
+            await checkAssignable([assignee, ...(watchers || [])], task.project);
+        }
+        if (assignee !== undefined) {
+            task.assignee = assignee || null;
+        }
+        if (watchers !== undefined) {
+            task.watchers = watchers;
+        }
+        if (tags !== undefined) {
+            await checkTaggable(tags, task);
+            task.tags = [...new Set(tags)];
+        }
+        if (checklist !== undefined) {
+            task.checklist = toChecklist(checklist);
+        }
+        if (autoComplete !== undefined) {
+            task.autoComplete = autoComplete;
+        }
+        if (recurrence !== undefined) {
+            task.recurrence = toRecurrence(recurrence, dueDate);
+        }
 
-        res.json({
+        await saveIfUnchanged(task);
+        await recordHistory(task, req.user._id, 'update', before);
+        publishTaskEvent('updated', task, before);
+
+        // Completing a recurring task schedules its next occurrence
+        const nextTask = await task.spawnNextOccurrence();
+        if (nextTask) {
+            await recordHistory(nextTask, req.user._id, 'create');
+            publishTaskEvent('created', nextTask);
+        }
+
+        res.set('ETag', versionTag(task)).json({
             success: true,
             message: 'Task updated successfully',
-            task
+            task: await Task.populateRefs(task),
+            nextTask
         });
     } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
         console.error('Update task error:', error);
         res.status(500).json({
             success: false,
@@ -194,28 +1021,175 @@ router.put('/:id', validateTask, async (req, res) => {
     }
 });
 
-// @route   DELETE /api/tasks/:id
-// @desc    Delete task
-// @access  Private
-router.delete('/:id', async (req, res) => {
+// @route   PATCH /api/tasks/:id
+// @desc    Partially update a task with a JSON Merge Patch: only the fields
+//          sent change, null clears optional fields and `recurrence` is merged
+//          into the current rule. Honours If-Match like PUT.
+// @access  Private (editor)
+router.patch('/:id', validatePatch, async (req, res) => {
     try {
-        const task = await Task.findOneAndDelete({
-            _id: req.params.id,
-            user: req.user._id
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const patch = req.body;
+        const sent = (field) => patch[field] !== undefined;
+
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'editor');
+        await checkVersion(task, req);
+        if (sent('status')) {
+            await checkUnblocked(task, patch.status);
+        }
+        const before = snapshotTask(task);
+
+        ['title', 'priority', 'status', 'dueDate', 'autoComplete'].forEach((field) => {
+            if (sent(field)) {
+                task[field] = patch[field];
+            }
         });
+        if (sent('description')) {
+            task.description = patch.description ?? undefined;
+        }
 
-        if (!task) {
-            return res.status(404).json({
+        if (sent('assignee') || sent('watchers')) {
+            await checkAssignable([patch.assignee, ...(patch.watchers || [])], task.project);
+        }
+        if (sent('assignee')) {
+            task.assignee = patch.assignee;
+        }
+        if (sent('watchers')) {
+            task.watchers = patch.watchers;
+        }
+        if (sent('tags')) {
+            await checkTaggable(patch.tags, task);
+            task.tags = [...new Set(patch.tags)];
+        }
+        if (sent('checklist')) {
+            task.checklist = toChecklist(patch.checklist);
+        }
+
+        // The rule is rebuilt after the due date changes, which it depends on
+        if (sent('recurrence')) {
+            const rule = patch.recurrence && mergePatch(task.recurrence ? task.recurrence.toObject() : {}, patch.recurrence);
+            if (rule && !rule.frequency) {
+                throw new HttpError(400, 'Recurrence frequency is required');
+            }
+            task.recurrence = toRecurrence(rule, task.dueDate);
+        }
+
+        await saveIfUnchanged(task);
+        await recordHistory(task, req.user._id, 'update', before);
+        publishTaskEvent('updated', task, before);
+
+        // Completing a recurring task schedules its next occurrence
+        const nextTask = await task.spawnNextOccurrence();
+        if (nextTask) {
+            await recordHistory(nextTask, req.user._id, 'create');
+            publishTaskEvent('created', nextTask);
+        }
+
+        res.set('ETag', versionTag(task)).json({
+            success: true,
+            message: 'Task updated successfully',
+            task: await Task.populateRefs(task),
+            nextTask
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Patch task error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update task',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/tasks/:id/move
+// @desc    Move a task on the board: change its status column and/or place it
+//          between afterId (the task above) and beforeId (the task below)
+// @access  Private (editor)
+router.post('/:id/move', validateMove, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
                 success: false,
-                message: 'Task not found'
+                errors: errors.array()
             });
         }
 
+        const { afterId, beforeId } = req.body;
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'editor');
+        const status = req.body.status || task.status;
+        await checkUnblocked(task, status);
+        const before = snapshotTask(task);
+
+        // Saved only if nobody changed the task since it was loaded, as a
+        // move into another column changes its status
+        const { rebalanced } = await moveTask(task, status, { afterId, beforeId });
+        await recordHistory(task, req.user._id, 'update', before);
+        publishTaskEvent('updated', task, before);
+
+        // Dropping a recurring task in Completed schedules its next occurrence
+        const nextTask = await task.spawnNextOccurrence();
+        if (nextTask) {
+            await recordHistory(nextTask, req.user._id, 'create');
+            publishTaskEvent('created', nextTask);
+        }
+
+        res.json({
+            success: true,
+            message: 'Task moved successfully',
+            task: await Task.populateRefs(task),
+            nextTask,
+            rebalanced
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Move task error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to move task',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/tasks/:id
+// @desc    Move task to the trash; with If-Match, only if it is unchanged
+// @access  Private (editor)
+router.delete('/:id', async (req, res) => {
+    try {
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'editor');
+        await checkVersion(task, req);
+        const before = snapshotTask(task);
+
+        task.deletedAt = new Date();
+
+        await saveIfUnchanged(task);
+        await recordHistory(task, req.user._id, 'delete', before);
+        publishTaskEvent('deleted', task, before);
+
         res.json({
             success: true,
-            message: 'Task deleted successfully'
+            message: 'Task moved to trash',
+            purgeAt: purgeDate(task.deletedAt)
         });
     } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
         console.error('Delete task error:', error);
         res.status(500).json({
             success: false,
@@ -225,4 +1199,35 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+// @route   POST /api/tasks/:id/restore
+// @desc    Restore a task from the trash
+// @access  Private (editor)
+router.post('/:id/restore', async (req, res) => {
+    try {
+        const { task } = await findTaskForUser(req.params.id, req.user._id, 'editor', { deleted: true });
+
+        task.deletedAt = null;
+
+        await task.save();
+        await recordHistory(task, req.user._id, 'restore');
+        publishTaskEvent('created', task);
+
+        res.json({
+            success: true,
+            message: 'Task restored successfully',
+            task: await Task.populateRefs(task)
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Restore task error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to restore task',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
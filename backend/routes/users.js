@@ -0,0 +1,144 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { query: queryParam, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const auth = require('../middleware/auth');
+const { HttpError, sendHttpError } = require('../utils/httpError');
+const { escapeRegex } = require('../utils/regex');
+const { findProjectForUser } = require('../utils/taskAccess');
+
+// All routes are protected
+router.use(auth);
+
+const SEARCH_LIMIT = 10;
+
+// Absolute URL of the user's iCalendar feed
+const calendarFeedUrl = (req, token) =>
+    `${req.protocol}://${req.get('host')}/api/tasks/calendar.ics?token=${token}`;
+
+const sendCalendarFeed = (req, res, token) => {
+    res.json({
+        success: true,
+        token,
+        url: calendarFeedUrl(req, token)
+    });
+};
+
+const validateSearch = [
+    queryParam('q').optional().isString().withMessage('Search term must be a string'),
+    queryParam('project').optional().isString().withMessage('Project must be a single ID')
+];
+
+// You and everyone who shares a project with you
+const findColleagueIds = async (userId) => {
+    const projects = await Project.find({ 'members.user': userId }).select('members.user').lean();
+    return [userId, ...projects.flatMap((project) => project.members.map((m) => m.user))];
+};
+
+// @route   GET /api/users/search
+// @desc    Find users by name or email, optionally limited to a project's members.
+//          Without a project, only people you share a project with match by
+//          name or partial email; anyone else is found by their full email.
+// @access  Private
+router.get('/search', validateSearch, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const q = (req.query.q || '').trim();
+        const { project } = req.query;
+        const pattern = new RegExp(escapeRegex(q), 'i');
+        const matchesTerm = q ? { $or: [{ name: pattern }, { email: pattern }] } : {};
+
+        let query;
+        if (project) {
+            const { project: found } = await findProjectForUser(project, req.user._id, 'viewer');
+            query = { _id: { $in: found.members.map((m) => m.user) }, ...matchesTerm };
+        } else if (q.length < 2) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search term must be at least 2 characters'
+            });
+        } else {
+            query = {
+                $or: [
+                    { _id: { $in: await findColleagueIds(req.user._id) }, ...matchesTerm },
+                    { email: q.toLowerCase() }
+                ]
+            };
+        }
+
+        const users = await User.find(query)
+            .select('name email')
+            .sort({ name: 1 })
+            .limit(SEARCH_LIMIT);
+
+        res.json({
+            success: true,
+            count: users.length,
+            users
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Search users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to search users',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/users/calendar-feed
+// @desc    Get your iCalendar feed link, creating it on first use
+// @access  Private
+router.get('/calendar-feed', async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+calendarToken');
+
+        if (!user.calendarToken) {
+            user.calendarToken = crypto.randomBytes(24).toString('hex');
+            await user.save();
+        }
+
+        sendCalendarFeed(req, res, user.calendarToken);
+    } catch (error) {
+        console.error('Get calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get calendar feed',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/users/calendar-feed/rotate
+// @desc    Replace your iCalendar feed link; the old link stops working
+// @access  Private
+router.post('/calendar-feed/rotate', async (req, res) => {
+    try {
+        const token = crypto.randomBytes(24).toString('hex');
+        await User.updateOne({ _id: req.user._id }, { calendarToken: token });
+
+        sendCalendarFeed(req, res, token);
+    } catch (error) {
+        console.error('Rotate calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to rotate calendar feed',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
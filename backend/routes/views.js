@@ -0,0 +1,236 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const SavedView = require('../models/SavedView');
+const auth = require('../middleware/auth');
+const { HttpError, sendHttpError } = require('../utils/httpError');
+const { findProjectForUser } = require('../utils/taskAccess');
+const { parseTaskQuery } = require('../utils/taskQuery');
+
+// All routes are protected
+router.use(auth);
+
+// Validation middleware
+const validateView = [
+    body('name').trim().notEmpty().withMessage('Name is required')
+        .isLength({ max: 50 }).withMessage('Name cannot exceed 50 characters'),
+    body('project').optional({ values: 'null' }).isMongoId()
+        .withMessage('Project must be a valid project ID'),
+    body('filters.q').optional().isString().trim()
+        .isLength({ max: 500 }).withMessage('Query cannot exceed 500 characters'),
+    body('filters.status').optional().isIn(['', 'Todo', 'In Progress', 'Completed'])
+        .withMessage('Status must be Todo, In Progress, or Completed'),
+    body('filters.priority').optional().isIn(['', 'Low', 'Medium', 'High'])
+        .withMessage('Priority must be Low, Medium, or High'),
+    body('filters.people').optional().isIn(['', 'assigned', 'created'])
+        .withMessage('People filter must be assigned or created'),
+    body('sort.sortBy').optional().isIn(SavedView.SORT_FIELDS)
+        .withMessage(`Sort field must be one of ${SavedView.SORT_FIELDS.join(', ')}`),
+    body('sort.order').optional().isIn(['asc', 'desc'])
+        .withMessage('Sort order must be asc or desc'),
+    body('layout').optional().isIn(SavedView.LAYOUTS)
+        .withMessage('Layout must be list or board')
+];
+
+// Load one of the user's own views
+const findViewForUser = async (viewId, userId) => {
+    const view = mongoose.Types.ObjectId.isValid(viewId)
+        ? await SavedView.findOne({ _id: viewId, user: userId })
+        : null;
+
+    if (!view) {
+        throw new HttpError(404, 'View not found');
+    }
+    return view;
+};
+
+// Copy the view fields from a request body, checking the project and query
+const applyViewFields = async (view, reqBody, userId) => {
+    const { name, project = null, filters = {}, sort = {}, layout = 'list' } = reqBody;
+
+    if (project) {
+        await findProjectForUser(project, userId, 'viewer');
+    }
+    // Reject queries that would fail every time the view is opened
+    if (filters.q) {
+        await parseTaskQuery(filters.q, userId, { project });
+    }
+
+    view.set({
+        name,
+        project,
+        filters: {
+            q: filters.q || '',
+            status: filters.status || '',
+            priority: filters.priority || '',
+            people: filters.people || ''
+        },
+        sort: {
+            sortBy: sort.sortBy || 'createdAt',
+            order: sort.order || 'desc'
+        },
+        layout
+    });
+};
+
+const duplicateName = (res) => res.status(409).json({
+    success: false,
+    message: 'You already have a view with this name'
+});
+
+// @route   GET /api/views
+// @desc    Get your saved views across personal tasks and projects
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const views = await SavedView.find({ user: req.user._id })
+            .populate('project', 'name')
+            .sort({ name: 1 });
+
+        res.json({
+            success: true,
+            count: views.length,
+            views
+        });
+    } catch (error) {
+        console.error('Get views error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch views',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/views
+// @desc    Save the current filters, sort and layout as a named view
+// @access  Private (viewer of `project`, if given)
+router.post('/', validateView, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const view = new SavedView({ user: req.user._id });
+        await applyViewFields(view, req.body, req.user._id);
+        await view.save();
+        await view.populate('project', 'name');
+
+        res.status(201).json({
+            success: true,
+            message: 'View saved successfully',
+            view
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        if (error.code === 11000) {
+            return duplicateName(res);
+        }
+        console.error('Create view error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save view',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/views/:id
+// @desc    Get a single saved view
+// @access  Private (view owner)
+router.get('/:id', async (req, res) => {
+    try {
+        const view = await findViewForUser(req.params.id, req.user._id);
+        await view.populate('project', 'name');
+
+        res.json({
+            success: true,
+            view
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Get view error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch view',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/views/:id
+// @desc    Replace a view's name, filters, sort and layout
+// @access  Private (view owner)
+router.put('/:id', validateView, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const view = await findViewForUser(req.params.id, req.user._id);
+        await applyViewFields(view, req.body, req.user._id);
+        await view.save();
+        await view.populate('project', 'name');
+
+        res.json({
+            success: true,
+            message: 'View updated successfully',
+            view
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        if (error.code === 11000) {
+            return duplicateName(res);
+        }
+        console.error('Update view error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update view',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/views/:id
+// @desc    Delete a saved view
+// @access  Private (view owner)
+router.delete('/:id', async (req, res) => {
+    try {
+        const view = await findViewForUser(req.params.id, req.user._id);
+        await view.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'View deleted successfully'
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        console.error('Delete view error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete view',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
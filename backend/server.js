@@ -6,11 +6,14 @@ const dotenv = require('dotenv');
 // Load environment variables
 dotenv.config();
 
+const { scheduleTrashPurge } = require('./utils/trash');
+
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// PATCH /api/tasks/:id also takes JSON Merge Patch documents
+app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: true }));
 
 // MongoDB Connection
@@ -18,12 +21,20 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+  scheduleTrashPurge();
+})
 .catch((err) => console.error('❌ MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/tasks', require('./routes/tasks'));
+app.use('/api/projects', require('./routes/projects'));
+app.use('/api/users', require('./routes/users'));
+app.use('/api/views', require('./routes/views'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/events', require('./routes/events'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
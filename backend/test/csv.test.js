@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+describe('csv', () => {
+    it('quotes fields with delimiters, quotes and line breaks', () => {
+        const csv = toCsv([{ a: 'one, two', b: 'say "hi"', c: 'line\nbreak' }], ['a', 'b', 'c']);
+
+        assert.strictEqual(csv, 'a,b,c\r\n"one, two","say ""hi""","line\nbreak"\r\n');
+    });
+
+    it('guards cells a spreadsheet would run as formulas', () => {
+        const rows = [{ value: '=SUM(A1:A9)' }, { value: '+1' }, { value: '-1' }, { value: '@me' }, { value: 'a=b' }];
+
+        const csv = toCsv(rows, ['value']);
+
+        assert.strictEqual(csv, 'value\r\n\'=SUM(A1:A9)\r\n\'+1\r\n\'-1\r\n\'@me\r\na=b\r\n');
+    });
+
+    it('reads guarded cells back as written', () => {
+        const rows = [
+            { value: '=SUM(A1:A9)' },
+            { value: '-x, y' },
+            { value: '\'=already quoted' },
+            { value: 'it\'s' },
+            { value: '\'plain' }
+        ];
+
+        assert.deepStrictEqual(parseCsv(toCsv(rows, ['value'])), rows);
+    });
+
+    it('skips blank lines and a byte order mark', () => {
+        const rows = parseCsv('\uFEFFtitle,done\r\n\r\nWrite,true\n,\nShip,\n');
+
+        assert.deepStrictEqual(rows, [{ title: 'Write', done: 'true' }, { title: 'Ship', done: '' }]);
+    });
+
+    it('rejects an unterminated quoted field', () => {
+        assert.throws(() => parseCsv('title\n"open'), /Unterminated quoted field/);
+    });
+});
@@ -0,0 +1,167 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const idempotent = require('../middleware/idempotency');
+
+// In-memory stand-in for the IdempotencyKey collection
+const fakeStore = () => {
+    const records = [];
+    const find = (filter) => records.find((r) => r._id === filter._id);
+
+    mock.method(IdempotencyKey, 'findOne', async ({ user, key }) => (
+        records.find((r) => r.user === user && r.key === key) || null
+    ));
+    mock.method(IdempotencyKey, 'create', async (doc) => {
+        const record = { _id: records.length + 1, status: null, body: null, ...doc };
+        records.push(record);
+        return record;
+    });
+    mock.method(IdempotencyKey, 'findOneAndUpdate', async (filter, update) => {
+        const record = find(filter);
+        const free = record && record.status === null && !(record.lockedUntil >= new Date());
+        return free ? Object.assign(record, update) : null;
+    });
+    mock.method(IdempotencyKey, 'updateOne', async (filter, update) => Object.assign(find(filter), update));
+    mock.method(IdempotencyKey, 'deleteOne', async (filter) => {
+        records.splice(records.indexOf(find(filter)), 1);
+    });
+    return records;
+};
+
+describe('idempotent middleware', () => {
+    let server;
+    let records;
+    let runs;
+    let status;
+
+    beforeEach(async () => {
+        records = fakeStore();
+        runs = 0;
+        status = 201;
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.user = { _id: 'user-1' };
+            next();
+        });
+        app.use(idempotent);
+        app.all('/api/tasks*', (req, res) => {
+            runs += 1;
+            res.status(status).set('ETag', `"${runs}"`).json({ run: runs });
+        });
+        await new Promise((resolve) => {
+            server = app.listen(0, resolve);
+        });
+    });
+
+    afterEach(() => {
+        server.close();
+        mock.restoreAll();
+    });
+
+    const url = (path) => `http://localhost:${server.address().port}/api/tasks${path}`;
+
+    const request = async (method, path, body, key) => {
+        const response = await fetch(url(path), {
+            method,
+            headers: { 'Content-Type': 'application/json', ...(key && { 'Idempotency-Key': key }) },
+            body: body && JSON.stringify(body)
+        });
+        return {
+            status: response.status,
+            replayed: response.headers.get('Idempotent-Replayed'),
+            body: await response.json()
+        };
+    };
+
+    it('replays the stored response for a repeated request', async () => {
+        const first = await request('POST', '', { title: 'Report' }, 'k1');
+        const second = await request('POST', '', { title: 'Report' }, 'k1');
+
+        assert.deepStrictEqual(first, { status: 201, replayed: null, body: { run: 1 } });
+        assert.deepStrictEqual(second, { status: 201, replayed: 'true', body: { run: 1 } });
+        assert.strictEqual(runs, 1);
+    });
+
+    it('sends the stored ETag again on replay', async () => {
+        await request('PUT', '/abc', { title: 'Report' }, 'k1');
+        const replay = await fetch(url('/abc'), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'k1' },
+            body: JSON.stringify({ title: 'Report' })
+        });
+
+        assert.strictEqual(replay.headers.get('Idempotent-Replayed'), 'true');
+        assert.strictEqual(replay.headers.get('ETag'), '"1"');
+        assert.strictEqual(runs, 1);
+    });
+
+    it('refuses a key on a file upload, whose body it cannot compare', async () => {
+        const form = new FormData();
+        form.append('file', new Blob(['title\nReport\n']), 'tasks.csv');
+
+        const response = await fetch(url('/import'), {
+            method: 'POST',
+            headers: { 'Idempotency-Key': 'k1' },
+            body: form
+        });
+
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(runs, 0);
+        assert.strictEqual(records.length, 0);
+    });
+
+    it('rejects a key reused for a different body or endpoint', async () => {
+        await request('POST', '', { title: 'Report' }, 'k1');
+
+        assert.strictEqual((await request('POST', '', { title: 'Other' }, 'k1')).status, 422);
+        assert.strictEqual((await request('PUT', '/abc', { title: 'Report' }, 'k1')).status, 422);
+        assert.strictEqual(runs, 1);
+    });
+
+    it('ignores reads and requests without a key', async () => {
+        await request('GET', '', null, 'k1');
+        await request('POST', '', { title: 'Report' });
+        await request('POST', '', { title: 'Report' });
+
+        assert.strictEqual(runs, 3);
+        assert.strictEqual(records.length, 0);
+    });
+
+    it('lets a request run again after a server error', async () => {
+        status = 500;
+        await request('DELETE', '/abc', null, 'k1');
+        status = 200;
+        const retry = await request('DELETE', '/abc', null, 'k1');
+
+        assert.deepStrictEqual(retry.body, { run: 2 });
+        assert.strictEqual(records[0].status, 200);
+    });
+
+    it('refuses a retry while the first request holds the key, until its lease runs out', async () => {
+        await request('POST', '', { title: 'Report' }, 'k1');
+        // As if the first request were still running
+        Object.assign(records[0], { status: null, body: null, lockedUntil: new Date(Date.now() + 60000) });
+
+        assert.strictEqual((await request('POST', '', { title: 'Report' }, 'k1')).status, 409);
+
+        // ...or had died before answering
+        records[0].lockedUntil = new Date(Date.now() - 1000);
+        const retry = await request('POST', '', { title: 'Report' }, 'k1');
+
+        assert.deepStrictEqual(retry, { status: 201, replayed: null, body: { run: 2 } });
+        assert.strictEqual(records[0].status, 201);
+    });
+
+    it('frees the key when the response cannot be stored', async () => {
+        IdempotencyKey.updateOne.mock.mockImplementation(async () => {
+            throw new Error('connection lost');
+        });
+        mock.method(console, 'error', () => {});
+
+        assert.strictEqual((await request('POST', '', { title: 'Report' }, 'k1')).status, 201);
+        assert.strictEqual(records.length, 0);
+    });
+});
@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { mergePatch } = require('../utils/mergePatch');
+
+describe('mergePatch', () => {
+    it('replaces values and removes keys set to null', () => {
+        const target = { frequency: 'weekly', interval: 2, until: '2026-12-31' };
+
+        const result = mergePatch(target, { interval: 3, until: null });
+
+        assert.deepStrictEqual(result, { frequency: 'weekly', interval: 3 });
+        assert.deepStrictEqual(target, { frequency: 'weekly', interval: 2, until: '2026-12-31' });
+    });
+
+    it('merges nested objects key by key', () => {
+        const result = mergePatch({ a: { b: 1, c: 2 }, d: 'x' }, { a: { c: null, e: 3 } });
+
+        assert.deepStrictEqual(result, { a: { b: 1, e: 3 }, d: 'x' });
+    });
+
+    it('replaces arrays and non-object values whole', () => {
+        const result = mergePatch({ byWeekday: [1, 3], a: 'text' }, { byWeekday: [5], a: { b: 1 } });
+
+        assert.deepStrictEqual(result, { byWeekday: [5], a: { b: 1 } });
+    });
+});
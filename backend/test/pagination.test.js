@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseLimit,
+    buildSort,
+    encodeCursor,
+    cursorFilter,
+    encodeOffsetCursor,
+    decodeOffsetCursor
+} = require('../utils/pagination');
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const isCursorError = (error) => error.name === 'CursorError' && error.status === 400;
+
+describe('pagination', () => {
+    it('clamps the page size', () => {
+        assert.strictEqual(parseLimit(undefined), DEFAULT_LIMIT);
+        assert.strictEqual(parseLimit('0'), DEFAULT_LIMIT);
+        assert.strictEqual(parseLimit('abc'), DEFAULT_LIMIT);
+        assert.strictEqual(parseLimit('5'), 5);
+        assert.strictEqual(parseLimit('1000'), MAX_LIMIT);
+    });
+
+    it('sorts by a known field with _id as the tie-breaker', () => {
+        assert.deepStrictEqual(buildSort('dueDate', 'asc').sort, { dueDate: 1, _id: 1 });
+        assert.deepStrictEqual(buildSort('title', 'desc').sort, { title: -1, _id: -1 });
+        assert.deepStrictEqual(buildSort('unknown', 'asc').sort, { createdAt: -1, _id: -1 });
+    });
+
+    it('pages after the cursor document in the sort direction', () => {
+        const doc = { _id: new mongoose.Types.ObjectId(), createdAt: new Date('2026-10-01T12:00:00Z') };
+
+        const filter = cursorFilter(encodeCursor(doc, 'createdAt'), 'createdAt', -1);
+
+        assert.deepStrictEqual(filter, {
+            $or: [
+                { createdAt: { $lt: doc.createdAt } },
+                { createdAt: doc.createdAt, _id: { $lt: doc._id } },
+                { createdAt: null }
+            ]
+        });
+    });
+
+    it('keeps numeric positions as numbers', () => {
+        const doc = { _id: new mongoose.Types.ObjectId(), position: 1536.5 };
+
+        const filter = cursorFilter(encodeCursor(doc, 'position'), 'position', 1);
+
+        assert.deepStrictEqual(filter.$or[0], { position: { $gt: 1536.5 } });
+    });
+
+    it('pages past documents missing the sort field', () => {
+        const doc = { _id: new mongoose.Types.ObjectId() };
+        const cursor = encodeCursor(doc, 'position');
+
+        // Missing positions sort first ascending...
+        assert.deepStrictEqual(cursorFilter(cursor, 'position', 1), {
+            $or: [
+                { position: null, _id: { $gt: doc._id } },
+                { position: { $ne: null } }
+            ]
+        });
+        // ...and last descending, after every task with a position
+        assert.deepStrictEqual(cursorFilter(cursor, 'position', -1), {
+            $or: [{ position: null, _id: { $lt: doc._id } }]
+        });
+        assert.deepStrictEqual(
+            cursorFilter(encodeCursor({ _id: doc._id, position: 2048 }, 'position'), 'position', -1).$or[2],
+            { position: null }
+        );
+    });
+
+    it('rejects malformed cursors', () => {
+        const id = new mongoose.Types.ObjectId().toString();
+
+        assert.throws(() => cursorFilter('not base64 json', 'createdAt', 1), isCursorError);
+        assert.throws(() => cursorFilter(encode({ v: 1, id: 'nope' }), 'title', 1), isCursorError);
+        assert.throws(() => cursorFilter(encode({ v: 'soon', id }), 'dueDate', 1), isCursorError);
+        assert.throws(() => cursorFilter(encode({ v: '5', id }), 'position', 1), isCursorError);
+    });
+
+    it('round-trips offset cursors and rejects bad offsets', () => {
+        assert.strictEqual(decodeOffsetCursor(encodeOffsetCursor(40)), 40);
+        assert.throws(() => decodeOffsetCursor(encode({ o: -1 })), isCursorError);
+        assert.throws(() => decodeOffsetCursor(encode({ o: 1.5 })), isCursorError);
+        assert.throws(() => decodeOffsetCursor('%%%'), isCursorError);
+    });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { nextOccurrence } = require('../utils/recurrence');
+
+const day = (text) => new Date(`${text}T09:30:00.000Z`);
+
+describe('nextOccurrence', () => {
+    it('steps daily rules by their interval, keeping the time of day', () => {
+        assert.deepStrictEqual(nextOccurrence({ frequency: 'daily' }, day('2026-01-30')), day('2026-01-31'));
+        assert.deepStrictEqual(nextOccurrence({ frequency: 'daily', interval: 3 }, day('2026-01-30')), day('2026-02-02'));
+    });
+
+    describe('weekly', () => {
+        const rule = { frequency: 'weekly', interval: 1, byWeekday: [5, 1, 3] };
+
+        it('moves to the next chosen weekday in the same week', () => {
+            // Wednesday to Friday
+            assert.deepStrictEqual(nextOccurrence(rule, day('2026-01-07')), day('2026-01-09'));
+        });
+
+        it('wraps past the end of the week to the first chosen weekday', () => {
+            // Friday to Monday
+            assert.deepStrictEqual(nextOccurrence(rule, day('2026-01-09')), day('2026-01-12'));
+        });
+
+        it('skips weeks by the interval only when wrapping', () => {
+            const fortnightly = { ...rule, interval: 2 };
+
+            assert.deepStrictEqual(nextOccurrence(fortnightly, day('2026-01-07')), day('2026-01-09'));
+            assert.deepStrictEqual(nextOccurrence(fortnightly, day('2026-01-09')), day('2026-01-19'));
+        });
+
+        it('repeats on the same weekday without chosen weekdays', () => {
+            assert.deepStrictEqual(nextOccurrence({ frequency: 'weekly' }, day('2026-01-07')), day('2026-01-14'));
+        });
+    });
+
+    describe('monthly', () => {
+        it('clamps the day to the end of shorter months', () => {
+            const rule = { frequency: 'monthly', byMonthDay: 31 };
+
+            assert.deepStrictEqual(nextOccurrence(rule, day('2026-01-31')), day('2026-02-28'));
+            assert.deepStrictEqual(nextOccurrence(rule, day('2028-01-31')), day('2028-02-29'));
+            assert.deepStrictEqual(nextOccurrence(rule, day('2026-03-31')), day('2026-04-30'));
+        });
+
+        it('returns to the chosen day after a short month', () => {
+            const rule = { frequency: 'monthly', byMonthDay: 31 };
+
+            assert.deepStrictEqual(nextOccurrence(rule, day('2026-02-28')), day('2026-03-31'));
+        });
+
+        it('steps by the interval across the end of the year', () => {
+            const rule = { frequency: 'monthly', interval: 3 };
+
+            assert.deepStrictEqual(nextOccurrence(rule, day('2026-11-15')), day('2027-02-15'));
+        });
+    });
+
+    describe('end of the series', () => {
+        it('stops once `count` occurrences exist', () => {
+            const rule = { frequency: 'daily', count: 3 };
+
+            assert.deepStrictEqual(nextOccurrence(rule, day('2026-01-02'), 2), day('2026-01-03'));
+            assert.strictEqual(nextOccurrence(rule, day('2026-01-03'), 3), null);
+        });
+
+        it('stops after `until`, which is itself included', () => {
+            const rule = { frequency: 'weekly', until: day('2026-01-14') };
+
+            assert.deepStrictEqual(nextOccurrence(rule, day('2026-01-07')), day('2026-01-14'));
+            assert.strictEqual(nextOccurrence(rule, day('2026-01-14')), null);
+        });
+
+        it('returns null without a usable rule', () => {
+            assert.strictEqual(nextOccurrence(null, day('2026-01-07')), null);
+            assert.strictEqual(nextOccurrence({ frequency: 'yearly' }, day('2026-01-07')), null);
+        });
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Task = require('../models/Task');
+const { checkUnblocked, createsCycle } = require('../utils/taskDependencies');
+
+// Serve Task.find(...).select('blockedBy') from a map of task ID to blockers
+const fakeGraph = (graph) => mock.method(Task, 'find', ({ _id: { $in: ids } }) => ({
+    select: async () => ids
+        .filter((id) => graph[id])
+        .map((id) => ({ _id: id, blockedBy: graph[id] }))
+}));
+
+// Task with the given blockers, of which `open` are still open
+const blockedTask = (status, blockedBy, open = []) => ({
+    status,
+    blockedBy,
+    findOpenBlockers: async () => open
+});
+
+describe('taskDependencies', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('createsCycle', () => {
+        it('finds a task reachable from the new blocker', async () => {
+            fakeGraph({ b: ['c'], c: ['a'] });
+
+            assert.strictEqual(await createsCycle('a', 'b'), true);
+        });
+
+        it('allows a blocker that does not lead back to the task', async () => {
+            fakeGraph({ b: ['c'], c: [], d: ['a'] });
+
+            assert.strictEqual(await createsCycle('a', 'b'), false);
+        });
+
+        it('visits each task once when blockers share dependencies', async () => {
+            const find = fakeGraph({ b: ['c', 'd'], c: ['e'], d: ['e'], e: ['c'] });
+
+            assert.strictEqual(await createsCycle('a', 'b'), false);
+            assert.strictEqual(find.mock.callCount(), 3);
+        });
+    });
+
+    describe('checkUnblocked', () => {
+        it('refuses to start a task with open blockers', async () => {
+            const task = blockedTask('Todo', ['b'], [{ _id: 'b', title: 'Design', status: 'Todo' }]);
+
+            await assert.rejects(checkUnblocked(task, 'In Progress'), (error) => {
+                assert.strictEqual(error.status, 409);
+                assert.strictEqual(error.message, 'Task is blocked by "Design"');
+                assert.strictEqual(error.details.blockers.length, 1);
+                return true;
+            });
+        });
+
+        it('allows the move once every blocker is done', async () => {
+            await checkUnblocked(blockedTask('Todo', ['b']), 'Completed');
+        });
+
+        it('only checks moves into a blocked status', async () => {
+            const task = blockedTask('In Progress', ['b'], [{ _id: 'b', title: 'Design' }]);
+            task.findOpenBlockers = () => assert.fail('blockers should not be loaded');
+
+            await checkUnblocked(task, 'Todo');
+            await checkUnblocked(task, 'In Progress');
+            await checkUnblocked(blockedTask('Todo', []), 'Completed');
+        });
+    });
+});
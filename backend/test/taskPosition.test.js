@@ -0,0 +1,167 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Task = require('../models/Task');
+const { computeMovePosition, moveTask } = require('../utils/taskPosition');
+
+// Whether a stored task matches the simple filters the board code builds
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    const value = doc[key] ?? null;
+    if (condition !== null && typeof condition === 'object') {
+        return (condition.$ne === undefined || value !== condition.$ne)
+            && (condition.$lt === undefined || value < condition.$lt)
+            && (condition.$gt === undefined || value > condition.$gt);
+    }
+    return value === condition;
+});
+
+const byOrder = (order) => (a, b) => {
+    for (const [key, direction] of Object.entries(order)) {
+        if (a[key] !== b[key]) {
+            return (a[key] < b[key] ? -1 : 1) * direction;
+        }
+    }
+    return 0;
+};
+
+// Chainable stand-in for the find queries, resolving on lean()
+const query = (docs, single) => {
+    let results = docs;
+    const chain = {
+        sort: (order) => {
+            results = [...results].sort(byOrder(order));
+            return chain;
+        },
+        select: () => chain,
+        lean: async () => (single ? results[0] || null : results.map((doc) => ({ ...doc })))
+    };
+    return chain;
+};
+
+// In-memory board column, with the Task statics the board code uses
+const fakeBoard = (docs) => {
+    const store = docs.map((doc) => ({ user: 'user-1', project: null, status: 'Todo', deletedAt: null, ...doc }));
+    const filtered = (filter) => store.filter((doc) => matches(doc, filter));
+
+    mock.method(Task, 'find', (filter) => query(filtered(filter), false));
+    mock.method(Task, 'findOne', (filter) => query(filtered(filter), true));
+    mock.method(Task, 'exists', async (filter) => (filtered(filter)[0] ? { _id: filtered(filter)[0]._id } : null));
+    mock.method(Task, 'bulkWrite', async (ops) => {
+        ops.forEach(({ updateOne: { filter, update } }) => {
+            Object.assign(store.find((doc) => doc._id === filter._id), update.$set);
+        });
+    });
+    return store;
+};
+
+// The task being moved, saving into the board
+const movingTask = (store, id) => {
+    const doc = store.find((d) => d._id === id);
+    return {
+        ...doc,
+        version: 1,
+        columnFilter: Task.schema.methods.columnFilter,
+        save: async function () {
+            Object.assign(doc, { status: this.status, position: this.position });
+        }
+    };
+};
+
+describe('taskPosition', () => {
+    let store;
+
+    beforeEach(() => {
+        store = fakeBoard([
+            { _id: 'a', position: 1024 },
+            { _id: 'b', position: 2048 },
+            { _id: 'c', position: 3072 },
+            { _id: 'd', status: 'In Progress', position: 1024 }
+        ]);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('places a task between the given neighbours', async () => {
+        const task = movingTask(store, 'd');
+
+        const { position, lower, upper, rebalanced } = await computeMovePosition(task, 'Todo', {
+            afterId: 'a', beforeId: 'b'
+        });
+
+        assert.ok(position > 1024 && position < 2048);
+        assert.deepStrictEqual([lower._id, upper._id], ['a', 'b']);
+        assert.strictEqual(rebalanced, false);
+    });
+
+    it('bounds a slot by the actual neighbour when only one is given', async () => {
+        const task = movingTask(store, 'd');
+
+        const after = await computeMovePosition(task, 'Todo', { afterId: 'b' });
+        const before = await computeMovePosition(task, 'Todo', { beforeId: 'b' });
+
+        assert.ok(after.position > 2048 && after.position < 3072);
+        assert.ok(before.position > 1024 && before.position < 2048);
+    });
+
+    it('moves a task dropped on the end of a column past the last task', async () => {
+        const task = movingTask(store, 'a');
+
+        const { position } = await computeMovePosition(task, 'In Progress');
+
+        assert.ok(position > 1024);
+    });
+
+    it('renumbers the column when the gap is too narrow to split', async () => {
+        store.find((doc) => doc._id === 'a').position = 1e12;
+        store.find((doc) => doc._id === 'b').position = 1e12 + 1e-4;
+        store.find((doc) => doc._id === 'c').position = 2e12;
+        const task = movingTask(store, 'd');
+
+        const { position, lower, upper, rebalanced } = await computeMovePosition(task, 'Todo', {
+            afterId: 'a', beforeId: 'b'
+        });
+
+        const column = store.filter((doc) => doc.status === 'Todo');
+        assert.strictEqual(rebalanced, true);
+        assert.deepStrictEqual(column.map((doc) => doc.position), [1024, 2048, 3072]);
+        assert.ok(position > lower.position && position < upper.position);
+        assert.deepStrictEqual([lower.position, upper.position], [1024, 2048]);
+    });
+
+    it('refuses a neighbour that is no longer in the column', async () => {
+        const task = movingTask(store, 'a');
+
+        await assert.rejects(
+            computeMovePosition(task, 'In Progress', { afterId: 'b' }),
+            (error) => error.status === 409
+        );
+    });
+
+    it('saves the move and keeps the column order', async () => {
+        const task = movingTask(store, 'd');
+
+        const { rebalanced } = await moveTask(task, 'Todo', { afterId: 'b', beforeId: 'c' });
+
+        const column = store.filter((doc) => doc.status === 'Todo').sort(byOrder({ position: 1 }));
+        assert.strictEqual(rebalanced, false);
+        assert.deepStrictEqual(column.map((doc) => doc._id), ['a', 'b', 'd', 'c']);
+    });
+
+    it('gives up with a 409 when concurrent moves keep landing on the slot', async () => {
+        const task = movingTask(store, 'd');
+        let saves = 0;
+        task.save = async function () {
+            saves += 1;
+            // Another task takes the same position each time
+            store.push({ ...store[0], _id: `other-${saves}`, position: this.position });
+            Object.assign(store.find((doc) => doc._id === 'd'), { status: this.status, position: this.position });
+        };
+
+        await assert.rejects(
+            moveTask(task, 'Todo', { afterId: 'a', beforeId: 'b' }),
+            (error) => error.status === 409
+        );
+        assert.strictEqual(saves, 3);
+    });
+});
@@ -0,0 +1,192 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const { QueryError, parseTaskQuery } = require('../utils/taskQuery');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const userId = new mongoose.Types.ObjectId();
+
+const todayUtc = () => {
+    const now = new Date();
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+};
+
+// Assert that parsing `input` fails with `message` pointing at `position`
+const rejectsAt = (input, message, position) => assert.rejects(parseTaskQuery(input, userId), (error) => {
+    assert.ok(error instanceof QueryError);
+    assert.strictEqual(error.status, 400);
+    assert.match(error.message, message);
+    assert.strictEqual(error.details.position, position);
+    return true;
+});
+
+describe('parseTaskQuery', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('tokenizing', () => {
+        it('separates field filters from free text, keeping quoted phrases', async () => {
+            const { conditions, text, people } = await parseTaskQuery(
+                'quarterly status:Todo "year end" -draft',
+                userId
+            );
+
+            assert.deepStrictEqual(conditions, [{ status: { $in: ['Todo'] } }]);
+            assert.strictEqual(text, 'quarterly "year end" -draft');
+            assert.strictEqual(people, false);
+        });
+
+        it('reads unquoted multi-word enum values and value lists', async () => {
+            const { conditions, text } = await parseTaskQuery('status:in progress,Completed report', userId);
+
+            assert.deepStrictEqual(conditions, [{ status: { $in: ['In Progress', 'Completed'] } }]);
+            assert.strictEqual(text, 'report');
+        });
+
+        it('accepts quoted values and field names in any case', async () => {
+            const { conditions } = await parseTaskQuery('STATUS:"In Progress" Priority:high', userId);
+
+            assert.deepStrictEqual(conditions, [
+                { status: { $in: ['In Progress'] } },
+                { priority: { $in: ['High'] } }
+            ]);
+        });
+
+        it('negates a filter with a leading minus', async () => {
+            const { conditions } = await parseTaskQuery('-priority:Low,Medium', userId);
+
+            assert.deepStrictEqual(conditions, [{ priority: { $nin: ['Low', 'Medium'] } }]);
+        });
+    });
+
+    describe('dates', () => {
+        it('matches a whole day, or compares against it', async () => {
+            const day = new Date('2026-11-01T00:00:00.000Z');
+            const nextDay = new Date('2026-11-02T00:00:00.000Z');
+
+            const { conditions } = await parseTaskQuery(
+                'due:2026-11-01 due:<2026-11-01 due:<=2026-11-01 created:>2026-11-01 created:>=2026-11-01',
+                userId
+            );
+
+            assert.deepStrictEqual(conditions, [
+                { dueDate: { $gte: day, $lt: nextDay } },
+                { dueDate: { $lt: day } },
+                { dueDate: { $lt: nextDay } },
+                { createdAt: { $gte: nextDay } },
+                { createdAt: { $gte: day } }
+            ]);
+        });
+
+        it('resolves day keywords and offsets from today', async () => {
+            const today = todayUtc();
+
+            const { conditions } = await parseTaskQuery('due:>=tomorrow due:<+2w created:-3d', userId);
+
+            assert.deepStrictEqual(conditions, [
+                { dueDate: { $gte: new Date(today + DAY_MS) } },
+                { dueDate: { $lt: new Date(today + 14 * DAY_MS) } },
+                { createdAt: { $gte: new Date(today - 3 * DAY_MS), $lt: new Date(today - 2 * DAY_MS) } }
+            ]);
+        });
+
+        it('matches tasks without a date and negates date filters', async () => {
+            const { conditions } = await parseTaskQuery('due:none -due:today', userId);
+            const today = todayUtc();
+
+            assert.deepStrictEqual(conditions, [
+                { dueDate: null },
+                { $nor: [{ dueDate: { $gte: new Date(today), $lt: new Date(today + DAY_MS) } }] }
+            ]);
+        });
+    });
+
+    describe('people and tags', () => {
+        it('resolves me, none, IDs and emails', async () => {
+            const other = new mongoose.Types.ObjectId();
+            const colleague = { _id: new mongoose.Types.ObjectId(), email: 'sam@example.com' };
+            const find = mock.method(User, 'find', () => ({ select: async () => [colleague] }));
+
+            const { conditions, people } = await parseTaskQuery(
+                `assignee:me,none,Sam@Example.com createdBy:${other}`,
+                userId
+            );
+
+            assert.deepStrictEqual(conditions, [
+                { assignee: { $in: [userId, null, colleague._id] } },
+                { user: { $in: [other] } }
+            ]);
+            assert.strictEqual(people, true);
+            assert.deepStrictEqual(find.mock.calls[0].arguments[0], { email: { $in: ['sam@example.com'] } });
+        });
+
+        it('resolves tag names within the listed project', async () => {
+            const project = new mongoose.Types.ObjectId();
+            const urgent = { _id: new mongoose.Types.ObjectId(), name: 'Urgent' };
+            const find = mock.method(Tag, 'find', () => ({
+                collation: () => ({ select: async () => [urgent] })
+            }));
+
+            const { conditions } = await parseTaskQuery('-tag:urgent', userId, { project });
+
+            assert.deepStrictEqual(conditions, [{ tags: { $nin: [urgent._id] } }]);
+            assert.deepStrictEqual(find.mock.calls[0].arguments[0], { project, name: { $in: ['urgent'] } });
+        });
+
+        it('looks up tags in personal and project scopes without a project', async () => {
+            const projectIds = [new mongoose.Types.ObjectId()];
+            mock.method(Project, 'find', () => ({ distinct: async () => projectIds }));
+            const tags = [{ _id: 'tag-1', name: 'home' }, { _id: 'tag-2', name: 'Home' }];
+            const find = mock.method(Tag, 'find', () => ({ collation: () => ({ select: async () => tags }) }));
+
+            const { conditions } = await parseTaskQuery('tag:Home', userId);
+
+            assert.deepStrictEqual(conditions, [{ tags: { $in: ['tag-1', 'tag-2'] } }]);
+            assert.deepStrictEqual(find.mock.calls[0].arguments[0].$or, [
+                { user: userId, project: null },
+                { project: { $in: projectIds } }
+            ]);
+        });
+    });
+
+    describe('errors', () => {
+        it('points at an unknown field', () => rejectsAt('report owner:me', /Unknown field "owner"/, 7));
+
+        it('points at an invalid enum value in a list', () => (
+            rejectsAt('status:Todo,Later', /Invalid status "Later"; expected Todo, In Progress or Completed/, 12)
+        ));
+
+        it('points at an unterminated quote', () => rejectsAt('status:Todo "year end', /Unterminated quote/, 12));
+
+        it('points at a missing value', () => rejectsAt('priority: report', /Missing value for priority/, 9));
+
+        it('points at an invalid or impossible date', async () => {
+            await rejectsAt('due:soon', /Invalid due "soon"/, 4);
+            await rejectsAt('due:2026-02-30', /Invalid due "2026-02-30"/, 4);
+        });
+
+        it('points at a second date', () => rejectsAt('due:today,tomorrow', /due takes a single date/, 10));
+
+        it('points at a character that cannot follow a value', () => (
+            rejectsAt('status:"Todo"x', /Unexpected character 'x'/, 13)
+        ));
+
+        it('points at a person it cannot resolve', async () => {
+            mock.method(User, 'find', () => ({ select: async () => [] }));
+
+            await rejectsAt('createdBy:none', /Invalid createdBy "none"; expected me, an email or a user ID/, 10);
+            await rejectsAt('assignee:me,kim@example.com', /No user with email "kim@example.com"/, 12);
+        });
+
+        it('points at an unknown tag', async () => {
+            mock.method(Project, 'find', () => ({ distinct: async () => [] }));
+            mock.method(Tag, 'find', () => ({ collation: () => ({ select: async () => [] }) }));
+
+            await rejectsAt('report tag:later', /No tag named "later"/, 11);
+        });
+    });
+});
@@ -0,0 +1,141 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { versionTag, checkVersion, saveIfUnchanged } = require('../utils/taskVersion');
+
+const request = (headers = {}, body = {}) => ({
+    header: (name) => headers[name],
+    body
+});
+
+// Task as loaded from the database
+const storedTask = (fields) => Task.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Write report',
+    dueDate: new Date('2026-10-20'),
+    user: new mongoose.Types.ObjectId(),
+    status: 'Todo',
+    watchers: [],
+    tags: [],
+    checklist: [],
+    blockedBy: [],
+    __v: 0,
+    ...fields
+});
+
+// Stand in for the collection write a save sends, matching the task only
+// when `matched`, as MongoDB would once another save bumped its version
+const stubWrite = (matched = true) => mock.method(Task.collection, 'updateOne', async () => ({
+    acknowledged: true,
+    matchedCount: matched ? 1 : 0,
+    modifiedCount: matched ? 1 : 0
+}));
+
+const writeFilter = (write) => write.mock.calls[0].arguments[0];
+
+// The current copy the 409 carries
+const serverCopy = () => {
+    const current = { title: 'Theirs', version: 4 };
+    mock.method(Task, 'findById', () => 'query');
+    mock.method(Task, 'populateRefs', async () => current);
+    return current;
+};
+
+describe('taskVersion', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('tags a task with its version', () => {
+        assert.strictEqual(versionTag({ version: 3 }), '"3"');
+    });
+
+    describe('checkVersion', () => {
+        const task = { _id: 'task-1', version: 3 };
+
+        it('accepts the current version from If-Match or the body', async () => {
+            await checkVersion(task, request({ 'If-Match': '"3"' }));
+            await checkVersion(task, request({}, { version: 3 }));
+        });
+
+        it('skips the check without a version or with If-Match: *', async () => {
+            await checkVersion(task, request());
+            await checkVersion(task, request({ 'If-Match': '*' }, { version: 1 }));
+        });
+
+        it('refuses a stale version with the current task', async () => {
+            const current = serverCopy();
+
+            await assert.rejects(checkVersion(task, request({ 'If-Match': '"2"' })), (error) => {
+                assert.strictEqual(error.status, 409);
+                assert.strictEqual(error.details.task, current);
+                return true;
+            });
+        });
+
+        it('rejects an If-Match that is not a task ETag', async () => {
+            await assert.rejects(
+                checkVersion(task, request({ 'If-Match': 'W/"3"' })),
+                (error) => error.status === 400
+            );
+        });
+    });
+
+    describe('saveIfUnchanged', () => {
+        it('saves on the version the task was loaded at and bumps it', async () => {
+            const write = stubWrite();
+            const task = storedTask({ version: 3 });
+            task.title = 'Write the report';
+
+            await saveIfUnchanged(task);
+
+            assert.deepStrictEqual(writeFilter(write), { _id: task._id, version: 3 });
+            assert.strictEqual(write.mock.calls[0].arguments[1].$inc.version, 1);
+            assert.strictEqual(task.version, 4);
+        });
+
+        it('leaves the version alone when only the position changes', async () => {
+            const write = stubWrite();
+            const task = storedTask({ version: 3, position: 1024 });
+            task.position = 2048;
+
+            await saveIfUnchanged(task);
+
+            assert.strictEqual(write.mock.calls[0].arguments[1].$inc?.version, undefined);
+            assert.strictEqual(task.version, 3);
+        });
+
+        it('matches tasks stored before versioning', async () => {
+            const write = stubWrite();
+            const task = storedTask({});
+            task.title = 'Write the report';
+
+            await saveIfUnchanged(task);
+
+            assert.deepStrictEqual(writeFilter(write), { _id: task._id, version: { $in: [0, null] } });
+        });
+
+        it('turns a save lost to a newer version into a 409', async () => {
+            const current = serverCopy();
+            stubWrite(false);
+            const task = storedTask({ version: 3 });
+            task.title = 'Write the report';
+
+            await assert.rejects(saveIfUnchanged(task), (error) => {
+                assert.strictEqual(error.status, 409);
+                assert.strictEqual(error.details.task, current);
+                return true;
+            });
+        });
+
+        it('also turns a lost save of a checklist item into a 409', async () => {
+            serverCopy();
+            stubWrite(false);
+            const task = storedTask({ version: 3, checklist: [{ title: 'Draft', done: false }] });
+            task.checklist[0].done = true;
+
+            await assert.rejects(saveIfUnchanged(task), (error) => error.status === 409);
+        });
+    });
+});
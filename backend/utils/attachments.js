@@ -0,0 +1,44 @@
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('./storage');
+
+// Largest file that may be attached, in bytes
+const MAX_ATTACHMENT_SIZE = (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB, 10) || 10) * 1024 * 1024;
+
+// Most attachments a single task may carry
+const MAX_ATTACHMENTS = 20;
+
+// File types that may be attached. SVG and HTML are left out as they can run
+// script when opened in the browser.
+const ALLOWED_MIME_TYPES = [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'text/csv',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/zip'
+];
+
+// Types the browser may display in place instead of downloading
+const INLINE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'];
+
+// Delete the attachments of tasks that are going away, files first
+const deleteTaskAttachments = async (taskIds) => {
+    const attachments = await Attachment.find({ task: { $in: taskIds } }).select('+key');
+    const storage = getStorage();
+
+    await Promise.all(attachments.map((attachment) => storage.remove(attachment.key)));
+    await Attachment.deleteMany({ task: { $in: taskIds } });
+};
+
+module.exports = {
+    MAX_ATTACHMENT_SIZE,
+    MAX_ATTACHMENTS,
+    ALLOWED_MIME_TYPES,
+    INLINE_MIME_TYPES,
+    deleteTaskAttachments
+};
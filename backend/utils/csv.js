@@ -0,0 +1,99 @@
+// RFC 4180 CSV reading and writing
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Whether a cell needs the ' guard; text already starting with ' before a
+// formula character gets another, so reading it back strips only the guard
+const needsGuard = (text) => FORMULA_START.test(text.replace(/^'+/, ''));
+
+// Quote a field when it contains a delimiter, quote or line break. Text that
+// would be read as a formula is prefixed with ' so it opens as plain text.
+const formatField = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (needsGuard(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo the formula guard added by formatField
+const parseField = (text) => (text[0] === '\'' && needsGuard(text) ? text.slice(1) : text);
+
+// Serialise rows of objects using `columns` as the header and field order
+const toCsv = (rows, columns) => {
+    const lines = [
+        columns.map(formatField).join(','),
+        ...rows.map((row) => columns.map((column) => formatField(row[column])).join(','))
+    ];
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+// Parse CSV text into arrays of fields
+const parseRecords = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i += 1) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i += 1;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    return records;
+};
+
+// Parse CSV text with a header row into objects keyed by column name.
+// Blank lines are skipped and guarded formulas read back as written.
+const parseCsv = (text) => {
+    const records = parseRecords(text.replace(/^\uFEFF/, ''))
+        .filter((record) => record.some((field) => field.trim() !== ''));
+
+    if (records.length === 0) {
+        return [];
+    }
+
+    const header = records[0].map((name) => name.trim());
+    return records.slice(1).map((record) => Object.fromEntries(
+        header.map((name, index) => [name, record[index] === undefined ? '' : parseField(record[index])])
+    ));
+};
+
+module.exports = {
+    toCsv,
+    parseCsv
+};
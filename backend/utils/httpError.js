@@ -0,0 +1,20 @@
+// Error carrying an HTTP status, caught by routes and sent as JSON
+class HttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Send an HttpError in the API's standard error shape
+const sendHttpError = (res, error) => {
+    return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+    });
+};
+
+module.exports = { HttpError, sendHttpError };
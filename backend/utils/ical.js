@@ -0,0 +1,113 @@
+// Minimal iCalendar (RFC 5545) writer for task feeds
+
+const PRODID = '-//Task Management App//Tasks//EN';
+
+// RFC 5545 priorities: 1 is highest, 9 lowest
+const PRIORITY_MAP = {
+    High: 1,
+    Medium: 5,
+    Low: 9
+};
+
+const TODO_STATUS_MAP = {
+    Todo: 'NEEDS-ACTION',
+    'In Progress': 'IN-PROCESS',
+    Completed: 'COMPLETED'
+};
+
+// Escape a TEXT value
+const escapeText = (value = '') => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold a content line to 75 octets, never splitting a UTF-8 character
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts toward the limit
+        const limit = parts.length === 0 ? 75 : 74;
+        if (size + bytes > limit) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += bytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+// 20260118T093000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20260118 (due dates are stored as UTC midnight of the chosen day)
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+const nextDay = (date) => new Date(date.getTime() + 24 * 60 * 60 * 1000);
+
+// Content lines for one task, as an all-day VEVENT or a VTODO
+const taskLines = (task, component) => {
+    const lines = [
+        `BEGIN:${component}`,
+        `UID:${task._id}@task-management`,
+        `DTSTAMP:${formatDateTime(task.updatedAt || new Date())}`,
+        `LAST-MODIFIED:${formatDateTime(task.updatedAt || new Date())}`,
+        `CREATED:${formatDateTime(task.createdAt || new Date())}`,
+        `SUMMARY:${escapeText(task.title)}`
+    ];
+
+    if (task.description) {
+        lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+    }
+
+    if (component === 'VTODO') {
+        lines.push(`DUE;VALUE=DATE:${formatDate(task.dueDate)}`);
+        lines.push(`STATUS:${TODO_STATUS_MAP[task.status] || 'NEEDS-ACTION'}`);
+        if (task.status === 'Completed') {
+            lines.push('PERCENT-COMPLETE:100');
+        }
+    } else {
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(task.dueDate)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatDate(nextDay(task.dueDate))}`);
+        lines.push('TRANSP:TRANSPARENT');
+    }
+
+    lines.push(`PRIORITY:${PRIORITY_MAP[task.priority] || 0}`);
+    lines.push(`CATEGORIES:${escapeText(task.status)},${escapeText(`${task.priority} priority`)}`);
+    lines.push(`END:${component}`);
+
+    return lines;
+};
+
+// Build a VCALENDAR document. `type` is 'event' (all-day events, shown by
+// most calendar apps) or 'todo' (VTODO tasks).
+const buildCalendar = (tasks, { name, type = 'event' } = {}) => {
+    const component = type === 'todo' ? 'VTODO' : 'VEVENT';
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+        ...tasks.flatMap((task) => taskLines(task, component)),
+        'END:VCALENDAR'
+    ];
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+    escapeText,
+    foldLine,
+    buildCalendar
+};
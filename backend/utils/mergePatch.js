@@ -0,0 +1,19 @@
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Apply a JSON Merge Patch (RFC 7396) to a plain object: null removes a key,
+// objects are merged key by key and anything else replaces the value
+const mergePatch = (target, patch) => {
+    const result = { ...target };
+    Object.entries(patch).forEach(([key, value]) => {
+        if (value === null) {
+            delete result[key];
+        } else if (isObject(value)) {
+            result[key] = mergePatch(isObject(result[key]) ? result[key] : {}, value);
+        } else {
+            result[key] = value;
+        }
+    });
+    return result;
+};
+
+module.exports = { mergePatch };
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const { HttpError } = require('./httpError');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields a task list may be sorted by, and how cursor values are revived
+const SORT_FIELDS = {
+    createdAt: 'date',
+    dueDate: 'date',
+    priority: 'string',
+    title: 'string',
+    position: 'number'
+};
+
+class CursorError extends HttpError {
+    constructor(message) {
+        super(400, message);
+        this.name = 'CursorError';
+    }
+}
+
+// Clamp the requested page size to a sane range
+const parseLimit = (limit) => {
+    const value = parseInt(limit, 10);
+    if (Number.isNaN(value) || value < 1) {
+        return DEFAULT_LIMIT;
+    }
+    return Math.min(value, MAX_LIMIT);
+};
+
+// Build a sort object with _id as a tie-breaker so the order is total
+const buildSort = (sortBy, order) => {
+    const field = SORT_FIELDS[sortBy] ? sortBy : 'createdAt';
+    const direction = sortBy && SORT_FIELDS[sortBy]
+        ? (order === 'desc' ? -1 : 1)
+        : -1; // Default: newest first
+
+    return {
+        field,
+        direction,
+        sort: { [field]: direction, _id: direction }
+    };
+};
+
+// Encode the position of the last document on a page. A document missing
+// the sort field (such as a task from before board positions) encodes null.
+const encodeCursor = (doc, field) => {
+    const payload = { v: doc[field] ?? null, id: doc._id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, field) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new CursorError('Invalid cursor');
+    }
+
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) {
+        throw new CursorError('Invalid cursor');
+    }
+
+    let value = payload.v;
+    if (value === null) {
+        return { value, id: new mongoose.Types.ObjectId(payload.id) };
+    }
+    if (SORT_FIELDS[field] === 'date') {
+        value = new Date(value);
+        if (Number.isNaN(value.getTime())) {
+            throw new CursorError('Invalid cursor');
+        }
+    }
+    if (SORT_FIELDS[field] === 'number' && typeof value !== 'number') {
+        throw new CursorError('Invalid cursor');
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+};
+
+// Relevance scores can't be filtered on, so ranked results page by offset
+const encodeOffsetCursor = (offset) =>
+    Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+
+const decodeOffsetCursor = (cursor) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new CursorError('Invalid cursor');
+    }
+
+    if (!payload || !Number.isInteger(payload.o) || payload.o < 0) {
+        throw new CursorError('Invalid cursor');
+    }
+    return payload.o;
+};
+
+// Filter matching documents strictly after the cursor in the given sort.
+// MongoDB sorts missing and null values before all others, and comparisons
+// with null match nothing, so those documents are matched explicitly: they
+// come first in ascending order and last in descending order.
+const cursorFilter = (cursor, field, direction) => {
+    const { value, id } = decodeCursor(cursor, field);
+    const op = direction === 1 ? '$gt' : '$lt';
+    // `{ field: null }` also matches documents without the field
+    const tie = { [field]: value, _id: { [op]: id } };
+
+    if (value === null) {
+        return { $or: direction === 1 ? [tie, { [field]: { $ne: null } }] : [tie] };
+    }
+    return {
+        $or: [
+            { [field]: { [op]: value } },
+            tie,
+            ...(direction === 1 ? [] : [{ [field]: null }])
+        ]
+    };
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    SORT_FIELDS,
+    CursorError,
+    parseLimit,
+    buildSort,
+    encodeCursor,
+    cursorFilter,
+    encodeOffsetCursor,
+    decodeOffsetCursor
+};
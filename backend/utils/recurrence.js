@@ -0,0 +1,71 @@
+// Next-occurrence calculation for recurring tasks. Rules look like
+// { frequency: 'daily'|'weekly'|'monthly', interval, byWeekday, byMonthDay, until, count }
+// and dates are handled in UTC, matching how due dates are stored.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Start of the week (Sunday) containing date
+const startOfWeek = (date) => addDays(date, -date.getUTCDay());
+
+const nextDaily = (rule, from) => addDays(from, rule.interval);
+
+// Next chosen weekday after `from`, skipping `interval - 1` weeks between runs
+const nextWeekly = (rule, from) => {
+    const weekdays = rule.byWeekday && rule.byWeekday.length > 0
+        ? [...rule.byWeekday].sort((a, b) => a - b)
+        : [from.getUTCDay()];
+
+    const laterThisWeek = weekdays.find((day) => day > from.getUTCDay());
+    if (laterThisWeek !== undefined) {
+        return addDays(from, laterThisWeek - from.getUTCDay());
+    }
+
+    const nextWeek = addDays(startOfWeek(from), 7 * rule.interval);
+    return addDays(nextWeek, weekdays[0]);
+};
+
+// Same day of month `interval` months on, clamped to shorter months
+const nextMonthly = (rule, from) => {
+    const day = rule.byMonthDay || from.getUTCDate();
+    const monthIndex = from.getUTCMonth() + rule.interval;
+    const year = from.getUTCFullYear() + Math.floor(monthIndex / 12);
+    const month = monthIndex % 12;
+
+    return new Date(Date.UTC(
+        year,
+        month,
+        Math.min(day, daysInMonth(year, month)),
+        from.getUTCHours(),
+        from.getUTCMinutes()
+    ));
+};
+
+const STEPS = {
+    daily: nextDaily,
+    weekly: nextWeekly,
+    monthly: nextMonthly
+};
+
+// Due date of the occurrence after `from`, or null once the series has ended.
+// `occurrence` is the 1-based number of the occurrence `from` belongs to.
+const nextOccurrence = (rule, from, occurrence = 1) => {
+    if (!rule || !STEPS[rule.frequency]) {
+        return null;
+    }
+    if (rule.count && occurrence >= rule.count) {
+        return null;
+    }
+
+    const next = STEPS[rule.frequency]({ ...rule, interval: rule.interval || 1 }, new Date(from));
+
+    if (rule.until && next > new Date(rule.until)) {
+        return null;
+    }
+    return next;
+};
+
+module.exports = { nextOccurrence };
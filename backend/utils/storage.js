@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Where the local driver keeps files
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+
+// Files stored on the local filesystem under a root directory. Other drivers
+// (e.g. an S3-compatible bucket) implement the same save/createReadStream/remove
+// methods, addressing files by the same opaque keys.
+class LocalStorage {
+    constructor(root) {
+        this.root = root;
+    }
+
+    // Absolute path of a key, refusing keys that escape the root
+    resolve(key) {
+        const filePath = path.resolve(this.root, key);
+        if (!filePath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async save(key, buffer) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+    }
+
+    createReadStream(key) {
+        return fs.createReadStream(this.resolve(key));
+    }
+
+    // Removing a file that is already gone is not an error
+    async remove(key) {
+        try {
+            await fs.promises.unlink(this.resolve(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+}
+
+const DRIVERS = {
+    local: () => new LocalStorage(UPLOAD_DIR)
+};
+
+let storage = null;
+
+// The storage driver chosen by STORAGE_DRIVER, created on first use
+const getStorage = () => {
+    if (!storage) {
+        const driver = process.env.STORAGE_DRIVER || 'local';
+        if (!DRIVERS[driver]) {
+            throw new Error(`Unknown storage driver: ${driver}`);
+        }
+        storage = DRIVERS[driver]();
+    }
+    return storage;
+};
+
+// A new unguessable key under `prefix`, e.g. attachments/<taskId>/<random>
+const generateKey = (prefix) => `${prefix}/${crypto.randomBytes(16).toString('hex')}`;
+
+module.exports = {
+    LocalStorage,
+    getStorage,
+    generateKey
+};
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { HttpError } = require('./httpError');
+
+// Load a project and require the user to hold at least `required` in it
+const findProjectForUser = async (projectId, userId, required = 'viewer') => {
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+        throw new HttpError(404, 'Project not found');
+    }
+
+    const project = await Project.findById(projectId);
+    const role = project ? project.roleOf(userId) : null;
+
+    if (!role) {
+        throw new HttpError(404, 'Project not found');
+    }
+    if (!Project.hasRole(role, required)) {
+        throw new HttpError(403, `Requires ${required} access to this project`);
+    }
+
+    return { project, role };
+};
+
+// Role of a user on a task. Project tasks use the project role; on personal
+// tasks the creator is owner, the assignee an editor and watchers viewers.
+const getTaskRole = async (task, userId) => {
+    if (task.project) {
+        const project = await Project.findById(task.project).select('members');
+        return project ? project.roleOf(userId) : null;
+    }
+    if (task.user.equals(userId)) {
+        return 'owner';
+    }
+    if (task.assignee && task.assignee.equals(userId)) {
+        return 'editor';
+    }
+    if (task.watchers.some((id) => id.equals(userId))) {
+        return 'viewer';
+    }
+    return null;
+};
+
+// Filter matching every task the user can see, across personal tasks and projects
+const accessibleTaskFilter = async (userId) => {
+    const projects = await Project.find({ 'members.user': userId }).select('_id');
+
+    return {
+        $or: [
+            { user: userId, project: null },
+            { project: { $in: projects.map((p) => p._id) } },
+            { assignee: userId, project: null },
+            { watchers: userId, project: null }
+        ]
+    };
+};
+
+// Load a task and require the user to hold at least `required` on it.
+// Tasks in the trash are only found when `deleted` is set.
+const findTaskForUser = async (taskId, userId, required = 'viewer', { deleted = false } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(taskId)) {
+        throw new HttpError(404, 'Task not found');
+    }
+
+    const task = await Task.findOne({
+        _id: taskId,
+        deletedAt: deleted ? { $ne: null } : null
+    });
+    const role = task ? await getTaskRole(task, userId) : null;
+
+    if (!role) {
+        throw new HttpError(404, 'Task not found');
+    }
+    if (!Project.hasRole(role, required)) {
+        throw new HttpError(403, `Requires ${required} access to this task`);
+    }
+
+    return { task, role };
+};
+
+module.exports = {
+    findProjectForUser,
+    getTaskRole,
+    accessibleTaskFilter,
+    findTaskForUser
+};
@@ -0,0 +1,62 @@
+const Task = require('../models/Task');
+const { HttpError } = require('./httpError');
+
+// Most tasks a single task may be blocked by
+const MAX_BLOCKERS = 20;
+
+// Statuses a task cannot move to while any of its blockers are open
+const BLOCKED_STATUSES = ['In Progress', 'Completed'];
+
+// Blockers of a task that are not yet completed; trashed blockers don't count
+const findOpenBlockers = (task) => task.findOpenBlockers();
+
+// Refuse to start or complete a task while it has open blockers
+const checkUnblocked = async (task, status) => {
+    if (status === task.status || !BLOCKED_STATUSES.includes(status) || task.blockedBy.length === 0) {
+        return;
+    }
+
+    const blockers = await findOpenBlockers(task);
+    if (blockers.length > 0) {
+        throw new HttpError(
+            409,
+            `Task is blocked by ${blockers.map((blocker) => `"${blocker.title}"`).join(', ')}`,
+            { blockers }
+        );
+    }
+};
+
+// Whether `taskId` is reachable from `blockerId` along blockedBy links, in
+// which case making the task blocked by the blocker would close a cycle.
+// Trashed tasks are followed too, as they can be restored.
+const createsCycle = async (taskId, blockerId) => {
+    const target = taskId.toString();
+    const visited = new Set([blockerId.toString()]);
+    let frontier = [blockerId];
+
+    while (frontier.length > 0) {
+        const tasks = await Task.find({ _id: { $in: frontier } }).select('blockedBy');
+        frontier = [];
+
+        for (const { blockedBy } of tasks) {
+            for (const id of blockedBy) {
+                const key = id.toString();
+                if (key === target) {
+                    return true;
+                }
+                if (!visited.has(key)) {
+                    visited.add(key);
+                    frontier.push(id);
+                }
+            }
+        }
+    }
+    return false;
+};
+
+module.exports = {
+    MAX_BLOCKERS,
+    findOpenBlockers,
+    checkUnblocked,
+    createsCycle
+};
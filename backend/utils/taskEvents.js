@@ -0,0 +1,67 @@
+const { EventEmitter } = require('events');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+
+// In-process bus: each user has a channel that their open event streams
+// listen on. Running several server processes would need a shared broker.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const channelOf = (userId) => `user:${userId}`;
+
+// Listen for task events visible to a user; returns the unsubscribe function
+const subscribe = (userId, listener) => {
+    bus.on(channelOf(userId), listener);
+    return () => bus.off(channelOf(userId), listener);
+};
+
+// IDs of the users who can see a task: project members, or on personal tasks
+// the creator, assignee and watchers
+const audienceOf = async (task) => {
+    if (task.project) {
+        const project = await Project.findById(task.project._id || task.project).select('members');
+        return project ? project.members.map((member) => member.user.toString()) : [];
+    }
+    return [task.user, task.assignee, ...task.watchers]
+        .filter(Boolean)
+        .map((ref) => (ref._id || ref).toString());
+};
+
+// Tell everyone who can see a task that it was created, updated or deleted.
+// `before` is the task's snapshot before the change, from which clients get
+// the previous status and priority. Delivery is best effort and never fails
+// the request that made the change.
+const publishTaskEvent = (type, task, before = null) => {
+    const send = async () => {
+        // Reload rather than populate the caller's document, which it may still use
+        const payload = type === 'deleted'
+            ? {
+                _id: task._id,
+                project: task.project,
+                user: task.user,
+                status: task.status,
+                priority: task.priority
+            }
+            : await Task.populateRefs(Task.findById(task._id));
+        if (!payload) {
+            return;
+        }
+        const event = {
+            type,
+            task: payload,
+            previous: before
+                ? { status: before.status, priority: before.priority, project: before.project }
+                : null
+        };
+
+        const audience = new Set(await audienceOf(task));
+        audience.forEach((userId) => bus.emit(channelOf(userId), event));
+    };
+
+    send().catch((error) => console.error('Task event error:', error));
+};
+
+module.exports = {
+    subscribe,
+    publishTaskEvent
+};
@@ -0,0 +1,92 @@
+const TaskHistory = require('../models/TaskHistory');
+
+// Task fields recorded in the audit history
+const TRACKED_FIELDS = [
+    'title',
+    'description',
+    'priority',
+    'status',
+    'dueDate',
+    'project',
+    'assignee',
+    'watchers',
+    'tags',
+    'blockedBy',
+    'checklist',
+    'autoComplete',
+    'recurrence'
+];
+
+// Reduce a value to plain JSON so snapshots compare and store cleanly
+const normalize = (value) => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(normalize);
+    }
+    if (value._id) {
+        // Populated reference or ObjectId
+        return value._id.toString();
+    }
+    if (typeof value.toObject === 'function') {
+        return normalize(value.toObject());
+    }
+    if (typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value)
+                .filter(([key]) => key !== '_id')
+                .map(([key, v]) => [key, normalize(v)])
+        );
+    }
+    return value;
+};
+
+// Plain copy of a task's tracked fields
+const snapshotTask = (task) => {
+    const snapshot = {};
+    TRACKED_FIELDS.forEach((field) => {
+        snapshot[field] = field === 'checklist'
+            ? (task.checklist || []).map(({ title, done }) => ({ title, done }))
+            : normalize(task[field]);
+    });
+    return snapshot;
+};
+
+// Field-level changes between two snapshots (either may be null)
+const diffSnapshots = (before, after) => {
+    return TRACKED_FIELDS
+        .map((field) => ({
+            field,
+            from: before ? before[field] : null,
+            to: after ? after[field] : null
+        }))
+        .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+};
+
+// Append a history entry for a task. `before` is the snapshot taken before an
+// update or delete; updates that changed nothing are not recorded.
+const recordHistory = async (task, actorId, action, before = null) => {
+    const after = action === 'delete' ? null : snapshotTask(task);
+    const changes = diffSnapshots(before, after);
+
+    if (action === 'update' && changes.length === 0) {
+        return null;
+    }
+
+    return TaskHistory.create({
+        task: task._id,
+        actor: actorId,
+        action,
+        changes
+    });
+};
+
+module.exports = {
+    snapshotTask,
+    diffSnapshots,
+    recordHistory
+};
@@ -0,0 +1,155 @@
+const Task = require('../models/Task');
+const { HttpError } = require('./httpError');
+const { saveIfUnchanged } = require('./taskVersion');
+
+const { POSITION_STEP } = Task;
+
+// Smallest gap we will split before renumbering the column, relative to the
+// positions around it: doubles near 1e12 are only ~1e-4 apart, so an
+// absolute limit would let the midpoint round onto a neighbour
+const MIN_GAP_RATIO = 1e-12;
+
+// Times a move is redone when a concurrent move or renumbering got in the way
+const MAX_MOVE_ATTEMPTS = 3;
+
+// Same order as the task list's position sort, so both agree on ties
+const COLUMN_ORDER = { position: 1, _id: 1 };
+
+const boardChanged = () => new HttpError(409, 'The board has changed; refresh and try again');
+
+// Renumber a column evenly in its current order
+const rebalanceColumn = async (filter) => {
+    const tasks = await Task.find(filter).sort(COLUMN_ORDER).select('_id').lean();
+
+    if (tasks.length > 0) {
+        await Task.bulkWrite(tasks.map(({ _id }, index) => ({
+            updateOne: {
+                filter: { _id },
+                update: { $set: { position: (index + 1) * POSITION_STEP } }
+            }
+        })));
+    }
+};
+
+// Load a neighbour by ID, requiring it to still be in the target column
+const findNeighbour = async (filter, id) => {
+    if (!id) {
+        return null;
+    }
+    const neighbour = await Task.findOne({ ...filter, _id: id }).select('position').lean();
+    if (!neighbour) {
+        throw boardChanged();
+    }
+    return neighbour;
+};
+
+// Tasks bounding the slot between `afterId` (above) and `beforeId` (below).
+// Neighbours are read fresh so concurrent moves work from the current order.
+const findSlot = async (filter, afterId, beforeId) => {
+    const after = await findNeighbour(filter, afterId);
+    const before = await findNeighbour(filter, beforeId);
+
+    const lower = after || (before && await Task.findOne({ ...filter, position: { $lt: before.position } })
+        .sort({ position: -1, _id: -1 }).select('position').lean());
+    const upper = before || (after && await Task.findOne({ ...filter, position: { $gt: after.position } })
+        .sort(COLUMN_ORDER).select('position').lean());
+
+    return { lower, upper };
+};
+
+// Pick a point in the middle half of the gap rather than its exact middle, so
+// two tasks dropped into the same slot at once don't land on one position
+const splitGap = (lower, upper) => lower + (upper - lower) * (0.25 + Math.random() / 2);
+
+// Step past the first or last task of a column, also varied so concurrent
+// drops at the same end don't tie
+const stepAway = () => POSITION_STEP * (0.5 + Math.random());
+
+// Too narrow to split safely, or no gap at all (the bounds crossed)
+const gapExhausted = (lower, upper) => (
+    upper - lower < MIN_GAP_RATIO * Math.max(Math.abs(lower), Math.abs(upper), 1)
+);
+
+// Work out the new position for `task` dropped into `status` between the
+// given neighbours, renumbering the column when the gap is exhausted.
+// Returns { position, lower, upper, rebalanced }, `lower` and `upper` being
+// the bounding tasks the position was worked out from.
+const computeMovePosition = async (task, status, { afterId, beforeId } = {}) => {
+    const filter = task.columnFilter(status);
+
+    if (!afterId && !beforeId) {
+        // Dropped on an empty column or its end
+        const last = await Task.findOne(filter).sort({ position: -1, _id: -1 }).select('position').lean();
+        return {
+            position: (last?.position || 0) + stepAway(),
+            lower: last,
+            upper: null,
+            rebalanced: false
+        };
+    }
+
+    let { lower, upper } = await findSlot(filter, afterId, beforeId);
+    let rebalanced = false;
+
+    const needsRebalance = () => lower && upper && gapExhausted(lower.position, upper.position);
+
+    if (needsRebalance()) {
+        await rebalanceColumn(filter);
+        ({ lower, upper } = await findSlot(filter, afterId, beforeId));
+        rebalanced = true;
+    }
+
+    let position;
+    if (lower && upper) {
+        position = splitGap(lower.position, upper.position);
+        // Rounding can still land on a neighbour if the column changed meanwhile
+        if (!(position > lower.position && position < upper.position)) {
+            throw boardChanged();
+        }
+    } else if (lower) {
+        position = lower.position + stepAway();
+    } else {
+        position = upper.position - stepAway();
+    }
+    return { position, lower, upper, rebalanced };
+};
+
+// Whether a saved move still stands: the task kept its position, its bounding
+// tasks weren't renumbered underneath it and no other task shares the position
+const slotHolds = async (task, status, { position, lower, upper }) => {
+    const filter = task.columnFilter(status);
+    const [self, lowerMoved, upperMoved, tied] = await Promise.all([
+        Task.exists({ _id: task._id, position }),
+        lower && Task.exists({ _id: lower._id, position: { $ne: lower.position } }),
+        upper && Task.exists({ _id: upper._id, position: { $ne: upper.position } }),
+        Task.exists({ ...filter, position })
+    ]);
+    return Boolean(self) && !lowerMoved && !upperMoved && !tied;
+};
+
+// Move `task` into `status` between the given neighbours and save it, only if
+// nobody else changed it since it was loaded. Neighbours can't be locked, so
+// the move is checked after saving and redone if a concurrent move or
+// renumbering invalidated it. Returns { rebalanced }.
+const moveTask = async (task, status, neighbours) => {
+    let rebalanced = false;
+
+    for (let attempt = 1; attempt <= MAX_MOVE_ATTEMPTS; attempt++) {
+        const slot = await computeMovePosition(task, status, neighbours);
+        rebalanced = rebalanced || slot.rebalanced;
+
+        task.status = status;
+        task.position = slot.position;
+        await saveIfUnchanged(task);
+
+        if (await slotHolds(task, status, slot)) {
+            return { rebalanced };
+        }
+    }
+    throw boardChanged();
+};
+
+module.exports = {
+    computeMovePosition,
+    moveTask
+};
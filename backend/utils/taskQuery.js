@@ -0,0 +1,330 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const { HttpError } = require('./httpError');
+
+// Malformed query; `position` is the offset in the query string to point at
+class QueryError extends HttpError {
+    constructor(message, position) {
+        super(400, message, { position });
+        this.name = 'QueryError';
+    }
+}
+
+// Filter fields by lowercase name, with the task path each one matches
+const FIELDS = {
+    status: { name: 'status', path: 'status', type: 'enum', values: ['Todo', 'In Progress', 'Completed'] },
+    priority: { name: 'priority', path: 'priority', type: 'enum', values: ['Low', 'Medium', 'High'] },
+    due: { name: 'due', path: 'dueDate', type: 'date' },
+    created: { name: 'created', path: 'createdAt', type: 'date' },
+    assignee: { name: 'assignee', path: 'assignee', type: 'user' },
+    createdby: { name: 'createdBy', path: 'user', type: 'user' },
+    tag: { name: 'tag', path: 'tags', type: 'tag' }
+};
+
+const FIELD_NAMES = Object.values(FIELDS).map((field) => field.name);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+const listWords = (words) =>
+    (words.length > 1 ? `${words.slice(0, -1).join(', ')} or ${words[words.length - 1]}` : words[0]);
+
+const isSpace = (char) => /\s/.test(char);
+
+// Read a "quoted" string starting at `start`; returns the text and the index after it
+const readQuoted = (input, start) => {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) {
+        throw new QueryError('Unterminated quote', start);
+    }
+    return { text: input.slice(start + 1, end), next: end + 1 };
+};
+
+// Read characters up to whitespace (and commas, inside a value list)
+const readBare = (input, start, stopAtComma) => {
+    let end = start;
+    while (end < input.length && !isSpace(input[end]) && input[end] !== '"'
+        && !(stopAtComma && input[end] === ',')) {
+        end += 1;
+    }
+    return { text: input.slice(start, end), next: end };
+};
+
+// Unquoted enum values may run over spaces ("status:In Progress") while
+// they still spell the start of an allowed value
+const extendEnumValue = (input, value, next, field) => {
+    const startsAllowed = (text) => field.values.some((allowed) =>
+        allowed.toLowerCase().startsWith(text.toLowerCase()));
+    const isAllowed = (text) => field.values.some((allowed) =>
+        allowed.toLowerCase() === text.toLowerCase());
+
+    let text = value;
+    let end = next;
+    while (!isAllowed(text) && end < input.length && isSpace(input[end])) {
+        let wordStart = end;
+        while (wordStart < input.length && isSpace(input[wordStart])) {
+            wordStart += 1;
+        }
+        const word = readBare(input, wordStart, true);
+        const candidate = `${text} ${word.text}`;
+        if (!word.text || !startsAllowed(candidate)) {
+            break;
+        }
+        text = candidate;
+        end = word.next;
+    }
+    return { text, next: end };
+};
+
+// Read a comma-separated value list starting at `start`
+const readValues = (input, start, field) => {
+    const values = [];
+    let index = start;
+
+    for (;;) {
+        const position = index;
+        let value;
+        if (input[index] === '"') {
+            value = readQuoted(input, index);
+        } else {
+            value = readBare(input, index, true);
+            if (field.type === 'enum') {
+                value = extendEnumValue(input, value.text, value.next, field);
+            }
+        }
+
+        if (!value.text.trim()) {
+            throw new QueryError(`Missing value for ${field.name}`, position);
+        }
+        values.push({ text: value.text.trim(), position });
+        index = value.next;
+
+        if (input[index] !== ',') {
+            break;
+        }
+        index += 1;
+    }
+
+    if (index < input.length && !isSpace(input[index])) {
+        throw new QueryError(`Unexpected character '${input[index]}'`, index);
+    }
+    return { values, next: index };
+};
+
+// Split a query into field filters and free-text search terms
+const tokenize = (input) => {
+    const filters = [];
+    const text = [];
+    let index = 0;
+
+    while (index < input.length) {
+        if (isSpace(input[index])) {
+            index += 1;
+            continue;
+        }
+
+        const start = index;
+        const negate = input[index] === '-' && index + 1 < input.length && !isSpace(input[index + 1]);
+        if (negate) {
+            index += 1;
+        }
+
+        if (input[index] === '"') {
+            const phrase = readQuoted(input, index);
+            if (phrase.text.trim()) {
+                text.push(`${negate ? '-' : ''}"${phrase.text.trim()}"`);
+            }
+            index = phrase.next;
+            continue;
+        }
+
+        const fieldMatch = /^([A-Za-z]+):/.exec(input.slice(index));
+        if (fieldMatch) {
+            const field = FIELDS[fieldMatch[1].toLowerCase()];
+            if (!field) {
+                throw new QueryError(
+                    `Unknown field "${fieldMatch[1]}"; use ${listWords(FIELD_NAMES)}, or quote text containing ":"`,
+                    index
+                );
+            }
+            const { values, next } = readValues(input, index + fieldMatch[0].length, field);
+            filters.push({ field, negate, values, position: start });
+            index = next;
+            continue;
+        }
+
+        const word = readBare(input, index, false);
+        text.push(`${negate ? '-' : ''}${word.text}`);
+        index = word.next;
+    }
+
+    return { filters, text: text.join(' ') };
+};
+
+const enumCondition = (field, values) => values.map(({ text, position }) => {
+    const match = field.values.find((allowed) => allowed.toLowerCase() === text.toLowerCase());
+    if (!match) {
+        throw new QueryError(`Invalid ${field.name} "${text}"; expected ${listWords(field.values)}`, position);
+    }
+    return match;
+});
+
+const DAY_KEYWORDS = { yesterday: -1, today: 0, tomorrow: 1 };
+const OFFSET_PATTERN = /^([+-]\d{1,4})([dw])$/;
+
+// Start of the UTC day a date value names: YYYY-MM-DD, today/tomorrow/yesterday,
+// or an offset from today such as +7d or -2w; null if it names none
+const resolveDay = (value) => {
+    const now = new Date();
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+    const keyword = DAY_KEYWORDS[value.toLowerCase()];
+    if (keyword !== undefined) {
+        return new Date(today + keyword * DAY_MS);
+    }
+
+    const offset = OFFSET_PATTERN.exec(value.toLowerCase());
+    if (offset) {
+        const days = parseInt(offset[1], 10) * (offset[2] === 'w' ? 7 : 1);
+        return new Date(today + days * DAY_MS);
+    }
+
+    // Round-trip so impossible dates like 2026-02-30 don't roll over
+    const day = new Date(`${value}T00:00:00.000Z`);
+    if (!DATE_PATTERN.test(value) || Number.isNaN(day.getTime())
+        || day.toISOString().slice(0, 10) !== value) {
+        return null;
+    }
+    return day;
+};
+
+// `due:2026-11-01` matches that whole (UTC) day; `<`, `<=`, `>`, `>=` compare against it
+const dateCondition = (field, values) => {
+    if (values.length > 1) {
+        throw new QueryError(`${field.name} takes a single date`, values[1].position);
+    }
+    const { text, position } = values[0];
+
+    if (text.toLowerCase() === 'none') {
+        return null;
+    }
+
+    const [, op = '', date] = /^(<=|>=|<|>)?(.*)$/.exec(text);
+    const day = resolveDay(date);
+    if (!day) {
+        throw new QueryError(
+            `Invalid ${field.name} "${text}"; use YYYY-MM-DD, today, tomorrow, yesterday or an offset `
+                + 'like +7d or -2w, optionally after <, <=, > or >=, or none',
+            position
+        );
+    }
+    const nextDay = new Date(day.getTime() + DAY_MS);
+
+    switch (op) {
+        case '<':
+            return { $lt: day };
+        case '<=':
+            return { $lt: nextDay };
+        case '>':
+            return { $gte: nextDay };
+        case '>=':
+            return { $gte: day };
+        default:
+            return { $gte: day, $lt: nextDay };
+    }
+};
+
+// Accepts me, none (assignee only), a user ID or an email address
+const userCondition = async (field, values, userId) => {
+    const ids = [];
+    const emails = [];
+
+    values.forEach(({ text, position }) => {
+        const value = text.toLowerCase();
+        if (value === 'me') {
+            ids.push(userId);
+        } else if (value === 'none' && field.name === 'assignee') {
+            ids.push(null);
+        } else if (mongoose.Types.ObjectId.isValid(text)) {
+            ids.push(new mongoose.Types.ObjectId(text));
+        } else if (EMAIL_PATTERN.test(text)) {
+            emails.push({ email: value, position });
+        } else {
+            const allowed = field.name === 'assignee' ? 'me, none, an email or a user ID' : 'me, an email or a user ID';
+            throw new QueryError(`Invalid ${field.name} "${text}"; expected ${allowed}`, position);
+        }
+    });
+
+    if (emails.length > 0) {
+        const users = await User.find({ email: { $in: emails.map((e) => e.email) } }).select('email');
+        emails.forEach(({ email, position }) => {
+            const user = users.find((u) => u.email === email);
+            if (!user) {
+                throw new QueryError(`No user with email "${email}"`, position);
+            }
+            ids.push(user._id);
+        });
+    }
+
+    return ids;
+};
+
+// Tag names, matched case-insensitively against the project's tags, or
+// without a project against the user's personal and project tags
+const tagCondition = async (values, userId, project) => {
+    let scope;
+    if (project) {
+        scope = { project };
+    } else {
+        const projectIds = await Project.find({ 'members.user': userId }).distinct('_id');
+        scope = { $or: [{ user: userId, project: null }, { project: { $in: projectIds } }] };
+    }
+
+    const tags = await Tag.find({ ...scope, name: { $in: values.map((v) => v.text) } })
+        .collation(Tag.NAME_COLLATION)
+        .select('name');
+
+    return values.flatMap(({ text, position }) => {
+        const matches = tags.filter((tag) => tag.name.toLowerCase() === text.toLowerCase());
+        if (matches.length === 0) {
+            throw new QueryError(`No tag named "${text}"`, position);
+        }
+        return matches.map((tag) => tag._id);
+    });
+};
+
+// Parse a filter query such as `status:Todo,"In Progress" due:<2026-11-01 -priority:Low report`
+// into Mongo conditions (to be ANDed) and the remaining free-text search.
+// `project` is the project being listed, if any, for resolving tag names.
+const parseTaskQuery = async (input, userId, { project = null } = {}) => {
+    const { filters, text } = tokenize(String(input));
+    const conditions = [];
+    let people = false;
+
+    for (const { field, negate, values } of filters) {
+        if (field.type === 'enum') {
+            const matched = enumCondition(field, values);
+            conditions.push({ [field.path]: { [negate ? '$nin' : '$in']: matched } });
+        } else if (field.type === 'date') {
+            const condition = { [field.path]: dateCondition(field, values) };
+            conditions.push(negate ? { $nor: [condition] } : condition);
+        } else if (field.type === 'tag') {
+            const ids = await tagCondition(values, userId, project);
+            conditions.push({ [field.path]: { [negate ? '$nin' : '$in']: ids } });
+        } else {
+            const ids = await userCondition(field, values, userId);
+            conditions.push({ [field.path]: { [negate ? '$nin' : '$in']: ids } });
+            people = true;
+        }
+    }
+
+    return { conditions, text, people };
+};
+
+module.exports = {
+    QueryError,
+    parseTaskQuery
+};
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Tag = require('../models/Tag');
+const { toCsv, parseCsv } = require('./csv');
+
+// Columns of the CSV export, in order. Recurrence is only carried by JSON.
+const CSV_COLUMNS = [
+    'title',
+    'description',
+    'priority',
+    'status',
+    'dueDate',
+    'assignee',
+    'watchers',
+    'tags',
+    'checklist',
+    'autoComplete'
+];
+
+// Portable form of a task with populated people, who are identified by
+// email, and tags, identified by name
+const toExportRow = (task) => ({
+    title: task.title,
+    description: task.description || '',
+    priority: task.priority,
+    status: task.status,
+    dueDate: task.dueDate.toISOString().slice(0, 10),
+    assignee: task.assignee ? task.assignee.email : null,
+    watchers: task.watchers.map((watcher) => watcher.email),
+    tags: task.tags.map((tag) => tag.name),
+    checklist: task.checklist.map(({ title, done }) => ({ title, done })),
+    autoComplete: task.autoComplete,
+    recurrence: task.recurrence
+        ? (({ _id, ...rule }) => rule)(task.recurrence.toObject())
+        : null
+});
+
+// Lists go one entry per line within a CSV cell; checklist items are
+// prefixed with [x] or [ ]
+const toCsvRow = (row) => ({
+    ...row,
+    assignee: row.assignee || '',
+    watchers: row.watchers.join('\n'),
+    tags: row.tags.join('\n'),
+    checklist: row.checklist.map(({ title, done }) => `[${done ? 'x' : ' '}] ${title}`).join('\n')
+});
+
+const exportCsv = (tasks) => toCsv(tasks.map(toExportRow).map(toCsvRow), CSV_COLUMNS);
+
+const exportJson = (tasks) => JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    count: tasks.length,
+    tasks: tasks.map(toExportRow)
+}, null, 2);
+
+const splitLines = (value) => String(value).split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+
+const parseBoolean = (value) => ['true', 'yes', '1'].includes(String(value).trim().toLowerCase());
+
+// Turn a CSV row of strings into a task body, leaving out empty optional fields
+const fromCsvRow = (row) => {
+    const body = {};
+
+    ['title', 'description', 'priority', 'status', 'dueDate', 'assignee'].forEach((field) => {
+        if (row[field] !== undefined && row[field].trim() !== '') {
+            body[field] = row[field].trim();
+        }
+    });
+    if (body.title === undefined) {
+        body.title = '';
+    }
+    if (row.watchers) {
+        body.watchers = splitLines(row.watchers.replace(/;/g, '\n'));
+    }
+    if (row.tags) {
+        body.tags = splitLines(row.tags);
+    }
+    if (row.checklist) {
+        body.checklist = splitLines(row.checklist).map((line) => {
+            const match = line.match(/^\[([ xX]?)\]\s*(.*)$/);
+            return match
+                ? { title: match[2], done: match[1].toLowerCase() === 'x' }
+                : { title: line, done: false };
+        });
+    }
+    if (row.autoComplete !== undefined && row.autoComplete.trim() !== '') {
+        body.autoComplete = parseBoolean(row.autoComplete);
+    }
+
+    return body;
+};
+
+// Parse an uploaded file into task bodies. Throws on malformed input.
+const parseImportFile = (buffer, format) => {
+    const text = buffer.toString('utf8');
+
+    if (format === 'json') {
+        const data = JSON.parse(text);
+        const rows = Array.isArray(data) ? data : data && data.tasks;
+        if (!Array.isArray(rows)) {
+            throw new Error('Expected an array of tasks or an object with a "tasks" array');
+        }
+        return rows.map((row) => (row && typeof row === 'object' && !Array.isArray(row) ? { ...row } : {}));
+    }
+
+    return parseCsv(text).map(fromCsvRow);
+};
+
+// Replace emails in a row's assignee and watchers with user IDs.
+// Returns a list of problems; IDs are checked later with the other rules.
+const resolvePeople = async (body) => {
+    const problems = [];
+
+    const resolve = async (value) => {
+        if (typeof value !== 'string' || mongoose.Types.ObjectId.isValid(value)) {
+            return value;
+        }
+        const user = await User.findOne({ email: value.trim().toLowerCase() }).select('_id');
+        if (!user) {
+            problems.push(`Unknown user "${value}"`);
+            return null;
+        }
+        return user._id.toString();
+    };
+
+    if (body.assignee) {
+        body.assignee = await resolve(body.assignee);
+    }
+    if (Array.isArray(body.watchers)) {
+        body.watchers = (await Promise.all(body.watchers.map(resolve))).filter(Boolean);
+    }
+
+    return problems;
+};
+
+// Replace tag names in a row with the IDs of the same-named tags in `scope`
+// (see Tag.scopeFilter). Returns a list of problems; IDs are checked later.
+const resolveTags = async (body, scope) => {
+    const problems = [];
+
+    if (Array.isArray(body.tags)) {
+        body.tags = (await Promise.all(body.tags.map(async (value) => {
+            if (typeof value !== 'string' || mongoose.isObjectIdOrHexString(value)) {
+                return value;
+            }
+            const tag = await Tag.findOne({ name: value.trim(), ...Tag.scopeFilter(scope) })
+                .collation(Tag.NAME_COLLATION)
+                .select('_id');
+            if (!tag) {
+                problems.push(`Unknown tag "${value}"`);
+                return null;
+            }
+            return tag._id.toString();
+        }))).filter(Boolean);
+    }
+
+    return problems;
+};
+
+module.exports = {
+    exportCsv,
+    exportJson,
+    parseImportFile,
+    resolvePeople,
+    resolveTags
+};
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { HttpError } = require('./httpError');
+
+// Strong ETag for the version of a task
+const versionTag = (task) => `"${task.version}"`;
+
+// Version of the task an edit is based on, from If-Match or the body's
+// `version`. Null when the client didn't say (or sent `If-Match: *`), so
+// older clients keep last-write-wins.
+const requestedVersion = (req) => {
+    const ifMatch = req.header('If-Match');
+    if (ifMatch === undefined) {
+        return req.body?.version ?? null;
+    }
+    if (ifMatch.trim() === '*') {
+        return null;
+    }
+
+    const match = /^"(\d+)"$/.exec(ifMatch.trim());
+    if (!match) {
+        throw new HttpError(400, 'If-Match must be a task ETag');
+    }
+    return Number(match[1]);
+};
+
+// 409 carrying the current server copy of the task to resolve against
+const conflictError = async (taskId) => new HttpError(
+    409,
+    'This task was changed by someone else',
+    { task: await Task.populateRefs(Task.findById(taskId)) }
+);
+
+// Refuse an edit based on an older version of the task
+const checkVersion = async (task, req) => {
+    const version = requestedVersion(req);
+    if (version !== null && version !== task.version) {
+        throw await conflictError(task._id);
+    }
+};
+
+// Save the task only if nobody else saved it since it was loaded. Tasks
+// stored before versioning have no version field, which loads as 0. Saves
+// that change array items also check Mongoose's own `__v`, and report a
+// miss as a VersionError rather than DocumentNotFoundError.
+const saveIfUnchanged = async (task) => {
+    task.$where = { version: task.version || { $in: [0, null] } };
+    try {
+        await task.save();
+    } catch (error) {
+        if (error instanceof mongoose.Error.DocumentNotFoundError
+            || error instanceof mongoose.Error.VersionError) {
+            throw await conflictError(task._id);
+        }
+        throw error;
+    }
+};
+
+module.exports = { versionTag, checkVersion, saveIfUnchanged };
@@ -0,0 +1,57 @@
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const { deleteTaskAttachments } = require('./attachments');
+
+// Days a deleted task stays in the trash before it is purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// How often the purge runs
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// When a task deleted at `deletedAt` will be purged
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Permanently delete tasks (with their comments and attachments) past the retention period,
+// unlinking them from the tasks they blocked. Their audit history is kept.
+const purgeDeletedTasks = async () => {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const taskIds = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } }).distinct('_id');
+
+    if (taskIds.length === 0) {
+        return 0;
+    }
+
+    await Comment.deleteMany({ task: { $in: taskIds } });
+    await deleteTaskAttachments(taskIds);
+    await Task.deleteMany({ _id: { $in: taskIds } });
+    await Task.updateMany({ blockedBy: { $in: taskIds } }, {
+        $pull: { blockedBy: { $in: taskIds } },
+        $inc: { version: 1 }
+    });
+
+    return taskIds.length;
+};
+
+// Run the purge now and then periodically for the life of the process
+const scheduleTrashPurge = () => {
+    const run = async () => {
+        try {
+            const purged = await purgeDeletedTasks();
+            if (purged > 0) {
+                console.log(`🗑️  Purged ${purged} task(s) from the trash`);
+            }
+        } catch (error) {
+            console.error('Trash purge error:', error);
+        }
+    };
+
+    run();
+    setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    purgeDate,
+    purgeDeletedTasks,
+    scheduleTrashPurge
+};
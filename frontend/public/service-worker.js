@@ -0,0 +1,68 @@
+/* eslint-disable no-restricted-globals */
+// Caches the app shell so the task manager opens offline. API requests are
+// never cached here: the app keeps its own copy of tasks in IndexedDB.
+const CACHE_NAME = 'task-manager-v1';
+const SHELL = ['/', '/index.html', '/manifest.json', '/logo192.png', '/logo512.png'];
+
+// The build's own JS and CSS bundles, listed in CRA's asset manifest
+const buildAssets = async () => {
+    try {
+        const response = await fetch('/asset-manifest.json', { cache: 'no-store' });
+        const { entrypoints = [] } = await response.json();
+        return entrypoints.map((path) => `/${path}`);
+    } catch (error) {
+        return [];
+    }
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll([...SHELL, ...(await buildAssets())]);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    // Pages: the network when it answers, so deploys show up, else the shell
+    if (request.mode === 'navigate') {
+        event.respondWith((async () => {
+            try {
+                const response = await fetch(request);
+                const cache = await caches.open(CACHE_NAME);
+                cache.put('/index.html', response.clone());
+                return response;
+            } catch (error) {
+                return (await caches.match('/index.html')) || Response.error();
+            }
+        })());
+        return;
+    }
+
+    // Static files: hashed names never change, so the cache wins
+    event.respondWith((async () => {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+
+        const response = await fetch(request);
+        if (response.ok && url.pathname.startsWith('/static/')) {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    })());
+});
@@ -6,6 +6,7 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Tasks from './pages/Tasks';
+import Calendar from './pages/Calendar';
 
 function App() {
     const { isAuthenticated } = useAuth();
@@ -36,6 +37,14 @@ function App() {
                     </PrivateRoute>
                 }
             />
+            <Route
+                path="/calendar"
+                element={
+                    <PrivateRoute>
+                        <Calendar />
+                    </PrivateRoute>
+                }
+            />
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
             <Route path="*" element={<Navigate to="/dashboard" replace />} />
         </Routes>
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import {
+    Paper,
+    Toolbar,
+    Typography,
+    Button,
+    Menu,
+    MenuItem,
+    Checkbox,
+    Divider
+} from '@mui/material';
+import {
+    Flag as FlagIcon,
+    TaskAlt as StatusIcon,
+    Event as EventIcon,
+    Delete as DeleteIcon
+} from '@mui/icons-material';
+
+const STATUSES = ['Todo', 'In Progress', 'Completed'];
+const PRIORITIES = ['Low', 'Medium', 'High'];
+const SHIFTS = [
+    { label: '1 day earlier', days: -1 },
+    { label: '1 day later', days: 1 },
+    { label: '1 week later', days: 7 },
+    { label: '2 weeks later', days: 14 }
+];
+
+// Toolbar shown while tasks are selected; `onAction(action, value)` applies a bulk action
+const BulkActionBar = ({ selectedCount, totalCount, onSelectAll, onClear, onAction, busy }) => {
+    const [menu, setMenu] = useState(null);
+
+    const openMenu = (name) => (event) => setMenu({ name, anchor: event.currentTarget });
+    const closeMenu = () => setMenu(null);
+
+    const choose = (action, value) => {
+        closeMenu();
+        onAction(action, value);
+    };
+
+    return (
+        <Paper sx={{ position: 'sticky', top: 0, zIndex: 2, mb: 2 }}>
+            <Toolbar variant="dense" sx={{ gap: 1, flexWrap: 'wrap' }}>
+                <Checkbox
+                    checked={selectedCount === totalCount}
+                    indeterminate={selectedCount > 0 && selectedCount < totalCount}
+                    onChange={() => (selectedCount === totalCount ? onClear() : onSelectAll())}
+                    inputProps={{ 'aria-label': 'select all tasks' }}
+                />
+                <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+                    {selectedCount} selected
+                </Typography>
+                <Button startIcon={<StatusIcon />} onClick={openMenu('status')} disabled={busy}>
+                    Status
+                </Button>
+                <Button startIcon={<FlagIcon />} onClick={openMenu('priority')} disabled={busy}>
+                    Priority
+                </Button>
+                <Button startIcon={<EventIcon />} onClick={openMenu('shiftDueDate')} disabled={busy}>
+                    Due date
+                </Button>
+                <Button color="error" startIcon={<DeleteIcon />} onClick={() => onAction('delete')} disabled={busy}>
+                    Delete
+                </Button>
+                <Divider orientation="vertical" flexItem />
+                <Button onClick={onClear} disabled={busy}>
+                    Clear
+                </Button>
+            </Toolbar>
+
+            <Menu anchorEl={menu?.anchor} open={menu?.name === 'status'} onClose={closeMenu}>
+                {STATUSES.map((status) => (
+                    <MenuItem key={status} onClick={() => choose('status', status)}>{status}</MenuItem>
+                ))}
+            </Menu>
+            <Menu anchorEl={menu?.anchor} open={menu?.name === 'priority'} onClose={closeMenu}>
+                {PRIORITIES.map((priority) => (
+                    <MenuItem key={priority} onClick={() => choose('priority', priority)}>{priority}</MenuItem>
+                ))}
+            </Menu>
+            <Menu anchorEl={menu?.anchor} open={menu?.name === 'shiftDueDate'} onClose={closeMenu}>
+                {SHIFTS.map(({ label, days }) => (
+                    <MenuItem key={days} onClick={() => choose('shiftDueDate', days)}>{label}</MenuItem>
+                ))}
+            </Menu>
+        </Paper>
+    );
+};
+
+export default BulkActionBar;
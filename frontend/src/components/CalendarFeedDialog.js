@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Grid,
+    TextField,
+    MenuItem,
+    IconButton,
+    InputAdornment,
+    Typography,
+    CircularProgress,
+    Box
+} from '@mui/material';
+import { ContentCopy as CopyIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { usersAPI } from '../services/api';
+
+// Secret iCalendar feed link for calendar apps, with optional filters
+const CalendarFeedDialog = ({ open, onClose, projectId }) => {
+    const [baseUrl, setBaseUrl] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [type, setType] = useState('event');
+    const [status, setStatus] = useState('');
+    const [priority, setPriority] = useState('');
+
+    useEffect(() => {
+        if (!open) return undefined;
+        let active = true;
+
+        const fetchFeed = async () => {
+            try {
+                setLoading(true);
+                const response = await usersAPI.getCalendarFeed();
+                if (active) setBaseUrl(response.data.url);
+            } catch (error) {
+                console.error('Fetch calendar feed error:', error);
+                toast.error('Failed to load calendar feed');
+            } finally {
+                if (active) setLoading(false);
+            }
+        };
+
+        fetchFeed();
+        return () => {
+            active = false;
+        };
+    }, [open]);
+
+    const feedUrl = baseUrl && [
+        baseUrl,
+        projectId && `project=${projectId}`,
+        type === 'todo' && 'type=todo',
+        status && `status=${encodeURIComponent(status)}`,
+        priority && `priority=${priority}`
+    ].filter(Boolean).join('&');
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(feedUrl);
+            toast.success('Feed link copied');
+        } catch (error) {
+            toast.error('Copy failed; select the link and copy it manually');
+        }
+    };
+
+    const handleRotate = async () => {
+        if (!window.confirm('Reset the feed link? Calendars subscribed to the old link will stop updating.')) return;
+        try {
+            const response = await usersAPI.rotateCalendarFeed();
+            setBaseUrl(response.data.url);
+            toast.success('Feed link reset');
+        } catch (error) {
+            console.error('Rotate calendar feed error:', error);
+            toast.error('Failed to reset feed link');
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+            <DialogTitle>Subscribe in your calendar app</DialogTitle>
+            <DialogContent dividers>
+                {loading ? (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+                        <CircularProgress size={28} />
+                    </Box>
+                ) : (
+                    <Grid container spacing={2}>
+                        <Grid item xs={12}>
+                            <Typography variant="body2" color="text.secondary">
+                                Add this link to Google Calendar, Outlook or Apple Calendar as a calendar subscription.
+                                Anyone with the link can see these tasks, so keep it private.
+                            </Typography>
+                        </Grid>
+                        <Grid item xs={12} sm={4}>
+                            <TextField fullWidth select label="Show as" value={type} onChange={(e) => setType(e.target.value)}>
+                                <MenuItem value="event">Events</MenuItem>
+                                <MenuItem value="todo">Tasks (VTODO)</MenuItem>
+                            </TextField>
+                        </Grid>
+                        <Grid item xs={12} sm={4}>
+                            <TextField fullWidth select label="Status" value={status} onChange={(e) => setStatus(e.target.value)}>
+                                <MenuItem value="">All</MenuItem>
+                                <MenuItem value="Todo">Todo</MenuItem>
+                                <MenuItem value="In Progress">In Progress</MenuItem>
+                                <MenuItem value="Completed">Completed</MenuItem>
+                            </TextField>
+                        </Grid>
+                        <Grid item xs={12} sm={4}>
+                            <TextField fullWidth select label="Priority" value={priority} onChange={(e) => setPriority(e.target.value)}>
+                                <MenuItem value="">All</MenuItem>
+                                <MenuItem value="Low">Low</MenuItem>
+                                <MenuItem value="Medium">Medium</MenuItem>
+                                <MenuItem value="High">High</MenuItem>
+                            </TextField>
+                        </Grid>
+                        <Grid item xs={12}>
+                            <TextField
+                                fullWidth
+                                label="Feed link"
+                                value={feedUrl}
+                                InputProps={{
+                                    readOnly: true,
+                                    endAdornment: (
+                                        <InputAdornment position="end">
+                                            <IconButton onClick={handleCopy} aria-label="copy feed link">
+                                                <CopyIcon />
+                                            </IconButton>
+                                        </InputAdornment>
+                                    )
+                                }}
+                                onFocus={(e) => e.target.select()}
+                            />
+                        </Grid>
+                    </Grid>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button color="error" onClick={handleRotate} disabled={loading} sx={{ mr: 'auto' }}>
+                    Reset link
+                </Button>
+                <Button onClick={onClose}>Close</Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default CalendarFeedDialog;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import {
+    Box,
+    Checkbox,
+    TextField,
+    IconButton,
+    Button,
+    Typography
+} from '@mui/material';
+import {
+    Delete as DeleteIcon,
+    ArrowUpward as ArrowUpIcon,
+    ArrowDownward as ArrowDownIcon,
+    Add as AddIcon
+} from '@mui/icons-material';
+
+// Inline editor for a task's checklist; `items` are { _id?, title, done }
+const ChecklistEditor = ({ items, onChange }) => {
+    const [newTitle, setNewTitle] = useState('');
+
+    const updateItem = (index, changes) => {
+        onChange(items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+    };
+
+    const moveItem = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= items.length) return;
+
+        const next = [...items];
+        [next[index], next[target]] = [next[target], next[index]];
+        onChange(next);
+    };
+
+    const addItem = () => {
+        if (!newTitle.trim()) return;
+        onChange([...items, { title: newTitle.trim(), done: false }]);
+        setNewTitle('');
+    };
+
+    const doneCount = items.filter((item) => item.done).length;
+
+    return (
+        <Box>
+            <Typography variant="subtitle2" gutterBottom>
+                Checklist {items.length > 0 && `(${doneCount}/${items.length})`}
+            </Typography>
+            {items.map((item, index) => (
+                <Box key={item._id || index} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                    <Checkbox
+                        size="small"
+                        checked={item.done}
+                        onChange={(e) => updateItem(index, { done: e.target.checked })}
+                    />
+                    <TextField
+                        fullWidth
+                        size="small"
+                        variant="standard"
+                        value={item.title}
+                        onChange={(e) => updateItem(index, { title: e.target.value })}
+                    />
+                    <IconButton size="small" onClick={() => moveItem(index, -1)} disabled={index === 0} aria-label="move up">
+                        <ArrowUpIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton
+                        size="small"
+                        onClick={() => moveItem(index, 1)}
+                        disabled={index === items.length - 1}
+                        aria-label="move down"
+                    >
+                        <ArrowDownIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton
+                        size="small"
+                        onClick={() => onChange(items.filter((_, i) => i !== index))}
+                        aria-label="remove item"
+                    >
+                        <DeleteIcon fontSize="small" />
+                    </IconButton>
+                </Box>
+            ))}
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+                <TextField
+                    fullWidth
+                    size="small"
+                    placeholder="Add an item"
+                    value={newTitle}
+                    onChange={(e) => setNewTitle(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                            e.preventDefault();
+                            addItem();
+                        }
+                    }}
+                />
+                <Button size="small" startIcon={<AddIcon />} onClick={addItem} disabled={!newTitle.trim()}>
+                    Add
+                </Button>
+            </Box>
+        </Box>
+    );
+};
+
+export default ChecklistEditor;
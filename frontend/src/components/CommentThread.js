@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    TextField,
+    Button,
+    IconButton,
+    Avatar,
+    CircularProgress,
+    Paper
+} from '@mui/material';
+import { Edit as EditIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import ReactMarkdown from 'react-markdown';
+import { formatDistanceToNow } from 'date-fns';
+import { toast } from 'react-toastify';
+import { tasksAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import UserPicker from './UserPicker';
+
+// Render @[Name](id) mention tokens as bold @Name before markdown
+const renderMentions = (body) => body.replace(/@\[([^\]]+)\]\([0-9a-fA-F]{24}\)/g, '**@$1**');
+
+const CommentThread = ({ taskId, projectId, isOwner }) => {
+    const { user } = useAuth();
+    const [comments, setComments] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [draft, setDraft] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [editDraft, setEditDraft] = useState('');
+    const [posting, setPosting] = useState(false);
+
+    useEffect(() => {
+        let active = true;
+
+        const fetchComments = async () => {
+            try {
+                setLoading(true);
+                const response = await tasksAPI.getComments(taskId);
+                if (active) setComments(response.data.comments);
+            } catch (error) {
+                console.error('Fetch comments error:', error);
+                toast.error('Failed to load comments');
+            } finally {
+                if (active) setLoading(false);
+            }
+        };
+
+        fetchComments();
+        return () => {
+            active = false;
+        };
+    }, [taskId]);
+
+    const insertMention = (mentioned) => {
+        if (mentioned) {
+            setDraft((prev) => `${prev}${prev && !prev.endsWith(' ') ? ' ' : ''}@[${mentioned.name}](${mentioned._id}) `);
+        }
+    };
+
+    const handlePost = async () => {
+        if (!draft.trim()) return;
+        setPosting(true);
+        try {
+            const response = await tasksAPI.addComment(taskId, draft);
+            setComments((prev) => [...prev, response.data.comment]);
+            setDraft('');
+        } catch (error) {
+            console.error('Add comment error:', error);
+            toast.error('Failed to add comment');
+        } finally {
+            setPosting(false);
+        }
+    };
+
+    const handleSaveEdit = async (commentId) => {
+        if (!editDraft.trim()) return;
+        try {
+            const response = await tasksAPI.updateComment(taskId, commentId, editDraft);
+            setComments((prev) => prev.map((c) => (c._id === commentId ? response.data.comment : c)));
+            setEditingId(null);
+        } catch (error) {
+            console.error('Update comment error:', error);
+            toast.error('Failed to update comment');
+        }
+    };
+
+    const handleDelete = async (commentId) => {
+        if (!window.confirm('Delete this comment?')) return;
+        try {
+            await tasksAPI.deleteComment(taskId, commentId);
+            setComments((prev) => prev.filter((c) => c._id !== commentId));
+        } catch (error) {
+            console.error('Delete comment error:', error);
+            toast.error('Failed to delete comment');
+        }
+    };
+
+    if (loading) {
+        return (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+                <CircularProgress size={28} />
+            </Box>
+        );
+    }
+
+    return (
+        <Box>
+            {comments.length === 0 && (
+                <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                    No comments yet. Start the discussion below.
+                </Typography>
+            )}
+            {comments.map((comment) => {
+                const isAuthor = comment.author?._id === user.id;
+                return (
+                    <Paper key={comment._id} variant="outlined" sx={{ p: 1.5, mb: 1.5 }}>
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                            <Avatar sx={{ width: 28, height: 28, fontSize: 14 }}>
+                                {comment.author?.name?.[0]?.toUpperCase()}
+                            </Avatar>
+                            <Typography variant="subtitle2">{comment.author?.name}</Typography>
+                            <Typography variant="caption" color="text.secondary" sx={{ flexGrow: 1 }}>
+                                {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+                                {comment.editedAt &&
+                                    ` · edited ${formatDistanceToNow(new Date(comment.editedAt), { addSuffix: true })}`}
+                            </Typography>
+                            {isAuthor && (
+                                <IconButton
+                                    size="small"
+                                    onClick={() => {
+                                        setEditingId(comment._id);
+                                        setEditDraft(comment.body);
+                                    }}
+                                    aria-label="edit comment"
+                                >
+                                    <EditIcon fontSize="small" />
+                                </IconButton>
+                            )}
+                            {(isAuthor || isOwner) && (
+                                <IconButton size="small" onClick={() => handleDelete(comment._id)} aria-label="delete comment">
+                                    <DeleteIcon fontSize="small" />
+                                </IconButton>
+                            )}
+                        </Box>
+                        {editingId === comment._id ? (
+                            <Box>
+                                <TextField
+                                    fullWidth
+                                    multiline
+                                    minRows={2}
+                                    value={editDraft}
+                                    onChange={(e) => setEditDraft(e.target.value)}
+                                />
+                                <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 1 }}>
+                                    <Button size="small" onClick={() => setEditingId(null)}>Cancel</Button>
+                                    <Button size="small" variant="contained" onClick={() => handleSaveEdit(comment._id)}>
+                                        Save
+                                    </Button>
+                                </Box>
+                            </Box>
+                        ) : (
+                            <Box className="markdown-body" sx={{ typography: 'body2' }}>
+                                <ReactMarkdown>{renderMentions(comment.body)}</ReactMarkdown>
+                            </Box>
+                        )}
+                    </Paper>
+                );
+            })}
+
+            <TextField
+                fullWidth
+                multiline
+                minRows={3}
+                placeholder="Write a comment (Markdown supported)"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                sx={{ mt: 1 }}
+            />
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+                <UserPicker
+                    label="Mention someone"
+                    value={null}
+                    onChange={insertMention}
+                    projectId={projectId}
+                    size="small"
+                    sx={{ flexGrow: 1 }}
+                    blurOnSelect
+                    clearOnBlur
+                />
+                <Button variant="contained" onClick={handlePost} disabled={posting || !draft.trim()}>
+                    {posting ? 'Posting...' : 'Comment'}
+                </Button>
+            </Box>
+        </Box>
+    );
+};
+
+export default CommentThread;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { Box } from '@mui/material';
+import { splitMatches } from '../utils/search';
+
+// Render text with the parts matching any of `terms` highlighted
+const Highlight = ({ text, terms }) => (
+    <>
+        {splitMatches(text, terms).map((part, index) => (part.match ? (
+            <Box
+                key={index}
+                component="mark"
+                sx={{ bgcolor: 'warning.light', color: 'inherit', borderRadius: 0.5, px: 0.25 }}
+            >
+                {part.text}
+            </Box>
+        ) : (
+            <React.Fragment key={index}>{part.text}</React.Fragment>
+        )))}
+    </>
+);
+
+export default Highlight;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Box,
+    Typography,
+    Alert,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    CircularProgress
+} from '@mui/material';
+import { UploadFile as UploadIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { tasksAPI } from '../services/api';
+
+// Upload a CSV or JSON file, check it with a dry run, then import the valid rows
+const ImportDialog = ({ open, onClose, projectId, onImported }) => {
+    const [file, setFile] = useState(null);
+    const [report, setReport] = useState(null);
+    const [working, setWorking] = useState(false);
+
+    useEffect(() => {
+        if (open) {
+            setFile(null);
+            setReport(null);
+        }
+    }, [open]);
+
+    const params = (dryRun) => ({
+        ...(projectId ? { project: projectId } : {}),
+        ...(dryRun ? { dryRun: true } : {})
+    });
+
+    const runImport = async (dryRun) => {
+        setWorking(true);
+        try {
+            const response = await tasksAPI.importTasks(file, params(dryRun));
+            if (dryRun) {
+                setReport(response.data);
+            } else {
+                toast.success(response.data.message);
+                onImported();
+                if (response.data.invalid > 0) {
+                    setReport(response.data);
+                } else {
+                    onClose();
+                }
+            }
+        } catch (error) {
+            console.error('Import tasks error:', error);
+            toast.error(error.response?.data?.message || 'Failed to import tasks');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleFile = (event) => {
+        setFile(event.target.files[0] || null);
+        setReport(null);
+        event.target.value = '';
+    };
+
+    const failures = report ? report.results.filter((result) => !result.success) : [];
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+            <DialogTitle>Import tasks</DialogTitle>
+            <DialogContent dividers>
+                <Typography variant="body2" color="text.secondary" paragraph>
+                    Upload a CSV or JSON file in the same format as the export. CSV columns: title, description,
+                    priority, status, dueDate, assignee, watchers, tags, checklist, autoComplete. People are matched
+                    by email and tags by name.
+                </Typography>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+                    <Button variant="outlined" component="label" startIcon={<UploadIcon />}>
+                        Choose file
+                        <input type="file" hidden accept=".csv,.json,text/csv,application/json" onChange={handleFile} />
+                    </Button>
+                    <Typography variant="body2">{file ? file.name : 'No file selected'}</Typography>
+                    {working && <CircularProgress size={24} />}
+                </Box>
+
+                {report && (
+                    <>
+                        <Alert severity={report.invalid > 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+                            {report.message}
+                            {report.dryRun && report.invalid > 0 && '. Rows with errors will be skipped.'}
+                        </Alert>
+                        {failures.length > 0 && (
+                            <Table size="small">
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>Row</TableCell>
+                                        <TableCell>Title</TableCell>
+                                        <TableCell>Problems</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {failures.map((result) => (
+                                        <TableRow key={result.row}>
+                                            <TableCell>{result.row}</TableCell>
+                                            <TableCell>{result.title || '—'}</TableCell>
+                                            <TableCell>{result.errors.join('; ')}</TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        )}
+                    </>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Close</Button>
+                <Button onClick={() => runImport(true)} disabled={!file || working}>
+                    Check file
+                </Button>
+                <Button
+                    variant="contained"
+                    onClick={() => runImport(false)}
+                    disabled={!file || working || !report?.dryRun || report.valid === 0}
+                >
+                    Import {report?.dryRun ? report.valid : ''} tasks
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default ImportDialog;
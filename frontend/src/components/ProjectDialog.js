@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    TextField,
+    MenuItem,
+    Grid,
+    List,
+    ListItem,
+    ListItemText,
+    IconButton,
+    Typography,
+    Divider
+} from '@mui/material';
+import { Delete as DeleteIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { projectsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { useProjects } from '../context/ProjectContext';
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+// Create a project, or manage an existing one's details and members
+const ProjectDialog = ({ open, onClose, project }) => {
+    const { user } = useAuth();
+    const { refreshProjects, selectProject } = useProjects();
+    const [formData, setFormData] = useState({ name: '', description: '' });
+    const [member, setMember] = useState({ email: '', role: 'editor' });
+    const [loading, setLoading] = useState(false);
+
+    const isOwner = !project || project.role === 'owner';
+
+    useEffect(() => {
+        setFormData({
+            name: project?.name || '',
+            description: project?.description || ''
+        });
+        setMember({ email: '', role: 'editor' });
+    }, [project, open]);
+
+    const errorMessage = (error, fallback) =>
+        error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (formData.name.trim().length < 2) {
+            toast.error('Project name must be at least 2 characters');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            if (project) {
+                await projectsAPI.updateProject(project._id, formData);
+                toast.success('Project updated successfully');
+            } else {
+                const response = await projectsAPI.createProject(formData);
+                selectProject(response.data.project._id);
+                toast.success('Project created successfully');
+            }
+            await refreshProjects();
+            onClose();
+        } catch (error) {
+            console.error('Project submit error:', error);
+            toast.error(errorMessage(error, 'Failed to save project'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleAddMember = async () => {
+        try {
+            await projectsAPI.addMember(project._id, member);
+            setMember({ email: '', role: 'editor' });
+            toast.success('Member added successfully');
+            await refreshProjects();
+        } catch (error) {
+            console.error('Add member error:', error);
+            toast.error(errorMessage(error, 'Failed to add member'));
+        }
+    };
+
+    const handleRoleChange = async (userId, role) => {
+        try {
+            await projectsAPI.updateMember(project._id, userId, role);
+            await refreshProjects();
+        } catch (error) {
+            console.error('Update member error:', error);
+            toast.error(errorMessage(error, 'Failed to update member'));
+        }
+    };
+
+    const handleRemoveMember = async (userId) => {
+        const isSelf = userId === user.id;
+        if (!window.confirm(isSelf ? 'Leave this project?' : 'Remove this member?')) {
+            return;
+        }
+        try {
+            await projectsAPI.removeMember(project._id, userId);
+            if (isSelf) {
+                selectProject(null);
+                onClose();
+            }
+            await refreshProjects();
+        } catch (error) {
+            console.error('Remove member error:', error);
+            toast.error(errorMessage(error, 'Failed to remove member'));
+        }
+    };
+
+    const handleDeleteProject = async () => {
+        if (!window.confirm('Delete this project and all of its tasks?')) {
+            return;
+        }
+        try {
+            await projectsAPI.deleteProject(project._id);
+            selectProject(null);
+            toast.success('Project deleted successfully');
+            await refreshProjects();
+            onClose();
+        } catch (error) {
+            console.error('Delete project error:', error);
+            toast.error(errorMessage(error, 'Failed to delete project'));
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+            <form onSubmit={handleSubmit}>
+                <DialogTitle>{project ? 'Project Settings' : 'Create New Project'}</DialogTitle>
+                <DialogContent>
+                    <Grid container spacing={2} sx={{ mt: 0.5 }}>
+                        <Grid item xs={12}>
+                            <TextField
+                                fullWidth
+                                label="Name"
+                                value={formData.name}
+                                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                                disabled={!isOwner}
+                                required
+                                autoFocus
+                            />
+                        </Grid>
+                        <Grid item xs={12}>
+                            <TextField
+                                fullWidth
+                                label="Description"
+                                value={formData.description}
+                                onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                                disabled={!isOwner}
+                                multiline
+                                rows={2}
+                            />
+                        </Grid>
+                    </Grid>
+
+                    {project && (
+                        <>
+                            <Divider sx={{ my: 2 }} />
+                            <Typography variant="subtitle1">Members</Typography>
+                            <List dense>
+                                {project.members.map(({ user: memberUser, role }) => (
+                                    <ListItem
+                                        key={memberUser._id}
+                                        secondaryAction={
+                                            (isOwner || memberUser._id === user.id) && (
+                                                <IconButton
+                                                    edge="end"
+                                                    size="small"
+                                                    onClick={() => handleRemoveMember(memberUser._id)}
+                                                    aria-label="remove member"
+                                                >
+                                                    <DeleteIcon fontSize="small" />
+                                                </IconButton>
+                                            )
+                                        }
+                                    >
+                                        <ListItemText primary={memberUser.name} secondary={memberUser.email} />
+                                        <TextField
+                                            select
+                                            size="small"
+                                            value={role}
+                                            onChange={(e) => handleRoleChange(memberUser._id, e.target.value)}
+                                            disabled={!isOwner}
+                                            sx={{ mr: 3, minWidth: 110 }}
+                                        >
+                                            {ROLES.map((r) => (
+                                                <MenuItem key={r} value={r}>{r}</MenuItem>
+                                            ))}
+                                        </TextField>
+                                    </ListItem>
+                                ))}
+                            </List>
+
+                            {isOwner && (
+                                <Grid container spacing={1} alignItems="center">
+                                    <Grid item xs={12} sm={6}>
+                                        <TextField
+                                            fullWidth
+                                            size="small"
+                                            label="Invite by email"
+                                            value={member.email}
+                                            onChange={(e) => setMember({ ...member, email: e.target.value })}
+                                        />
+                                    </Grid>
+                                    <Grid item xs={8} sm={3}>
+                                        <TextField
+                                            fullWidth
+                                            select
+                                            size="small"
+                                            label="Role"
+                                            value={member.role}
+                                            onChange={(e) => setMember({ ...member, role: e.target.value })}
+                                        >
+                                            {ROLES.map((r) => (
+                                                <MenuItem key={r} value={r}>{r}</MenuItem>
+                                            ))}
+                                        </TextField>
+                                    </Grid>
+                                    <Grid item xs={4} sm={3}>
+                                        <Button fullWidth onClick={handleAddMember} disabled={!member.email}>
+                                            Invite
+                                        </Button>
+                                    </Grid>
+                                </Grid>
+                            )}
+                        </>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    {project && isOwner && (
+                        <Button color="error" onClick={handleDeleteProject} sx={{ mr: 'auto' }}>
+                            Delete Project
+                        </Button>
+                    )}
+                    <Button onClick={onClose} disabled={loading}>
+                        {isOwner ? 'Cancel' : 'Close'}
+                    </Button>
+                    {isOwner && (
+                        <Button type="submit" variant="contained" disabled={loading}>
+                            {loading ? 'Saving...' : project ? 'Save' : 'Create'}
+                        </Button>
+                    )}
+                </DialogActions>
+            </form>
+        </Dialog>
+    );
+};
+
+export default ProjectDialog;
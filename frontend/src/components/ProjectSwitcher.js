@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Box, TextField, MenuItem, IconButton, Tooltip, Divider } from '@mui/material';
+import { Settings as SettingsIcon } from '@mui/icons-material';
+import { useProjects } from '../context/ProjectContext';
+import ProjectDialog from './ProjectDialog';
+
+const NEW_PROJECT = '__new__';
+
+// AppBar select for switching between personal tasks and shared projects
+const ProjectSwitcher = () => {
+    const { projects, currentProject, currentProjectId, selectProject } = useProjects();
+    const [dialogOpen, setDialogOpen] = useState(false);
+    const [editing, setEditing] = useState(null);
+
+    const handleChange = (e) => {
+        if (e.target.value === NEW_PROJECT) {
+            setEditing(null);
+            setDialogOpen(true);
+            return;
+        }
+        selectProject(e.target.value || null);
+    };
+
+    return (
+        <Box sx={{ display: 'flex', alignItems: 'center', mr: 2 }}>
+            <TextField
+                select
+                size="small"
+                value={currentProjectId || ''}
+                onChange={handleChange}
+                SelectProps={{ displayEmpty: true }}
+                sx={{
+                    minWidth: 180,
+                    '& .MuiInputBase-root': { color: 'inherit' },
+                    '& .MuiOutlinedInput-notchedOutline': { borderColor: 'rgba(255, 255, 255, 0.5)' },
+                    '& .MuiSvgIcon-root': { color: 'inherit' }
+                }}
+            >
+                <MenuItem value="">Personal</MenuItem>
+                {projects.map((project) => (
+                    <MenuItem key={project._id} value={project._id}>
+                        {project.name}
+                    </MenuItem>
+                ))}
+                <Divider />
+                <MenuItem value={NEW_PROJECT}>+ New project</MenuItem>
+            </TextField>
+            {currentProject && (
+                <Tooltip title="Project settings">
+                    <IconButton
+                        color="inherit"
+                        onClick={() => {
+                            setEditing(currentProject);
+                            setDialogOpen(true);
+                        }}
+                        aria-label="project settings"
+                    >
+                        <SettingsIcon />
+                    </IconButton>
+                </Tooltip>
+            )}
+
+            <ProjectDialog
+                open={dialogOpen}
+                onClose={() => setDialogOpen(false)}
+                project={editing ? currentProject : null}
+            />
+        </Box>
+    );
+};
+
+export default ProjectSwitcher;
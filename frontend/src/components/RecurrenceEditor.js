@@ -0,0 +1,147 @@
+import React from 'react';
+import {
+    Grid,
+    TextField,
+    MenuItem,
+    ToggleButton,
+    ToggleButtonGroup,
+    Typography
+} from '@mui/material';
+import { WEEKDAYS, describeRecurrence } from '../utils/recurrence';
+
+// Editor for a task's recurrence rule; `value` is null when the task doesn't repeat
+const RecurrenceEditor = ({ value, onChange, dueDate }) => {
+    const due = dueDate ? new Date(dueDate) : new Date();
+
+    const handleFrequency = (frequency) => {
+        if (!frequency) {
+            onChange(null);
+            return;
+        }
+        onChange({
+            frequency,
+            interval: value?.interval || 1,
+            byWeekday: frequency === 'weekly' ? [due.getUTCDay()] : [],
+            byMonthDay: frequency === 'monthly' ? due.getUTCDate() : null,
+            until: value?.until || null,
+            count: value?.count || null
+        });
+    };
+
+    const update = (changes) => onChange({ ...value, ...changes });
+
+    const endType = value?.until ? 'until' : value?.count ? 'count' : 'never';
+
+    const handleEndType = (type) => {
+        update({
+            until: type === 'until' ? (dueDate || null) : null,
+            count: type === 'count' ? 5 : null
+        });
+    };
+
+    return (
+        <Grid container spacing={2}>
+            <Grid item xs={12} sm={6}>
+                <TextField
+                    fullWidth
+                    select
+                    label="Repeat"
+                    value={value?.frequency || ''}
+                    onChange={(e) => handleFrequency(e.target.value)}
+                    SelectProps={{ displayEmpty: true }}
+                    InputLabelProps={{ shrink: true }}
+                >
+                    <MenuItem value="">Does not repeat</MenuItem>
+                    <MenuItem value="daily">Daily</MenuItem>
+                    <MenuItem value="weekly">Weekly</MenuItem>
+                    <MenuItem value="monthly">Monthly</MenuItem>
+                </TextField>
+            </Grid>
+            {value && (
+                <>
+                    <Grid item xs={12} sm={6}>
+                        <TextField
+                            fullWidth
+                            type="number"
+                            label="Every"
+                            value={value.interval}
+                            onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                            inputProps={{ min: 1, max: 365 }}
+                        />
+                    </Grid>
+                    {value.frequency === 'weekly' && (
+                        <Grid item xs={12}>
+                            <ToggleButtonGroup
+                                size="small"
+                                value={value.byWeekday}
+                                onChange={(e, days) => days.length > 0 && update({ byWeekday: days })}
+                            >
+                                {WEEKDAYS.map((day, index) => (
+                                    <ToggleButton key={day} value={index}>
+                                        {day}
+                                    </ToggleButton>
+                                ))}
+                            </ToggleButtonGroup>
+                        </Grid>
+                    )}
+                    {value.frequency === 'monthly' && (
+                        <Grid item xs={12} sm={6}>
+                            <TextField
+                                fullWidth
+                                type="number"
+                                label="Day of month"
+                                value={value.byMonthDay || ''}
+                                onChange={(e) => update({ byMonthDay: parseInt(e.target.value, 10) || null })}
+                                inputProps={{ min: 1, max: 31 }}
+                            />
+                        </Grid>
+                    )}
+                    <Grid item xs={12} sm={6}>
+                        <TextField
+                            fullWidth
+                            select
+                            label="Ends"
+                            value={endType}
+                            onChange={(e) => handleEndType(e.target.value)}
+                        >
+                            <MenuItem value="never">Never</MenuItem>
+                            <MenuItem value="until">On date</MenuItem>
+                            <MenuItem value="count">After a number of times</MenuItem>
+                        </TextField>
+                    </Grid>
+                    {endType === 'until' && (
+                        <Grid item xs={12} sm={6}>
+                            <TextField
+                                fullWidth
+                                type="date"
+                                label="End date"
+                                value={value.until ? String(value.until).slice(0, 10) : ''}
+                                onChange={(e) => update({ until: e.target.value || null })}
+                                InputLabelProps={{ shrink: true }}
+                            />
+                        </Grid>
+                    )}
+                    {endType === 'count' && (
+                        <Grid item xs={12} sm={6}>
+                            <TextField
+                                fullWidth
+                                type="number"
+                                label="Occurrences"
+                                value={value.count}
+                                onChange={(e) => update({ count: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                                inputProps={{ min: 1 }}
+                            />
+                        </Grid>
+                    )}
+                    <Grid item xs={12}>
+                        <Typography variant="caption" color="text.secondary">
+                            {describeRecurrence(value)}
+                        </Typography>
+                    </Grid>
+                </>
+            )}
+        </Grid>
+    );
+};
+
+export default RecurrenceEditor;
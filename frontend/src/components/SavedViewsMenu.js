@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Button,
+    Menu,
+    MenuItem,
+    ListItemText,
+    IconButton,
+    Tooltip,
+    Divider,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    TextField,
+    Typography
+} from '@mui/material';
+import {
+    Bookmarks as ViewsIcon,
+    Save as SaveIcon,
+    Delete as DeleteIcon,
+    Link as LinkIcon
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { viewsAPI } from '../services/api';
+
+// Dropdown of the user's saved views; `current` is the toolbar state to save
+const SavedViewsMenu = ({ current, onApply }) => {
+    const [views, setViews] = useState([]);
+    const [anchorEl, setAnchorEl] = useState(null);
+    const [saveOpen, setSaveOpen] = useState(false);
+    const [name, setName] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const fetchViews = async () => {
+        try {
+            const response = await viewsAPI.getViews();
+            setViews(response.data.views);
+        } catch (error) {
+            console.error('Fetch views error:', error);
+        }
+    };
+
+    useEffect(() => {
+        fetchViews();
+    }, []);
+
+    const saveErrorMessage = (error) =>
+        error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Failed to save view';
+
+    const handleApply = (view) => {
+        setAnchorEl(null);
+        onApply(view);
+    };
+
+    const handleCreate = async () => {
+        try {
+            setSaving(true);
+            const response = await viewsAPI.createView({ ...current, name: name.trim() });
+            setViews((prev) => [...prev, response.data.view].sort((a, b) => a.name.localeCompare(b.name)));
+            setSaveOpen(false);
+            setName('');
+            toast.success('View saved');
+        } catch (error) {
+            console.error('Save view error:', error);
+            toast.error(saveErrorMessage(error));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Overwrite a view with the current toolbar state, keeping its name
+    const handleUpdate = async (view) => {
+        try {
+            const response = await viewsAPI.updateView(view._id, { ...current, name: view.name });
+            setViews((prev) => prev.map((v) => (v._id === view._id ? response.data.view : v)));
+            toast.success(`Updated "${view.name}"`);
+        } catch (error) {
+            console.error('Update view error:', error);
+            toast.error(saveErrorMessage(error));
+        }
+    };
+
+    const handleDelete = async (view) => {
+        try {
+            await viewsAPI.deleteView(view._id);
+            setViews((prev) => prev.filter((v) => v._id !== view._id));
+            toast.success('View deleted');
+        } catch (error) {
+            console.error('Delete view error:', error);
+            toast.error('Failed to delete view');
+        }
+    };
+
+    // The URL already carries the toolbar state
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            toast.success('Link copied');
+        } catch (error) {
+            toast.error('Failed to copy link');
+        }
+    };
+
+    return (
+        <>
+            <Button size="small" startIcon={<ViewsIcon />} onClick={(e) => setAnchorEl(e.currentTarget)}>
+                Views
+            </Button>
+            <Tooltip title="Copy a link to these filters">
+                <IconButton size="small" onClick={handleCopyLink} aria-label="copy link">
+                    <LinkIcon fontSize="small" />
+                </IconButton>
+            </Tooltip>
+
+            <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+                {views.length === 0 && (
+                    <MenuItem disabled>
+                        <Typography variant="body2">No saved views yet</Typography>
+                    </MenuItem>
+                )}
+                {views.map((view) => (
+                    <MenuItem key={view._id} onClick={() => handleApply(view)} sx={{ minWidth: 280 }}>
+                        <ListItemText
+                            primary={view.name}
+                            secondary={view.project ? view.project.name : 'Personal'}
+                        />
+                        <Tooltip title="Save current filters to this view">
+                            <IconButton
+                                size="small"
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    handleUpdate(view);
+                                }}
+                                aria-label={`update ${view.name}`}
+                            >
+                                <SaveIcon fontSize="small" />
+                            </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Delete view">
+                            <IconButton
+                                size="small"
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    handleDelete(view);
+                                }}
+                                aria-label={`delete ${view.name}`}
+                            >
+                                <DeleteIcon fontSize="small" />
+                            </IconButton>
+                        </Tooltip>
+                    </MenuItem>
+                ))}
+                <Divider />
+                <MenuItem
+                    onClick={() => {
+                        setAnchorEl(null);
+                        setSaveOpen(true);
+                    }}
+                >
+                    Save current view...
+                </MenuItem>
+            </Menu>
+
+            <Dialog open={saveOpen} onClose={() => setSaveOpen(false)} maxWidth="xs" fullWidth>
+                <DialogTitle>Save view</DialogTitle>
+                <DialogContent>
+                    <TextField
+                        autoFocus
+                        fullWidth
+                        margin="dense"
+                        label="Name"
+                        placeholder="e.g. My overdue high priority"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        inputProps={{ maxLength: 50 }}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter' && name.trim()) handleCreate();
+                        }}
+                    />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setSaveOpen(false)}>Cancel</Button>
+                    <Button variant="contained" onClick={handleCreate} disabled={!name.trim() || saving}>
+                        Save
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        </>
+    );
+};
+
+export default SavedViewsMenu;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { Chip } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+
+// Chip in a tag's own color, with readable text on top
+const TagChip = ({ tag, ...props }) => {
+    const theme = useTheme();
+
+    return (
+        <Chip
+            label={tag.name}
+            size="small"
+            sx={{
+                bgcolor: tag.color,
+                color: theme.palette.getContrastText(tag.color),
+                '& .MuiChip-deleteIcon': { color: 'inherit', opacity: 0.7 }
+            }}
+            {...props}
+        />
+    );
+};
+
+export default TagChip;
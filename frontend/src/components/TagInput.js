@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { Autocomplete, TextField, Box, createFilterOptions } from '@mui/material';
+import { toast } from 'react-toastify';
+import { tagsAPI } from '../services/api';
+import { nextTagColor } from '../utils/tags';
+import TagChip from './TagChip';
+
+const filter = createFilterOptions();
+
+// Autocomplete over the tags of a scope (a project, or personal tags when
+// `projectId` is empty). Typing a new name offers to create the tag.
+const TagInput = ({ value, onChange, projectId, label = 'Tags' }) => {
+    const [options, setOptions] = useState([]);
+
+    useEffect(() => {
+        let active = true;
+
+        const fetchTags = async () => {
+            try {
+                const response = await tagsAPI.getTags(projectId);
+                if (active) {
+                    setOptions(response.data.tags);
+                }
+            } catch (error) {
+                console.error('Fetch tags error:', error);
+            }
+        };
+
+        fetchTags();
+        return () => {
+            active = false;
+        };
+    }, [projectId]);
+
+    const createTag = async (name) => {
+        try {
+            const response = await tagsAPI.createTag({
+                name,
+                color: nextTagColor(options),
+                project: projectId || null
+            });
+            const tag = response.data.tag;
+            setOptions((prev) => [...prev, tag]);
+            return tag;
+        } catch (error) {
+            console.error('Create tag error:', error);
+            toast.error(error.response?.data?.message || 'Failed to create tag');
+            return null;
+        }
+    };
+
+    const handleChange = async (e, newValue) => {
+        // A typed name (Enter) or the "Add" option creates the tag first
+        const pending = newValue.find((option) => typeof option === 'string' || option.inputValue);
+        if (!pending) {
+            onChange(newValue);
+            return;
+        }
+
+        const name = (typeof pending === 'string' ? pending : pending.inputValue).trim();
+        const existing = options.find((tag) => tag.name.toLowerCase() === name.toLowerCase());
+        const tag = existing || (name ? await createTag(name) : null);
+        const rest = newValue.filter((option) => option !== pending);
+
+        onChange(tag && !rest.some((t) => t._id === tag._id) ? [...rest, tag] : rest);
+    };
+
+    return (
+        <Autocomplete
+            multiple
+            freeSolo
+            value={value}
+            onChange={handleChange}
+            options={options}
+            filterOptions={(opts, params) => {
+                const filtered = filter(opts, params);
+                const name = params.inputValue.trim();
+                if (name && !opts.some((tag) => tag.name.toLowerCase() === name.toLowerCase())) {
+                    filtered.push({ inputValue: name, name: `Add "${name}"` });
+                }
+                return filtered;
+            }}
+            getOptionLabel={(option) => (typeof option === 'string' ? option : option.name)}
+            isOptionEqualToValue={(option, selected) => option._id === selected._id}
+            renderOption={(optionProps, option) => (
+                <li {...optionProps} key={option._id || 'new'}>
+                    {option.inputValue ? option.name : (
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                            <Box sx={{ width: 12, height: 12, borderRadius: '50%', bgcolor: option.color }} />
+                            {option.name}
+                        </Box>
+                    )}
+                </li>
+            )}
+            renderTags={(tags, getTagProps) => tags.map((tag, index) => (
+                <TagChip tag={tag} {...getTagProps({ index })} key={tag._id} />
+            ))}
+            renderInput={(params) => (
+                <TextField {...params} label={label} placeholder="Add a tag" />
+            )}
+        />
+    );
+};
+
+export default TagInput;
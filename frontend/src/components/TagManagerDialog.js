@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Box,
+    Typography,
+    TextField,
+    MenuItem,
+    IconButton,
+    Tooltip,
+    CircularProgress
+} from '@mui/material';
+import { Delete as DeleteIcon, CallMerge as MergeIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { tagsAPI } from '../services/api';
+import { TAG_COLORS } from '../utils/tags';
+
+// Rename, recolor, merge and delete the tags of a scope
+const TagManagerDialog = ({ open, onClose, projectId, onChange }) => {
+    const [tags, setTags] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [names, setNames] = useState({});
+    const [mergeInto, setMergeInto] = useState({});
+    // Bumped to reload the list, e.g. after a merge changes task counts
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        if (!open) return undefined;
+        let active = true;
+
+        const fetchTags = async () => {
+            try {
+                setLoading(true);
+                const response = await tagsAPI.getTags(projectId);
+                if (active) {
+                    setTags(response.data.tags);
+                    setNames(Object.fromEntries(response.data.tags.map((tag) => [tag._id, tag.name])));
+                    setMergeInto({});
+                }
+            } catch (error) {
+                console.error('Fetch tags error:', error);
+                toast.error('Failed to load tags');
+            } finally {
+                if (active) setLoading(false);
+            }
+        };
+
+        fetchTags();
+        return () => {
+            active = false;
+        };
+    }, [open, projectId, reloadKey]);
+
+    const errorMessage = (error, fallback) =>
+        error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+    const handleUpdate = async (tag, changes) => {
+        try {
+            const response = await tagsAPI.updateTag(tag._id, changes);
+            setTags((prev) => prev.map((t) => (t._id === tag._id ? { ...t, ...response.data.tag } : t)));
+            onChange();
+        } catch (error) {
+            console.error('Update tag error:', error);
+            toast.error(errorMessage(error, 'Failed to update tag'));
+            setNames((prev) => ({ ...prev, [tag._id]: tag.name }));
+        }
+    };
+
+    const handleRename = (tag) => {
+        const name = (names[tag._id] || '').trim();
+        if (name && name !== tag.name) {
+            handleUpdate(tag, { name });
+        } else {
+            setNames((prev) => ({ ...prev, [tag._id]: tag.name }));
+        }
+    };
+
+    const handleMerge = async (tag) => {
+        const target = tags.find((t) => t._id === mergeInto[tag._id]);
+        if (!target) return;
+        try {
+            await tagsAPI.mergeTag(tag._id, target._id);
+            toast.success(`Merged "${tag.name}" into "${target.name}"`);
+            setReloadKey((key) => key + 1);
+            onChange();
+        } catch (error) {
+            console.error('Merge tag error:', error);
+            toast.error(errorMessage(error, 'Failed to merge tag'));
+        }
+    };
+
+    const handleDelete = async (tag) => {
+        try {
+            await tagsAPI.deleteTag(tag._id);
+            setTags((prev) => prev.filter((t) => t._id !== tag._id));
+            toast.success('Tag deleted');
+            onChange();
+        } catch (error) {
+            console.error('Delete tag error:', error);
+            toast.error(errorMessage(error, 'Failed to delete tag'));
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+            <DialogTitle>Tags</DialogTitle>
+            <DialogContent dividers>
+                {loading ? (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+                        <CircularProgress />
+                    </Box>
+                ) : tags.length === 0 ? (
+                    <Typography color="text.secondary" sx={{ py: 3, textAlign: 'center' }}>
+                        No tags yet. Add them from the task form.
+                    </Typography>
+                ) : (
+                    tags.map((tag) => (
+                        <Box key={tag._id} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1.5 }}>
+                            <TextField
+                                select
+                                size="small"
+                                value={tag.color}
+                                onChange={(e) => handleUpdate(tag, { color: e.target.value })}
+                                sx={{ width: 72 }}
+                                SelectProps={{
+                                    renderValue: (color) => (
+                                        <Box sx={{ width: 16, height: 16, borderRadius: '50%', bgcolor: color }} />
+                                    )
+                                }}
+                                inputProps={{ 'aria-label': `color of ${tag.name}` }}
+                            >
+                                {TAG_COLORS.map((color) => (
+                                    <MenuItem key={color} value={color}>
+                                        <Box sx={{ width: 16, height: 16, borderRadius: '50%', bgcolor: color }} />
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+                            <TextField
+                                size="small"
+                                value={names[tag._id] ?? tag.name}
+                                onChange={(e) => setNames((prev) => ({ ...prev, [tag._id]: e.target.value }))}
+                                onBlur={() => handleRename(tag)}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter') e.target.blur();
+                                }}
+                                inputProps={{ maxLength: 30, 'aria-label': 'tag name' }}
+                                sx={{ flexGrow: 1 }}
+                            />
+                            <Typography variant="body2" color="text.secondary" sx={{ width: 70 }}>
+                                {tag.taskCount} {tag.taskCount === 1 ? 'task' : 'tasks'}
+                            </Typography>
+                            <TextField
+                                select
+                                size="small"
+                                label="Merge into"
+                                value={mergeInto[tag._id] || ''}
+                                onChange={(e) => setMergeInto((prev) => ({ ...prev, [tag._id]: e.target.value }))}
+                                sx={{ width: 160 }}
+                            >
+                                {tags.filter((t) => t._id !== tag._id).map((t) => (
+                                    <MenuItem key={t._id} value={t._id}>{t.name}</MenuItem>
+                                ))}
+                            </TextField>
+                            <Tooltip title="Merge">
+                                <span>
+                                    <IconButton
+                                        onClick={() => handleMerge(tag)}
+                                        disabled={!mergeInto[tag._id]}
+                                        aria-label={`merge ${tag.name}`}
+                                    >
+                                        <MergeIcon />
+                                    </IconButton>
+                                </span>
+                            </Tooltip>
+                            <Tooltip title="Delete tag">
+                                <IconButton onClick={() => handleDelete(tag)} aria-label={`delete ${tag.name}`}>
+                                    <DeleteIcon />
+                                </IconButton>
+                            </Tooltip>
+                        </Box>
+                    ))
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Close</Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default TagManagerDialog;
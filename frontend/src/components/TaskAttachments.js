@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    IconButton,
+    Tooltip,
+    CircularProgress,
+    LinearProgress,
+    Paper,
+    Dialog,
+    DialogContent
+} from '@mui/material';
+import {
+    AttachFile as AttachFileIcon,
+    Download as DownloadIcon,
+    Delete as DeleteIcon,
+    PictureAsPdf as PdfIcon,
+    InsertDriveFile as FileIcon
+} from '@mui/icons-material';
+import { formatDistanceToNow } from 'date-fns';
+import { toast } from 'react-toastify';
+import { tasksAPI } from '../services/api';
+
+// Matches the server's allowed attachment types
+const ACCEPT = 'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/csv,.docx,.xlsx,.pptx,.zip';
+
+const isImage = (attachment) => attachment.mimeType.startsWith('image/');
+
+const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// A task's files with image thumbnails; editors can upload and delete
+const TaskAttachments = ({ taskId, canEdit, onCountChange }) => {
+    const [attachments, setAttachments] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [progress, setProgress] = useState(null);
+    const [thumbnails, setThumbnails] = useState({});
+    const [preview, setPreview] = useState(null);
+    const inputRef = useRef(null);
+    // Object URLs created so far, revoked when the list goes away
+    const urlsRef = useRef({});
+
+    useEffect(() => {
+        let active = true;
+
+        const fetchAttachments = async () => {
+            try {
+                setLoading(true);
+                const response = await tasksAPI.getAttachments(taskId);
+                if (active) setAttachments(response.data.attachments);
+            } catch (error) {
+                console.error('Fetch attachments error:', error);
+                toast.error('Failed to load attachments');
+            } finally {
+                if (active) setLoading(false);
+            }
+        };
+
+        fetchAttachments();
+        return () => {
+            active = false;
+        };
+    }, [taskId]);
+
+    // Images are downloaded through the API, which needs the auth header,
+    // so thumbnails are shown from object URLs rather than direct links
+    useEffect(() => {
+        const missing = attachments.filter((a) => isImage(a) && !urlsRef.current[a._id]);
+
+        missing.forEach(async (attachment) => {
+            urlsRef.current[attachment._id] = 'loading';
+            try {
+                const response = await tasksAPI.downloadAttachment(taskId, attachment._id, true);
+                const url = URL.createObjectURL(response.data);
+                urlsRef.current[attachment._id] = url;
+                setThumbnails((prev) => ({ ...prev, [attachment._id]: url }));
+            } catch (error) {
+                console.error('Load thumbnail error:', error);
+            }
+        });
+    }, [attachments, taskId]);
+
+    useEffect(() => {
+        const urls = urlsRef.current;
+        return () => {
+            Object.values(urls).forEach((url) => {
+                if (url !== 'loading') URL.revokeObjectURL(url);
+            });
+        };
+    }, []);
+
+    const errorMessage = (error, fallback) =>
+        error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+    const handleUpload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            setProgress(0);
+            const response = await tasksAPI.uploadAttachment(taskId, file, (event) => {
+                if (event.total) setProgress(Math.round((event.loaded / event.total) * 100));
+            });
+            const next = [...attachments, response.data.attachment];
+            setAttachments(next);
+            onCountChange?.(next.length);
+            toast.success('File attached');
+        } catch (error) {
+            console.error('Upload attachment error:', error);
+            toast.error(errorMessage(error, 'Failed to attach file'));
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    const handleDownload = async (attachment) => {
+        try {
+            const response = await tasksAPI.downloadAttachment(taskId, attachment._id);
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = attachment.filename;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Download attachment error:', error);
+            toast.error('Failed to download file');
+        }
+    };
+
+    // Images open in the preview dialog, PDFs in a new tab, anything else downloads
+    const handleOpen = async (attachment) => {
+        if (isImage(attachment)) {
+            if (thumbnails[attachment._id]) setPreview(attachment);
+            return;
+        }
+        if (attachment.mimeType !== 'application/pdf') {
+            handleDownload(attachment);
+            return;
+        }
+        try {
+            const response = await tasksAPI.downloadAttachment(taskId, attachment._id, true);
+            const url = URL.createObjectURL(response.data);
+            window.open(url, '_blank', 'noopener');
+            setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+        } catch (error) {
+            console.error('Open attachment error:', error);
+            toast.error('Failed to open file');
+        }
+    };
+
+    const handleDelete = async (attachment) => {
+        try {
+            await tasksAPI.deleteAttachment(taskId, attachment._id);
+            const next = attachments.filter((a) => a._id !== attachment._id);
+            setAttachments(next);
+            onCountChange?.(next.length);
+            toast.success('Attachment deleted');
+        } catch (error) {
+            console.error('Delete attachment error:', error);
+            toast.error(errorMessage(error, 'Failed to delete attachment'));
+        }
+    };
+
+    if (loading) {
+        return (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+                <CircularProgress size={24} />
+            </Box>
+        );
+    }
+
+    return (
+        <Box>
+            {canEdit && (
+                <Box sx={{ mb: 2 }}>
+                    <input ref={inputRef} type="file" accept={ACCEPT} hidden onChange={handleUpload} />
+                    <Button
+                        size="small"
+                        variant="outlined"
+                        startIcon={<AttachFileIcon />}
+                        onClick={() => inputRef.current.click()}
+                        disabled={progress !== null}
+                    >
+                        Attach file
+                    </Button>
+                    {progress !== null && (
+                        <LinearProgress variant="determinate" value={progress} sx={{ mt: 1 }} />
+                    )}
+                </Box>
+            )}
+
+            {attachments.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                    No attachments yet.
+                </Typography>
+            ) : (
+                attachments.map((attachment) => (
+                    <Paper
+                        key={attachment._id}
+                        variant="outlined"
+                        sx={{ display: 'flex', alignItems: 'center', gap: 1.5, p: 1, mb: 1 }}
+                    >
+                        <Box
+                            onClick={() => handleOpen(attachment)}
+                            sx={{
+                                width: 56,
+                                height: 56,
+                                flexShrink: 0,
+                                display: 'flex',
+                                alignItems: 'center',
+                                justifyContent: 'center',
+                                bgcolor: 'action.hover',
+                                borderRadius: 1,
+                                overflow: 'hidden',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            {isImage(attachment) && thumbnails[attachment._id] ? (
+                                <img
+                                    src={thumbnails[attachment._id]}
+                                    alt={attachment.filename}
+                                    style={{ width: '100%', height: '100%', objectFit: 'cover' }}
+                                />
+                            ) : attachment.mimeType === 'application/pdf' ? (
+                                <PdfIcon color="error" />
+                            ) : (
+                                <FileIcon color="action" />
+                            )}
+                        </Box>
+                        <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                            <Typography
+                                variant="body2"
+                                noWrap
+                                onClick={() => handleOpen(attachment)}
+                                sx={{ cursor: 'pointer', '&:hover': { textDecoration: 'underline' } }}
+                            >
+                                {attachment.filename}
+                            </Typography>
+                            <Typography variant="caption" color="text.secondary">
+                                {formatSize(attachment.size)} · {attachment.uploader?.name || 'Unknown'}
+                                {' · '}
+                                {formatDistanceToNow(new Date(attachment.createdAt), { addSuffix: true })}
+                            </Typography>
+                        </Box>
+                        <Tooltip title="Download">
+                            <IconButton
+                                size="small"
+                                onClick={() => handleDownload(attachment)}
+                                aria-label={`download ${attachment.filename}`}
+                            >
+                                <DownloadIcon fontSize="small" />
+                            </IconButton>
+                        </Tooltip>
+                        {canEdit && (
+                            <Tooltip title="Delete">
+                                <IconButton
+                                    size="small"
+                                    onClick={() => handleDelete(attachment)}
+                                    aria-label={`delete ${attachment.filename}`}
+                                >
+                                    <DeleteIcon fontSize="small" />
+                                </IconButton>
+                            </Tooltip>
+                        )}
+                    </Paper>
+                ))
+            )}
+
+            <Dialog open={!!preview} onClose={() => setPreview(null)} maxWidth="lg">
+                {preview && (
+                    <DialogContent sx={{ p: 1 }}>
+                        <img
+                            src={thumbnails[preview._id]}
+                            alt={preview.filename}
+                            style={{ maxWidth: '100%', maxHeight: '80vh', display: 'block' }}
+                        />
+                    </DialogContent>
+                )}
+            </Dialog>
+        </Box>
+    );
+};
+
+export default TaskAttachments;
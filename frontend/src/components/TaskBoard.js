@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import {
+    Grid,
+    Paper,
+    Box,
+    Card,
+    CardContent,
+    Typography,
+    Chip,
+    Avatar,
+    Tooltip
+} from '@mui/material';
+import {
+    CalendarToday as CalendarIcon,
+    Checklist as ChecklistIcon,
+    Block as BlockIcon,
+    CloudUpload as PendingSyncIcon,
+    SyncProblem as SyncFailedIcon
+} from '@mui/icons-material';
+import { format } from 'date-fns';
+import TagChip from './TagChip';
+import { openBlockers } from '../utils/dependencies';
+import { isLocalTask } from '../utils/outbox';
+
+const COLUMNS = ['Todo', 'In Progress', 'Completed'];
+
+const PRIORITY_COLORS = {
+    High: 'error',
+    Medium: 'warning',
+    Low: 'info'
+};
+
+const initials = (name = '') =>
+    name.split(' ').filter(Boolean).slice(0, 2).map((part) => part[0].toUpperCase()).join('');
+
+const DropLine = () => <Box sx={{ height: 3, bgcolor: 'primary.main', borderRadius: 1, my: 0.5 }} />;
+
+// Board with one column per status. Cards are dragged between and within
+// columns; `onMove(taskId, status, afterId, beforeId)` persists the drop.
+const TaskBoard = ({ tasks, onMove, onOpen, canEdit }) => {
+    const [draggingId, setDraggingId] = useState(null);
+    const [dropTarget, setDropTarget] = useState(null);
+
+    const columns = COLUMNS.reduce((acc, status) => ({
+        ...acc,
+        [status]: tasks.filter((task) => task.status === status)
+    }), {});
+
+    const handleDragStart = (event, task) => {
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', task._id);
+        setDraggingId(task._id);
+    };
+
+    const handleDragEnd = () => {
+        setDraggingId(null);
+        setDropTarget(null);
+    };
+
+    // Drop above or below a card depending on which half the pointer is over
+    const handleCardDragOver = (event, status, index) => {
+        if (!draggingId) return;
+        event.preventDefault();
+        event.stopPropagation();
+        const { top, height } = event.currentTarget.getBoundingClientRect();
+        const target = event.clientY > top + height / 2 ? index + 1 : index;
+        if (dropTarget?.status !== status || dropTarget.index !== target) {
+            setDropTarget({ status, index: target });
+        }
+    };
+
+    // Over the column's empty space: drop at the end
+    const handleColumnDragOver = (event, status) => {
+        if (!draggingId) return;
+        event.preventDefault();
+        const end = columns[status].length;
+        if (dropTarget?.status !== status || dropTarget.index !== end) {
+            setDropTarget({ status, index: end });
+        }
+    };
+
+    const handleDrop = (event, status) => {
+        event.preventDefault();
+        const taskId = draggingId;
+        const target = dropTarget?.status === status ? dropTarget.index : columns[status].length;
+        handleDragEnd();
+        if (!taskId) return;
+
+        // Translate the drop index into neighbours, ignoring the dragged card
+        const column = columns[status];
+        const fromIndex = column.findIndex((task) => task._id === taskId);
+        const rest = column.filter((task) => task._id !== taskId);
+        const index = fromIndex !== -1 && fromIndex < target ? target - 1 : target;
+
+        if (fromIndex === index) return;
+
+        onMove(taskId, status, rest[index - 1]?._id || null, rest[index]?._id || null);
+    };
+
+    return (
+        <Grid container spacing={2}>
+            {COLUMNS.map((status) => (
+                <Grid item xs={12} md={4} key={status}>
+                    <Paper
+                        sx={{ p: 1.5, minHeight: 300, bgcolor: 'grey.100' }}
+                        onDragOver={(event) => handleColumnDragOver(event, status)}
+                        onDrop={(event) => handleDrop(event, status)}
+                    >
+                        <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1, px: 0.5 }}>
+                            {status} ({columns[status].length})
+                        </Typography>
+                        {columns[status].map((task, index) => {
+                            const checklist = task.checklist || [];
+                            const blockers = openBlockers(task);
+                            // Tasks with changes waiting to sync stay put until they land
+                            const movable = canEdit && !task._sync;
+                            return (
+                                <React.Fragment key={task._id}>
+                                    {dropTarget?.status === status && dropTarget.index === index && <DropLine />}
+                                    <Card
+                                        draggable={movable}
+                                        onDragStart={(event) => handleDragStart(event, task)}
+                                        onDragEnd={handleDragEnd}
+                                        onDragOver={(event) => handleCardDragOver(event, status, index)}
+                                        sx={{
+                                            mb: 1,
+                                            cursor: movable ? 'grab' : 'default',
+                                            opacity: draggingId === task._id ? 0.4 : 1
+                                        }}
+                                    >
+                                        <CardContent sx={{ p: 1.5, '&:last-child': { pb: 1.5 } }}>
+                                            <Typography
+                                                variant="subtitle2"
+                                                onClick={() => !isLocalTask(task) && onOpen?.(task)}
+                                                sx={{ cursor: 'pointer', '&:hover': { color: 'primary.main' } }}
+                                            >
+                                                {task.title}
+                                            </Typography>
+                                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1, flexWrap: 'wrap' }}>
+                                                <Chip
+                                                    label={task.priority}
+                                                    color={PRIORITY_COLORS[task.priority] || 'default'}
+                                                    size="small"
+                                                />
+                                                {task._sync === 'pending' && (
+                                                    <Tooltip title="Pending sync">
+                                                        <PendingSyncIcon sx={{ fontSize: 16 }} color="action" />
+                                                    </Tooltip>
+                                                )}
+                                                {task._sync === 'failed' && (
+                                                    <Tooltip title={`Sync failed: ${task._syncError}`}>
+                                                        <SyncFailedIcon sx={{ fontSize: 16 }} color="error" />
+                                                    </Tooltip>
+                                                )}
+                                                {blockers.length > 0 && (
+                                                    <Tooltip title={`Blocked by ${blockers.map((b) => b.title).join(', ')}`}>
+                                                        <BlockIcon sx={{ fontSize: 16 }} color="warning" />
+                                                    </Tooltip>
+                                                )}
+                                                {(task.tags || []).map((tag) => (
+                                                    <TagChip key={tag._id} tag={tag} />
+                                                ))}
+                                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                                                    <CalendarIcon sx={{ fontSize: 14 }} color="action" />
+                                                    <Typography variant="caption" color="text.secondary">
+                                                        {format(new Date(task.dueDate), 'MMM dd')}
+                                                    </Typography>
+                                                </Box>
+                                                {checklist.length > 0 && (
+                                                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                                                        <ChecklistIcon sx={{ fontSize: 14 }} color="action" />
+                                                        <Typography variant="caption" color="text.secondary">
+                                                            {checklist.filter((item) => item.done).length}/{checklist.length}
+                                                        </Typography>
+                                                    </Box>
+                                                )}
+                                                {task.assignee && (
+                                                    <Tooltip title={task.assignee.name}>
+                                                        <Avatar sx={{ width: 24, height: 24, fontSize: 11, ml: 'auto' }}>
+                                                            {initials(task.assignee.name)}
+                                                        </Avatar>
+                                                    </Tooltip>
+                                                )}
+                                            </Box>
+                                        </CardContent>
+                                    </Card>
+                                </React.Fragment>
+                            );
+                        })}
+                        {dropTarget?.status === status && dropTarget.index === columns[status].length && <DropLine />}
+                    </Paper>
+                </Grid>
+            ))}
+        </Grid>
+    );
+};
+
+export default TaskBoard;
@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Typography,
+    RadioGroup,
+    Radio,
+    FormControlLabel,
+    Box
+} from '@mui/material';
+import { CONFLICT_FIELDS, describeFieldValue } from '../utils/taskConflicts';
+
+// Pick between your edit and someone else's newer save for each task field
+// you both changed; `onResolve` gets the chosen form values
+const TaskConflictDialog = ({ open, conflicts, mine, theirs, onResolve, onCancel }) => {
+    const [choices, setChoices] = useState({});
+
+    useEffect(() => {
+        if (open) {
+            setChoices(Object.fromEntries(conflicts.map((field) => [field, 'mine'])));
+        }
+    }, [open, conflicts]);
+
+    const handleResolve = () => {
+        onResolve(Object.fromEntries(conflicts.map((field) => [
+            field,
+            choices[field] === 'theirs' ? theirs[field] : mine[field]
+        ])));
+    };
+
+    return (
+        <Dialog open={open} onClose={onCancel} maxWidth="sm" fullWidth>
+            <DialogTitle>This task was changed by someone else</DialogTitle>
+            <DialogContent>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    Their other changes have been kept. Choose which version to keep where you both
+                    changed the same field.
+                </Typography>
+                {open && conflicts.map((field) => (
+                    <Box key={field} sx={{ mb: 2 }}>
+                        <Typography variant="subtitle2">{CONFLICT_FIELDS[field]}</Typography>
+                        <RadioGroup
+                            value={choices[field] || 'mine'}
+                            onChange={(e) => setChoices({ ...choices, [field]: e.target.value })}
+                        >
+                            <FormControlLabel
+                                value="mine"
+                                control={<Radio size="small" />}
+                                label={`Yours: ${describeFieldValue(field, mine[field])}`}
+                            />
+                            <FormControlLabel
+                                value="theirs"
+                                control={<Radio size="small" />}
+                                label={`Theirs: ${describeFieldValue(field, theirs[field])}`}
+                            />
+                        </RadioGroup>
+                    </Box>
+                ))}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onCancel}>Back to Editing</Button>
+                <Button variant="contained" onClick={handleResolve}>
+                    Save
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default TaskConflictDialog;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import { Autocomplete, Box, Chip, TextField, Typography } from '@mui/material';
+import { Block as BlockIcon, CheckCircle as DoneIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { tasksAPI } from '../services/api';
+
+// A linked task as a chip; completed blockers no longer block
+const DependencyChip = ({ task, onClick, onDelete }) => (
+    <Chip
+        icon={task.status === 'Completed' ? <DoneIcon /> : <BlockIcon />}
+        label={task.title}
+        size="small"
+        variant="outlined"
+        color={task.status === 'Completed' ? 'success' : 'warning'}
+        onClick={onClick}
+        onDelete={onDelete}
+    />
+);
+
+// The tasks blocking a task and the tasks it blocks. Editors can link a
+// blocker from the same project (or their personal tasks) and unlink them.
+const TaskDependencies = ({ task, canEdit, onOpenTask, onTaskChange }) => {
+    const [blockedBy, setBlockedBy] = useState([]);
+    const [blocking, setBlocking] = useState([]);
+    const [inputValue, setInputValue] = useState('');
+    const [options, setOptions] = useState([]);
+
+    useEffect(() => {
+        let active = true;
+
+        const fetchDependencies = async () => {
+            try {
+                const response = await tasksAPI.getDependencies(task._id);
+                if (active) {
+                    setBlockedBy(response.data.blockedBy);
+                    setBlocking(response.data.blocking);
+                }
+            } catch (error) {
+                console.error('Fetch dependencies error:', error);
+                toast.error('Failed to load dependencies');
+            }
+        };
+
+        fetchDependencies();
+        return () => {
+            active = false;
+        };
+    }, [task._id]);
+
+    // Search the task's own scope for candidate blockers
+    useEffect(() => {
+        if (inputValue.trim().length < 2) {
+            setOptions([]);
+            return undefined;
+        }
+
+        let active = true;
+        const timer = setTimeout(async () => {
+            try {
+                const params = { search: inputValue.trim(), limit: 10 };
+                if (task.project) params.project = task.project;
+                const response = await tasksAPI.getTasks(params);
+                if (active) setOptions(response.data.tasks);
+            } catch (error) {
+                console.error('Task search error:', error);
+            }
+        }, 300);
+
+        return () => {
+            active = false;
+            clearTimeout(timer);
+        };
+    }, [inputValue, task.project]);
+
+    const errorMessage = (error, fallback) =>
+        error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+    const handleAdd = async (blocker) => {
+        if (!blocker) return;
+        try {
+            const response = await tasksAPI.addDependency(task._id, blocker._id);
+            setBlockedBy(response.data.task.blockedBy);
+            setInputValue('');
+            onTaskChange?.(response.data.task);
+        } catch (error) {
+            console.error('Add dependency error:', error);
+            toast.error(errorMessage(error, 'Failed to add dependency'));
+        }
+    };
+
+    const handleRemove = async (blocker) => {
+        try {
+            const response = await tasksAPI.removeDependency(task._id, blocker._id);
+            setBlockedBy(response.data.task.blockedBy);
+            onTaskChange?.(response.data.task);
+        } catch (error) {
+            console.error('Remove dependency error:', error);
+            toast.error(errorMessage(error, 'Failed to remove dependency'));
+        }
+    };
+
+    const linkedIds = new Set([task._id, ...blockedBy.map((b) => b._id)]);
+
+    return (
+        <Box sx={{ mt: 2 }}>
+            <Typography variant="subtitle2" gutterBottom>
+                Blocked by
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+                {blockedBy.length === 0 && (
+                    <Typography variant="body2" color="text.secondary">
+                        Nothing
+                    </Typography>
+                )}
+                {blockedBy.map((blocker) => (
+                    <DependencyChip
+                        key={blocker._id}
+                        task={blocker}
+                        onClick={onOpenTask ? () => onOpenTask(blocker._id) : undefined}
+                        onDelete={canEdit ? () => handleRemove(blocker) : undefined}
+                    />
+                ))}
+            </Box>
+            {canEdit && (
+                <Autocomplete
+                    size="small"
+                    value={null}
+                    onChange={(e, blocker) => handleAdd(blocker)}
+                    inputValue={inputValue}
+                    onInputChange={(e, value, reason) => {
+                        if (reason !== 'reset') setInputValue(value);
+                    }}
+                    options={options.filter((option) => !linkedIds.has(option._id))}
+                    filterOptions={(x) => x}
+                    getOptionLabel={(option) => option.title || ''}
+                    renderOption={(optionProps, option) => (
+                        <li {...optionProps} key={option._id}>
+                            {option.title} ({option.status})
+                        </li>
+                    )}
+                    noOptionsText={inputValue.trim().length < 2 ? 'Type at least 2 characters' : 'No tasks found'}
+                    renderInput={(params) => (
+                        <TextField {...params} label="Add blocker" placeholder="Search tasks" />
+                    )}
+                    sx={{ maxWidth: 400 }}
+                />
+            )}
+            {blocking.length > 0 && (
+                <>
+                    <Typography variant="subtitle2" sx={{ mt: 2 }} gutterBottom>
+                        Blocks
+                    </Typography>
+                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                        {blocking.map((blocked) => (
+                            <Chip
+                                key={blocked._id}
+                                label={blocked.title}
+                                size="small"
+                                variant="outlined"
+                                onClick={onOpenTask ? () => onOpenTask(blocked._id) : undefined}
+                            />
+                        ))}
+                    </Box>
+                </>
+            )}
+        </Box>
+    );
+};
+
+export default TaskDependencies;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Box,
+    Chip,
+    Typography,
+    Tabs,
+    Tab,
+    Divider
+} from '@mui/material';
+import { format } from 'date-fns';
+import { describeRecurrence } from '../utils/recurrence';
+import CommentThread from './CommentThread';
+import TaskHistory from './TaskHistory';
+import TaskAttachments from './TaskAttachments';
+import TaskDependencies from './TaskDependencies';
+
+// Read-only task summary with tabs for its comment thread, files and change history
+const TaskDetailDialog = ({
+    open, onClose, task, isOwner, canEdit, onAttachmentsChange, onOpenTask, onTaskChange
+}) => {
+    const [tab, setTab] = useState('comments');
+    const taskId = task?._id;
+
+    // Start on comments for each task, but not when the same task is refreshed
+    useEffect(() => {
+        setTab('comments');
+    }, [taskId]);
+
+    if (!task) {
+        return null;
+    }
+
+    const checklist = task.checklist || [];
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+            <DialogTitle>{task.title}</DialogTitle>
+            <DialogContent dividers>
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                    <Chip label={task.status} size="small" />
+                    <Chip label={task.priority} size="small" />
+                    {task.recurrence && (
+                        <Chip label={describeRecurrence(task.recurrence)} size="small" variant="outlined" />
+                    )}
+                </Box>
+                {task.description && (
+                    <Typography variant="body1" paragraph sx={{ whiteSpace: 'pre-wrap' }}>
+                        {task.description}
+                    </Typography>
+                )}
+                <Typography variant="body2" color="text.secondary">
+                    Due: {format(new Date(task.dueDate), 'MMM dd, yyyy')}
+                </Typography>
+                {task.assignee && (
+                    <Typography variant="body2" color="text.secondary">
+                        Assignee: {task.assignee.name}
+                    </Typography>
+                )}
+                {task.watchers?.length > 0 && (
+                    <Typography variant="body2" color="text.secondary">
+                        Watchers: {task.watchers.map((w) => w.name).join(', ')}
+                    </Typography>
+                )}
+                {checklist.length > 0 && (
+                    <Box sx={{ mt: 2 }}>
+                        <Typography variant="subtitle2">
+                            Checklist ({checklist.filter((i) => i.done).length}/{checklist.length})
+                        </Typography>
+                        {checklist.map((item) => (
+                            <Typography
+                                key={item._id}
+                                variant="body2"
+                                sx={{ textDecoration: item.done ? 'line-through' : 'none' }}
+                            >
+                                {item.done ? '☑' : '☐'} {item.title}
+                            </Typography>
+                        ))}
+                    </Box>
+                )}
+
+                <TaskDependencies
+                    key={task._id}
+                    task={task}
+                    canEdit={canEdit}
+                    onOpenTask={onOpenTask}
+                    onTaskChange={onTaskChange}
+                />
+
+                <Divider sx={{ my: 2 }} />
+                <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 2 }}>
+                    <Tab label="Comments" value="comments" />
+                    <Tab
+                        label={task.attachmentCount ? `Attachments (${task.attachmentCount})` : 'Attachments'}
+                        value="attachments"
+                    />
+                    <Tab label="History" value="history" />
+                </Tabs>
+                {tab === 'comments' && (
+                    <CommentThread taskId={task._id} projectId={task.project} isOwner={isOwner} />
+                )}
+                {tab === 'attachments' && (
+                    <TaskAttachments
+                        taskId={task._id}
+                        canEdit={canEdit}
+                        onCountChange={(count) => onAttachmentsChange?.(task._id, count)}
+                    />
+                )}
+                {tab === 'history' && <TaskHistory taskId={task._id} />}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Close</Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default TaskDetailDialog;
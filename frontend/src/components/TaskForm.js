@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
     Dialog,
     DialogTitle,
@@ -7,40 +7,48 @@ import {
     Button,
     TextField,
     MenuItem,
-    Grid
+    Grid,
+    FormControlLabel,
+    Checkbox,
+    Typography
 } from '@mui/material';
-import { format } from 'date-fns';
-
-const TaskForm = ({ open, onClose, onSubmit, task }) => {
-    const [formData, setFormData] = useState({
-        title: '',
-        description: '',
-        priority: 'Medium',
-        status: 'Todo',
-        dueDate: format(new Date(), 'yyyy-MM-dd')
-    });
+import { toast } from 'react-toastify';
+import UserPicker from './UserPicker';
+import TagInput from './TagInput';
+import ChecklistEditor from './ChecklistEditor';
+import RecurrenceEditor from './RecurrenceEditor';
+import TaskConflictDialog from './TaskConflictDialog';
+import { newIdempotencyKey } from '../services/api';
+import { mergeTaskForms } from '../utils/taskConflicts';
+import { emptyForm, toFormData, toPayload } from '../utils/taskForm';
+
+// `onSubmit(taskData, version, formValues, idempotencyKey)` gets the version of
+// the task the edit is based on, the form values with the picked people and
+// tags, and a key that stays the same while the same data is resubmitted; a
+// 409 carrying the server's newer copy is merged here instead of failing
+const TaskForm = ({ open, onClose, onSubmit, task, projectId }) => {
+    const [formData, setFormData] = useState(emptyForm);
+    // Server copy the edit is based on: its form values and version
+    const [basedOn, setBasedOn] = useState(null);
+    const [conflict, setConflict] = useState(null);
     const [loading, setLoading] = useState(false);
     const [errors, setErrors] = useState({});
+    // Last data submitted and its Idempotency-Key, so a double click or a
+    // retry after a dropped connection saves the task once
+    const submission = useRef(null);
 
     useEffect(() => {
         if (task) {
-            setFormData({
-                title: task.title,
-                description: task.description || '',
-                priority: task.priority,
-                status: task.status,
-                dueDate: format(new Date(task.dueDate), 'yyyy-MM-dd')
-            });
+            const initial = toFormData(task);
+            setFormData(initial);
+            setBasedOn({ form: initial, version: task.version });
         } else {
-            setFormData({
-                title: '',
-                description: '',
-                priority: 'Medium',
-                status: 'Todo',
-                dueDate: format(new Date(), 'yyyy-MM-dd')
-            });
+            setFormData(emptyForm());
+            setBasedOn(null);
         }
+        setConflict(null);
         setErrors({});
+        submission.current = null;
     }, [task, open]);
 
     const handleChange = (e) => {
@@ -70,28 +78,66 @@ const TaskForm = ({ open, onClose, onSubmit, task }) => {
             newErrors.dueDate = 'Due date is required';
         }
 
+        if (formData.checklist.some((item) => !item.title.trim())) {
+            newErrors.checklist = 'Checklist items cannot be empty';
+        }
+
         setErrors(newErrors);
         return Object.keys(newErrors).length === 0;
     };
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-
-        if (!validate()) {
-            return;
+    // Save the form. If someone else saved the task since it was opened, their
+    // changes are merged in and saved with ours, asking first about any field
+    // both of us changed.
+    const save = async (data, base) => {
+        const payload = toPayload(data);
+        const sent = JSON.stringify([payload, base?.version]);
+        if (submission.current?.sent !== sent) {
+            submission.current = { sent, key: newIdempotencyKey() };
         }
 
         setLoading(true);
         try {
-            await onSubmit(formData);
+            await onSubmit(payload, base?.version, data, submission.current.key);
             onClose();
         } catch (error) {
-            console.error('Form submit error:', error);
+            const current = error.response?.status === 409 && error.response.data?.task;
+            if (!current) {
+                console.error('Form submit error:', error);
+                return;
+            }
+
+            const theirs = toFormData(current);
+            const latest = { form: theirs, version: current.version };
+            const { merged, conflicts } = mergeTaskForms(base.form, data, theirs);
+            setFormData(merged);
+            setBasedOn(latest);
+
+            if (conflicts.length > 0) {
+                setConflict({ conflicts, mine: data, theirs });
+            } else {
+                toast.info('This task was changed by someone else; their changes were kept alongside yours');
+                await save(merged, latest);
+            }
         } finally {
             setLoading(false);
         }
     };
 
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        if (!validate()) {
+            return;
+        }
+        save(formData, basedOn);
+    };
+
+    const handleResolve = (values) => {
+        setConflict(null);
+        save({ ...formData, ...values }, basedOn);
+    };
+
     return (
         <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
             <form onSubmit={handleSubmit}>
@@ -168,6 +214,62 @@ const TaskForm = ({ open, onClose, onSubmit, task }) => {
                                 }}
                             />
                         </Grid>
+                        <Grid item xs={12}>
+                            <RecurrenceEditor
+                                value={formData.recurrence}
+                                onChange={(recurrence) => setFormData({ ...formData, recurrence })}
+                                dueDate={formData.dueDate}
+                            />
+                        </Grid>
+                        <Grid item xs={12} sm={6}>
+                            <UserPicker
+                                label="Assignee"
+                                value={formData.assignee}
+                                onChange={(assignee) => setFormData({ ...formData, assignee })}
+                                projectId={projectId}
+                            />
+                        </Grid>
+                        <Grid item xs={12} sm={6}>
+                            <UserPicker
+                                multiple
+                                label="Watchers"
+                                value={formData.watchers}
+                                onChange={(watchers) => setFormData({ ...formData, watchers })}
+                                projectId={projectId}
+                            />
+                        </Grid>
+                        <Grid item xs={12}>
+                            <TagInput
+                                value={formData.tags}
+                                onChange={(tags) => setFormData({ ...formData, tags })}
+                                projectId={projectId}
+                            />
+                        </Grid>
+                        <Grid item xs={12}>
+                            <ChecklistEditor
+                                items={formData.checklist}
+                                onChange={(checklist) => {
+                                    setFormData({ ...formData, checklist });
+                                    setErrors({ ...errors, checklist: '' });
+                                }}
+                            />
+                            {errors.checklist && (
+                                <Typography variant="caption" color="error">
+                                    {errors.checklist}
+                                </Typography>
+                            )}
+                            {formData.checklist.length > 0 && (
+                                <FormControlLabel
+                                    control={
+                                        <Checkbox
+                                            checked={formData.autoComplete}
+                                            onChange={(e) => setFormData({ ...formData, autoComplete: e.target.checked })}
+                                        />
+                                    }
+                                    label="Mark task completed when all items are done"
+                                />
+                            )}
+                        </Grid>
                     </Grid>
                 </DialogContent>
                 <DialogActions>
@@ -179,6 +281,14 @@ const TaskForm = ({ open, onClose, onSubmit, task }) => {
                     </Button>
                 </DialogActions>
             </form>
+            <TaskConflictDialog
+                open={!!conflict}
+                conflicts={conflict?.conflicts || []}
+                mine={conflict?.mine}
+                theirs={conflict?.theirs}
+                onResolve={handleResolve}
+                onCancel={() => setConflict(null)}
+            />
         </Dialog>
     );
 };
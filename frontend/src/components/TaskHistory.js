@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Avatar,
+    CircularProgress,
+    List,
+    ListItem,
+    ListItemAvatar,
+    ListItemText
+} from '@mui/material';
+import { format, formatDistanceToNow } from 'date-fns';
+import { toast } from 'react-toastify';
+import { tasksAPI } from '../services/api';
+import { describeRecurrence } from '../utils/recurrence';
+
+const FIELD_LABELS = {
+    title: 'title',
+    description: 'description',
+    priority: 'priority',
+    status: 'status',
+    dueDate: 'due date',
+    project: 'project',
+    assignee: 'assignee',
+    watchers: 'watchers',
+    tags: 'tags',
+    blockedBy: 'blockers',
+    checklist: 'checklist',
+    autoComplete: 'auto-complete',
+    recurrence: 'repeat'
+};
+
+const ACTION_LABELS = {
+    create: 'created the task',
+    update: 'updated the task',
+    delete: 'moved the task to the trash',
+    restore: 'restored the task'
+};
+
+// Short, human-readable form of a recorded value
+const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') {
+        return 'none';
+    }
+    switch (field) {
+        case 'dueDate':
+            return format(new Date(value), 'MMM dd, yyyy');
+        case 'recurrence':
+            return describeRecurrence(value);
+        case 'checklist':
+            return `${value.filter((item) => item.done).length}/${value.length} done`;
+        case 'watchers':
+            return `${value.length} watcher${value.length === 1 ? '' : 's'}`;
+        case 'tags':
+            return `${value.length} tag${value.length === 1 ? '' : 's'}`;
+        case 'blockedBy':
+            return `${value.length} blocker${value.length === 1 ? '' : 's'}`;
+        case 'autoComplete':
+            return value ? 'on' : 'off';
+        default:
+            return String(value);
+    }
+};
+
+const describeChange = ({ field, from, to }) => {
+    const label = FIELD_LABELS[field] || field;
+    if (field === 'description' || field === 'assignee' || field === 'project') {
+        return `Changed ${label}`;
+    }
+    return `Changed ${label} from ${formatValue(field, from)} to ${formatValue(field, to)}`;
+};
+
+const TaskHistory = ({ taskId }) => {
+    const [history, setHistory] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        let active = true;
+
+        const fetchHistory = async () => {
+            try {
+                setLoading(true);
+                const response = await tasksAPI.getHistory(taskId);
+                if (active) setHistory(response.data.history);
+            } catch (error) {
+                console.error('Fetch history error:', error);
+                toast.error('Failed to load history');
+            } finally {
+                if (active) setLoading(false);
+            }
+        };
+
+        fetchHistory();
+        return () => {
+            active = false;
+        };
+    }, [taskId]);
+
+    if (loading) {
+        return (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+                <CircularProgress size={28} />
+            </Box>
+        );
+    }
+
+    if (history.length === 0) {
+        return (
+            <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                No changes recorded yet.
+            </Typography>
+        );
+    }
+
+    return (
+        <List dense disablePadding>
+            {history.map((entry) => (
+                <ListItem key={entry._id} alignItems="flex-start" disableGutters>
+                    <ListItemAvatar>
+                        <Avatar sx={{ width: 28, height: 28, fontSize: 14 }}>
+                            {entry.actor?.name?.[0]?.toUpperCase()}
+                        </Avatar>
+                    </ListItemAvatar>
+                    <ListItemText
+                        primary={`${entry.actor?.name || 'Someone'} ${ACTION_LABELS[entry.action]}`}
+                        secondary={
+                            <>
+                                {entry.action === 'update' && entry.changes.map((change) => (
+                                    <Typography key={change.field} component="span" variant="body2" display="block">
+                                        {describeChange(change)}
+                                    </Typography>
+                                ))}
+                                <Typography component="span" variant="caption" color="text.secondary">
+                                    {formatDistanceToNow(new Date(entry.createdAt), { addSuffix: true })}
+                                </Typography>
+                            </>
+                        }
+                    />
+                </ListItem>
+            ))}
+        </List>
+    );
+};
+
+export default TaskHistory;
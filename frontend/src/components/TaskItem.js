@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
     Card,
     CardContent,
@@ -7,16 +7,97 @@ import {
     Chip,
     IconButton,
     Box,
-    Grid
+    Grid,
+    Avatar,
+    Tooltip,
+    LinearProgress,
+    Checkbox,
+    Collapse,
+    Menu,
+    MenuItem
 } from '@mui/material';
 import {
     Edit as EditIcon,
     Delete as DeleteIcon,
-    CalendarToday as CalendarIcon
+    CalendarToday as CalendarIcon,
+    Checklist as ChecklistIcon,
+    Repeat as RepeatIcon,
+    AttachFile as AttachFileIcon,
+    Block as BlockIcon,
+    CheckCircle as CheckCircleIcon,
+    RadioButtonUnchecked as UncheckedIcon,
+    CloudUpload as PendingSyncIcon,
+    SyncProblem as SyncFailedIcon
 } from '@mui/icons-material';
 import { format } from 'date-fns';
+import { toast } from 'react-toastify';
+import { tasksAPI } from '../services/api';
+import { patchTask, retryEntry, discardEntry, resolveConflict } from '../services/taskSync';
+import { describeRecurrence } from '../utils/recurrence';
+import { openBlockers } from '../utils/dependencies';
+import { isLocalTask } from '../utils/outbox';
+import Highlight from './Highlight';
+import TagChip from './TagChip';
+import TaskConflictDialog from './TaskConflictDialog';
+
+const initials = (name = '') =>
+    name.split(' ').filter(Boolean).slice(0, 2).map((part) => part[0].toUpperCase()).join('');
+
+// Values offered by the status and priority chips' menus
+const CHIP_OPTIONS = {
+    status: ['Todo', 'In Progress', 'Completed'],
+    priority: ['Low', 'Medium', 'High']
+};
+
+const TaskItem = ({
+    task, onEdit, onDelete, onOpen, onOpenTask, onTaskChange, canEdit = true, selected = false, onSelect, highlight = []
+}) => {
+    const [checklistOpen, setChecklistOpen] = useState(false);
+    const [blockersAnchor, setBlockersAnchor] = useState(null);
+    // Open status or priority menu: { anchor, field }
+    const [chipMenu, setChipMenu] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [syncAnchor, setSyncAnchor] = useState(null);
+    const [resolving, setResolving] = useState(false);
+
+    const checklist = task.checklist || [];
+    const doneCount = checklist.filter((item) => item.done).length;
+    const blockers = openBlockers(task);
+    // Created offline and not on the server yet, so only local edits apply
+    const local = isLocalTask(task);
+
+    const handleToggleItem = async (item) => {
+        try {
+            const response = await tasksAPI.updateChecklistItem(task._id, item._id, { done: !item.done });
+            onTaskChange?.(response.data.task, response.data.nextTask);
+        } catch (error) {
+            console.error('Toggle checklist item error:', error);
+            toast.error('Failed to update checklist');
+        }
+    };
+
+    // Change single fields straight from the card; offline, the change is
+    // queued and the card shows it as pending
+    const handlePatch = async (changes) => {
+        setChipMenu(null);
+        setSaving(true);
+        try {
+            const response = await patchTask(task, changes);
+            if (response) {
+                onTaskChange?.(response.data.task, response.data.nextTask);
+            }
+        } catch (error) {
+            console.error('Update task error:', error);
+            toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to update task');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const openChipMenu = (field) => (canEdit && !saving
+        ? (e) => setChipMenu({ anchor: e.currentTarget, field })
+        : undefined);
 
-const TaskItem = ({ task, onEdit, onDelete }) => {
     const getPriorityColor = (priority) => {
         switch (priority) {
             case 'High':
@@ -44,16 +125,48 @@ const TaskItem = ({ task, onEdit, onDelete }) => {
     };
 
     return (
-        <Card className="card-elevation">
+        <Card className="card-elevation" sx={selected ? { outline: 2, outlineColor: 'primary.main' } : undefined}>
             <CardContent>
                 <Grid container spacing={2} alignItems="flex-start">
                     <Grid item xs={12} sm={8}>
-                        <Typography variant="h6" gutterBottom>
-                            {task.title}
-                        </Typography>
+                        <Box sx={{ display: 'flex', alignItems: 'flex-start' }}>
+                            {onSelect && !local && (
+                                <Checkbox
+                                    checked={selected}
+                                    onChange={() => onSelect(task._id)}
+                                    inputProps={{ 'aria-label': `select ${task.title}` }}
+                                    sx={{ p: 0.5, mr: 1 }}
+                                />
+                            )}
+                            {canEdit && (
+                                <Tooltip title={task.status === 'Completed' ? 'Mark as to do' : 'Mark complete'}>
+                                    <Checkbox
+                                        checked={task.status === 'Completed'}
+                                        onChange={() => handlePatch({ status: task.status === 'Completed' ? 'Todo' : 'Completed' })}
+                                        disabled={saving}
+                                        icon={<UncheckedIcon />}
+                                        checkedIcon={<CheckCircleIcon />}
+                                        color="success"
+                                        inputProps={{ 'aria-label': `complete ${task.title}` }}
+                                        sx={{ p: 0.5, mr: 1 }}
+                                    />
+                                </Tooltip>
+                            )}
+                            <Typography
+                                variant="h6"
+                                gutterBottom
+                                onClick={() => !local && onOpen?.(task)}
+                                sx={{
+                                    cursor: onOpen && !local ? 'pointer' : 'default',
+                                    '&:hover': { color: onOpen && !local ? 'primary.main' : 'inherit' }
+                                }}
+                            >
+                                <Highlight text={task.title} terms={highlight} />
+                            </Typography>
+                        </Box>
                         {task.description && (
                             <Typography variant="body2" color="text.secondary" paragraph>
-                                {task.description}
+                                <Highlight text={task.description} terms={highlight} />
                             </Typography>
                         )}
                         <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
@@ -61,13 +174,174 @@ const TaskItem = ({ task, onEdit, onDelete }) => {
                                 label={task.status}
                                 color={getStatusColor(task.status)}
                                 size="small"
+                                onClick={openChipMenu('status')}
                             />
                             <Chip
                                 label={task.priority}
                                 color={getPriorityColor(task.priority)}
                                 size="small"
+                                onClick={openChipMenu('priority')}
                             />
+                            {task._sync === 'pending' && (
+                                <Tooltip title="Saved on this device; waiting to sync">
+                                    <Chip
+                                        icon={<PendingSyncIcon />}
+                                        label="Pending sync"
+                                        variant="outlined"
+                                        size="small"
+                                    />
+                                </Tooltip>
+                            )}
+                            {task._sync === 'failed' && (
+                                <Tooltip title={task._syncError || ''}>
+                                    <Chip
+                                        icon={<SyncFailedIcon />}
+                                        label="Sync failed"
+                                        color="error"
+                                        variant="outlined"
+                                        size="small"
+                                        onClick={(e) => setSyncAnchor(e.currentTarget)}
+                                    />
+                                </Tooltip>
+                            )}
+                            {blockers.length > 0 && (
+                                <Tooltip title={`Blocked by ${blockers.map((b) => b.title).join(', ')}`}>
+                                    <Chip
+                                        icon={<BlockIcon />}
+                                        label="Blocked"
+                                        color="warning"
+                                        variant="outlined"
+                                        size="small"
+                                        onClick={onOpenTask ? (e) => setBlockersAnchor(e.currentTarget) : undefined}
+                                    />
+                                </Tooltip>
+                            )}
+                            {(task.tags || []).map((tag) => (
+                                <TagChip key={tag._id} tag={tag} />
+                            ))}
+                            {task.assignee && (
+                                <Tooltip title={task.assignee.email || ''}>
+                                    <Chip
+                                        avatar={<Avatar>{initials(task.assignee.name)}</Avatar>}
+                                        label={task.assignee.name}
+                                        variant="outlined"
+                                        size="small"
+                                    />
+                                </Tooltip>
+                            )}
+                            {task.recurrence && (
+                                <Tooltip title={describeRecurrence(task.recurrence)}>
+                                    <Chip
+                                        icon={<RepeatIcon />}
+                                        label={task.recurrence.frequency}
+                                        size="small"
+                                        variant="outlined"
+                                        color="secondary"
+                                    />
+                                </Tooltip>
+                            )}
+                            {checklist.length > 0 && (
+                                <Chip
+                                    icon={<ChecklistIcon />}
+                                    label={`${doneCount}/${checklist.length}`}
+                                    size="small"
+                                    variant="outlined"
+                                    onClick={() => setChecklistOpen(!checklistOpen)}
+                                />
+                            )}
+                            {task.attachmentCount > 0 && (
+                                <Tooltip title={`${task.attachmentCount} attachment${task.attachmentCount === 1 ? '' : 's'}`}>
+                                    <Chip
+                                        icon={<AttachFileIcon />}
+                                        label={task.attachmentCount}
+                                        size="small"
+                                        variant="outlined"
+                                    />
+                                </Tooltip>
+                            )}
                         </Box>
+                        <Menu anchorEl={syncAnchor} open={Boolean(syncAnchor)} onClose={() => setSyncAnchor(null)}>
+                            {task._syncConflict ? (
+                                <MenuItem
+                                    onClick={() => {
+                                        setSyncAnchor(null);
+                                        setResolving(true);
+                                    }}
+                                >
+                                    Resolve conflict
+                                </MenuItem>
+                            ) : (
+                                <MenuItem
+                                    onClick={() => {
+                                        setSyncAnchor(null);
+                                        retryEntry(task._syncId);
+                                    }}
+                                >
+                                    Retry
+                                </MenuItem>
+                            )}
+                            <MenuItem
+                                onClick={() => {
+                                    setSyncAnchor(null);
+                                    discardEntry(task._syncId);
+                                }}
+                            >
+                                Discard my change
+                            </MenuItem>
+                        </Menu>
+                        <Menu anchorEl={chipMenu?.anchor} open={Boolean(chipMenu)} onClose={() => setChipMenu(null)}>
+                            {chipMenu && CHIP_OPTIONS[chipMenu.field].map((value) => (
+                                <MenuItem
+                                    key={value}
+                                    selected={task[chipMenu.field] === value}
+                                    onClick={() => (task[chipMenu.field] === value
+                                        ? setChipMenu(null)
+                                        : handlePatch({ [chipMenu.field]: value }))}
+                                >
+                                    {value}
+                                </MenuItem>
+                            ))}
+                        </Menu>
+                        <Menu anchorEl={blockersAnchor} open={Boolean(blockersAnchor)} onClose={() => setBlockersAnchor(null)}>
+                            {blockers.map((blocker) => (
+                                <MenuItem
+                                    key={blocker._id}
+                                    onClick={() => {
+                                        setBlockersAnchor(null);
+                                        onOpenTask(blocker._id);
+                                    }}
+                                >
+                                    {blocker.title} ({blocker.status})
+                                </MenuItem>
+                            ))}
+                        </Menu>
+                        {checklist.length > 0 && (
+                            <>
+                                <LinearProgress
+                                    variant="determinate"
+                                    value={(doneCount / checklist.length) * 100}
+                                    sx={{ mb: 1, maxWidth: 240 }}
+                                />
+                                <Collapse in={checklistOpen}>
+                                    {checklist.map((item) => (
+                                        <Box key={item._id} sx={{ display: 'flex', alignItems: 'center' }}>
+                                            <Checkbox
+                                                size="small"
+                                                checked={item.done}
+                                                disabled={!canEdit || local}
+                                                onChange={() => handleToggleItem(item)}
+                                            />
+                                            <Typography
+                                                variant="body2"
+                                                sx={{ textDecoration: item.done ? 'line-through' : 'none' }}
+                                            >
+                                                {item.title}
+                                            </Typography>
+                                        </Box>
+                                    ))}
+                                </Collapse>
+                            </>
+                        )}
                     </Grid>
                     <Grid item xs={12} sm={4}>
                         <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mb: 1 }}>
@@ -82,24 +356,39 @@ const TaskItem = ({ task, onEdit, onDelete }) => {
                     </Grid>
                 </Grid>
             </CardContent>
-            <CardActions sx={{ justifyContent: 'flex-end', px: 2, pb: 2 }}>
-                <IconButton
-                    size="small"
-                    color="primary"
-                    onClick={() => onEdit(task)}
-                    aria-label="edit"
-                >
-                    <EditIcon />
-                </IconButton>
-                <IconButton
-                    size="small"
-                    color="error"
-                    onClick={() => onDelete(task._id)}
-                    aria-label="delete"
-                >
-                    <DeleteIcon />
-                </IconButton>
-            </CardActions>
+            {canEdit && (
+                <CardActions sx={{ justifyContent: 'flex-end', px: 2, pb: 2 }}>
+                    <IconButton
+                        size="small"
+                        color="primary"
+                        onClick={() => onEdit(task)}
+                        aria-label="edit"
+                    >
+                        <EditIcon />
+                    </IconButton>
+                    <IconButton
+                        size="small"
+                        color="error"
+                        onClick={() => onDelete(task._id)}
+                        aria-label="delete"
+                    >
+                        <DeleteIcon />
+                    </IconButton>
+                </CardActions>
+            )}
+            {task._syncConflict && (
+                <TaskConflictDialog
+                    open={resolving}
+                    conflicts={task._syncConflict.conflicts}
+                    mine={task._syncConflict.merged}
+                    theirs={task._syncConflict.theirs}
+                    onResolve={(values) => {
+                        setResolving(false);
+                        resolveConflict(task._syncId, values);
+                    }}
+                    onCancel={() => setResolving(false)}
+                />
+            )}
         </Card>
     );
 };
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Box,
+    Typography,
+    CircularProgress,
+    List,
+    ListItem,
+    ListItemText
+} from '@mui/material';
+import { formatDistanceToNow } from 'date-fns';
+import { toast } from 'react-toastify';
+import { tasksAPI } from '../services/api';
+
+// Deleted tasks for the current scope, restorable until they are purged
+const TrashDialog = ({ open, onClose, projectId, onRestore }) => {
+    const [tasks, setTasks] = useState([]);
+    const [retentionDays, setRetentionDays] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        if (!open) return undefined;
+        let active = true;
+
+        const fetchTrash = async () => {
+            try {
+                setLoading(true);
+                const response = await tasksAPI.getTrash(projectId);
+                if (active) {
+                    setTasks(response.data.tasks);
+                    setRetentionDays(response.data.retentionDays);
+                }
+            } catch (error) {
+                console.error('Fetch trash error:', error);
+                toast.error('Failed to load trash');
+            } finally {
+                if (active) setLoading(false);
+            }
+        };
+
+        fetchTrash();
+        return () => {
+            active = false;
+        };
+    }, [open, projectId]);
+
+    const handleRestore = async (taskId) => {
+        try {
+            const response = await tasksAPI.restoreTask(taskId);
+            setTasks((prev) => prev.filter((t) => t._id !== taskId));
+            toast.success('Task restored');
+            onRestore(response.data.task);
+        } catch (error) {
+            console.error('Restore task error:', error);
+            toast.error('Failed to restore task');
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+            <DialogTitle>Trash</DialogTitle>
+            <DialogContent dividers>
+                {retentionDays && (
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                        Deleted tasks are removed permanently after {retentionDays} days.
+                    </Typography>
+                )}
+                {loading ? (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+                        <CircularProgress size={28} />
+                    </Box>
+                ) : tasks.length === 0 ? (
+                    <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                        Trash is empty.
+                    </Typography>
+                ) : (
+                    <List dense disablePadding>
+                        {tasks.map((task) => (
+                            <ListItem
+                                key={task._id}
+                                disableGutters
+                                secondaryAction={
+                                    <Button size="small" onClick={() => handleRestore(task._id)}>
+                                        Restore
+                                    </Button>
+                                }
+                            >
+                                <ListItemText
+                                    primary={task.title}
+                                    secondary={`Deleted ${formatDistanceToNow(new Date(task.deletedAt), { addSuffix: true })}`
+                                        + ` · removed ${formatDistanceToNow(new Date(task.purgeAt), { addSuffix: true })}`}
+                                />
+                            </ListItem>
+                        ))}
+                    </List>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Close</Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default TrashDialog;
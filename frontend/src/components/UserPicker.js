@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { Autocomplete, TextField, CircularProgress } from '@mui/material';
+import { usersAPI } from '../services/api';
+
+// Autocomplete over the user-search endpoint. Values are { _id, name, email }
+// objects; set `multiple` to pick a list of users.
+const UserPicker = ({ label, value, onChange, projectId, multiple = false, ...props }) => {
+    const [inputValue, setInputValue] = useState('');
+    const [options, setOptions] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        // Outside a project the endpoint needs at least two characters
+        if (!projectId && inputValue.trim().length < 2) {
+            setOptions([]);
+            return undefined;
+        }
+
+        let active = true;
+        const timer = setTimeout(async () => {
+            try {
+                setLoading(true);
+                const response = await usersAPI.search(inputValue.trim(), projectId);
+                if (active) {
+                    setOptions(response.data.users);
+                }
+            } catch (error) {
+                console.error('User search error:', error);
+            } finally {
+                if (active) {
+                    setLoading(false);
+                }
+            }
+        }, 300);
+
+        return () => {
+            active = false;
+            clearTimeout(timer);
+        };
+    }, [inputValue, projectId]);
+
+    return (
+        <Autocomplete
+            multiple={multiple}
+            value={value}
+            onChange={(e, newValue) => onChange(newValue)}
+            inputValue={inputValue}
+            onInputChange={(e, newInputValue) => setInputValue(newInputValue)}
+            options={options}
+            loading={loading}
+            filterOptions={(x) => x}
+            getOptionLabel={(option) => option.name || ''}
+            isOptionEqualToValue={(option, selected) => option._id === selected._id}
+            renderOption={(optionProps, option) => (
+                <li {...optionProps} key={option._id}>
+                    {option.name} ({option.email})
+                </li>
+            )}
+            noOptionsText={projectId ? 'No members found' : 'Type a teammate\'s name, or the full email of anyone else'}
+            renderInput={(params) => (
+                <TextField
+                    {...params}
+                    label={label}
+                    InputProps={{
+                        ...params.InputProps,
+                        endAdornment: (
+                            <>
+                                {loading ? <CircularProgress color="inherit" size={20} /> : null}
+                                {params.InputProps.endAdornment}
+                            </>
+                        ),
+                    }}
+                />
+            )}
+            {...props}
+        />
+    );
+};
+
+export default UserPicker;
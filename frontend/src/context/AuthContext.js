@@ -1,5 +1,6 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import { authAPI } from '../services/api';
+import { clearOutbox } from '../services/taskSync';
 
 const AuthContext = createContext(null);
 
@@ -29,9 +30,10 @@ export const AuthProvider = ({ children }) => {
     const login = async (email, password) => {
         try {
             const response = await authAPI.login({ email, password });
-            const { token, user: userData } = response.data;
+            const { token, refreshToken, user: userData } = response.data;
 
             localStorage.setItem('token', token);
+            localStorage.setItem('refreshToken', refreshToken);
             localStorage.setItem('user', JSON.stringify(userData));
             setUser(userData);
 
@@ -47,9 +49,10 @@ export const AuthProvider = ({ children }) => {
     const register = async (name, email, password) => {
         try {
             const response = await authAPI.register({ name, email, password });
-            const { token, user: userData } = response.data;
+            const { token, refreshToken, user: userData } = response.data;
 
             localStorage.setItem('token', token);
+            localStorage.setItem('refreshToken', refreshToken);
             localStorage.setItem('user', JSON.stringify(userData));
             setUser(userData);
 
@@ -63,9 +66,24 @@ export const AuthProvider = ({ children }) => {
     };
 
     const logout = () => {
+        const refreshToken = localStorage.getItem('refreshToken');
+
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
         setUser(null);
+
+        // Queued changes and cached tasks belong to this user only
+        clearOutbox().catch((error) => {
+            console.error('Clear offline data error:', error);
+        });
+
+        // Revoke the session server-side; the local session is already gone
+        if (refreshToken) {
+            authAPI.logout(refreshToken).catch((error) => {
+                console.error('Logout error:', error);
+            });
+        }
     };
 
     const value = {
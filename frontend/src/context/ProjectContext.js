@@ -0,0 +1,80 @@
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import { projectsAPI } from '../services/api';
+import { useAuth } from './AuthContext';
+
+const ProjectContext = createContext(null);
+
+const ROLE_RANK = {
+    viewer: 1,
+    editor: 2,
+    owner: 3
+};
+
+// Whether `role` grants at least the permissions of `required`
+export const hasRole = (role, required) => !!role && ROLE_RANK[role] >= ROLE_RANK[required];
+
+export const useProjects = () => {
+    const context = useContext(ProjectContext);
+    if (!context) {
+        throw new Error('useProjects must be used within a ProjectProvider');
+    }
+    return context;
+};
+
+export const ProjectProvider = ({ children }) => {
+    const { isAuthenticated } = useAuth();
+    const [projects, setProjects] = useState([]);
+    // null selects the user's personal tasks
+    const [currentProjectId, setCurrentProjectId] = useState(
+        () => localStorage.getItem('projectId') || null
+    );
+
+    const refreshProjects = useCallback(async () => {
+        try {
+            const response = await projectsAPI.getProjects();
+            setProjects(response.data.projects);
+            return response.data.projects;
+        } catch (error) {
+            console.error('Fetch projects error:', error);
+            return [];
+        }
+    }, []);
+
+    useEffect(() => {
+        if (isAuthenticated) {
+            refreshProjects();
+        } else {
+            setProjects([]);
+        }
+    }, [isAuthenticated, refreshProjects]);
+
+    const selectProject = (projectId) => {
+        if (projectId) {
+            localStorage.setItem('projectId', projectId);
+        } else {
+            localStorage.removeItem('projectId');
+        }
+        setCurrentProjectId(projectId || null);
+    };
+
+    const currentProject = projects.find((p) => p._id === currentProjectId) || null;
+
+    // Fall back to personal tasks when the saved project is gone
+    useEffect(() => {
+        if (currentProjectId && projects.length > 0 && !currentProject) {
+            localStorage.removeItem('projectId');
+            setCurrentProjectId(null);
+        }
+    }, [projects, currentProjectId, currentProject]);
+
+    const value = {
+        projects,
+        currentProject,
+        currentProjectId: currentProject ? currentProject._id : null,
+        currentRole: currentProject ? currentProject.role : 'owner',
+        selectProject,
+        refreshProjects
+    };
+
+    return <ProjectContext.Provider value={value}>{children}</ProjectContext.Provider>;
+};
@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react';
+
+// Value that only updates once it has stopped changing for `delay` ms
+const useDebounce = (value, delay = 300) => {
+    const [debounced, setDebounced] = useState(value);
+
+    useEffect(() => {
+        const timer = setTimeout(() => setDebounced(value), delay);
+        return () => clearTimeout(timer);
+    }, [value, delay]);
+
+    return debounced;
+};
+
+export default useDebounce;
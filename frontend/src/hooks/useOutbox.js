@@ -0,0 +1,30 @@
+import { useState, useEffect, useRef } from 'react';
+import { subscribeOutbox } from '../services/taskSync';
+
+// Task changes waiting to sync, and whether the browser is online.
+// `onSynced` runs each time a queued change reaches the server.
+const useOutbox = (onSynced) => {
+    const [entries, setEntries] = useState([]);
+    const [online, setOnline] = useState(navigator.onLine);
+    const handler = useRef(onSynced);
+    handler.current = onSynced;
+
+    useEffect(() => subscribeOutbox((next, synced) => {
+        setEntries(next);
+        if (synced) handler.current?.();
+    }), []);
+
+    useEffect(() => {
+        const update = () => setOnline(navigator.onLine);
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        return () => {
+            window.removeEventListener('online', update);
+            window.removeEventListener('offline', update);
+        };
+    }, []);
+
+    return { entries, online };
+};
+
+export default useOutbox;
@@ -0,0 +1,114 @@
+import { useEffect, useRef } from 'react';
+import { API_URL, isSessionEnded, refreshAccessToken } from '../services/api';
+
+// Wait before reconnecting after the stream drops, doubling up to the max
+const RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30 * 1000;
+
+// Split Server-Sent Events text into complete messages, returning the
+// incomplete remainder to prepend to the next chunk
+const parseMessages = (text) => {
+    const blocks = text.split('\n\n');
+    const rest = blocks.pop();
+
+    const messages = blocks.map((block) => {
+        const message = { event: 'message', data: '' };
+        block.split('\n').forEach((line) => {
+            if (line.startsWith('event: ')) message.event = line.slice(7);
+            if (line.startsWith('data: ')) message.data += line.slice(6);
+        });
+        return message;
+    });
+    return { messages: messages.filter((message) => message.data), rest };
+};
+
+// Live task events ({ type, task, previous }) for every task the user can see.
+// The stream is read with fetch rather than EventSource so it can send the
+// Authorization header. `onResync` runs after reconnecting from an outage, as
+// events may have been missed while disconnected.
+const useTaskEvents = (onEvent, onResync) => {
+    // Always call the latest handlers without reconnecting on every render
+    const handlers = useRef({ onEvent, onResync });
+    handlers.current = { onEvent, onResync };
+
+    useEffect(() => {
+        const controller = new AbortController();
+        let retryDelay = RETRY_DELAY;
+        let timer = null;
+        let missed = false;
+
+        // Read one connection until it ends: 'expired', 'unauthorized' or 'dropped'
+        const connect = async () => {
+            try {
+                const response = await fetch(`${API_URL}/events`, {
+                    headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+                    signal: controller.signal
+                });
+                if (response.status === 401) return 'unauthorized';
+                if (!response.ok) return 'dropped';
+
+                const reader = response.body.getReader();
+                const decoder = new TextDecoder();
+                let buffer = '';
+                let outcome = 'dropped';
+
+                for (;;) {
+                    const { value, done } = await reader.read();
+                    if (done) return outcome;
+
+                    const { messages, rest } = parseMessages(buffer + decoder.decode(value, { stream: true }));
+                    buffer = rest;
+                    for (const { event, data } of messages) {
+                        if (event === 'ready') {
+                            retryDelay = RETRY_DELAY;
+                            if (missed) handlers.current.onResync?.();
+                            missed = false;
+                        } else if (event === 'expired') {
+                            outcome = 'expired';
+                        } else if (event.startsWith('task.')) {
+                            handlers.current.onEvent(JSON.parse(data));
+                        }
+                    }
+                }
+            } catch (error) {
+                if (!controller.signal.aborted) {
+                    console.error('Task events error:', error);
+                }
+                return 'dropped';
+            }
+        };
+
+        const run = async (refreshed = false) => {
+            const outcome = await connect();
+            if (controller.signal.aborted) return;
+
+            // Expired tokens are refreshed and the stream reopened straight away;
+            // a second 401 in a row means the session is gone. A refresh that
+            // failed without ending the session is retried like a dropped stream.
+            if (outcome === 'expired' || (outcome === 'unauthorized' && !refreshed)) {
+                try {
+                    await refreshAccessToken();
+                    run(true);
+                    return;
+                } catch (error) {
+                    console.error('Task events refresh error:', error);
+                    if (isSessionEnded(error)) return;
+                }
+            } else if (outcome === 'unauthorized') {
+                return;
+            }
+
+            missed = true;
+            timer = setTimeout(run, retryDelay);
+            retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+        };
+
+        run();
+        return () => {
+            controller.abort();
+            clearTimeout(timer);
+        };
+    }, []);
+};
+
+export default useTaskEvents;
@@ -7,6 +7,9 @@ import 'react-toastify/dist/ReactToastify.css';
 import './index.css';
 import App from './App';
 import { AuthProvider } from './context/AuthContext';
+import { ProjectProvider } from './context/ProjectContext';
+import { startSync } from './services/taskSync';
+import registerServiceWorker from './registerServiceWorker';
 
 const theme = createTheme({
     palette: {
@@ -29,7 +32,9 @@ root.render(
             <ThemeProvider theme={theme}>
                 <CssBaseline />
                 <AuthProvider>
-                    <App />
+                    <ProjectProvider>
+                        <App />
+                    </ProjectProvider>
                     <ToastContainer
                         position="top-right"
                         autoClose={3000}
@@ -46,3 +51,7 @@ root.render(
         </BrowserRouter>
     </React.StrictMode>
 );
+
+// Send task changes made offline once the server can be reached
+startSync();
+registerServiceWorker();
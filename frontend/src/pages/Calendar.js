@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+    Container,
+    Box,
+    AppBar,
+    Toolbar,
+    Typography,
+    Button,
+    IconButton,
+    Paper,
+    ToggleButton,
+    ToggleButtonGroup,
+    CircularProgress,
+    Tooltip
+} from '@mui/material';
+import {
+    ChevronLeft as PrevIcon,
+    ChevronRight as NextIcon,
+    Dashboard as DashboardIcon,
+    ListAlt as TasksIcon,
+    Logout as LogoutIcon,
+    RssFeed as FeedIcon
+} from '@mui/icons-material';
+import {
+    addMonths,
+    addWeeks,
+    eachDayOfInterval,
+    endOfMonth,
+    endOfWeek,
+    format,
+    isSameMonth,
+    isToday,
+    startOfMonth,
+    startOfWeek
+} from 'date-fns';
+import { toast } from 'react-toastify';
+import { useAuth } from '../context/AuthContext';
+import { useProjects, hasRole } from '../context/ProjectContext';
+import { tasksAPI } from '../services/api';
+import ProjectSwitcher from '../components/ProjectSwitcher';
+import TaskDetailDialog from '../components/TaskDetailDialog';
+import CalendarFeedDialog from '../components/CalendarFeedDialog';
+
+const PRIORITY_COLORS = {
+    High: 'error.main',
+    Medium: 'warning.main',
+    Low: 'info.main'
+};
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Due dates are stored as UTC midnight of the chosen day
+const dayKey = (date) => format(date, 'yyyy-MM-dd');
+const dueKey = (task) => task.dueDate.slice(0, 10);
+
+const Calendar = () => {
+    const navigate = useNavigate();
+    const { logout } = useAuth();
+    const { currentProject, currentProjectId, currentRole } = useProjects();
+    const canEdit = hasRole(currentRole, 'editor');
+    const [mode, setMode] = useState('month');
+    const [anchor, setAnchor] = useState(new Date());
+    const [tasks, setTasks] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [draggingId, setDraggingId] = useState(null);
+    const [dropDay, setDropDay] = useState(null);
+    const [detailTask, setDetailTask] = useState(null);
+    const [feedOpen, setFeedOpen] = useState(false);
+
+    const rangeStart = mode === 'month' ? startOfWeek(startOfMonth(anchor)) : startOfWeek(anchor);
+    const rangeEnd = mode === 'month' ? endOfWeek(endOfMonth(anchor)) : endOfWeek(anchor);
+    const days = eachDayOfInterval({ start: rangeStart, end: rangeEnd });
+    const from = dayKey(rangeStart);
+    const to = dayKey(rangeEnd);
+
+    // Load every task due in the visible range, following the cursor to the end
+    const fetchTasks = useCallback(async () => {
+        try {
+            setLoading(true);
+            const params = {
+                dueFrom: from,
+                dueTo: `${to}T23:59:59.999Z`,
+                sortBy: 'dueDate',
+                order: 'asc',
+                limit: 100
+            };
+            if (currentProjectId) params.project = currentProjectId;
+
+            let all = [];
+            let cursor = null;
+            do {
+                const response = await tasksAPI.getTasks(cursor ? { ...params, cursor } : params);
+                all = [...all, ...response.data.tasks];
+                cursor = response.data.nextCursor;
+            } while (cursor);
+
+            setTasks(all);
+        } catch (error) {
+            console.error('Fetch calendar tasks error:', error);
+            toast.error('Failed to load tasks');
+        } finally {
+            setLoading(false);
+        }
+    }, [from, to, currentProjectId]);
+
+    useEffect(() => {
+        fetchTasks();
+    }, [fetchTasks]);
+
+    const tasksByDay = tasks.reduce((acc, task) => {
+        const key = dueKey(task);
+        acc[key] = [...(acc[key] || []), task];
+        return acc;
+    }, {});
+
+    const move = (amount) => {
+        setAnchor((prev) => (mode === 'month' ? addMonths(prev, amount) : addWeeks(prev, amount)));
+    };
+
+    const handleDrop = async (event, day) => {
+        event.preventDefault();
+        const task = tasks.find((t) => t._id === draggingId);
+        setDraggingId(null);
+        setDropDay(null);
+
+        const dueDate = dayKey(day);
+        if (!task || dueKey(task) === dueDate) return;
+
+        // Move it straight away; put it back if the update fails
+        setTasks((prev) => prev.map((t) => (t._id === task._id ? { ...t, dueDate: `${dueDate}T00:00:00.000Z` } : t)));
+        try {
+            const response = await tasksAPI.patchTask(task._id, { dueDate });
+            setTasks((prev) => prev.map((t) => (t._id === task._id ? response.data.task : t)));
+            toast.success(`Rescheduled to ${format(day, 'MMM dd, yyyy')}`);
+        } catch (error) {
+            console.error('Reschedule task error:', error);
+            toast.error('Failed to reschedule task');
+            setTasks((prev) => prev.map((t) => (t._id === task._id ? task : t)));
+        }
+    };
+
+    // Open a blocker or blocked task from the detail dialog
+    const handleOpenTask = async (taskId) => {
+        try {
+            const response = await tasksAPI.getTask(taskId);
+            setDetailTask(response.data.task);
+        } catch (error) {
+            console.error('Open task error:', error);
+            toast.error('Failed to load task');
+        }
+    };
+
+    const handleLogout = () => {
+        logout();
+        toast.info('Logged out successfully');
+        navigate('/login');
+    };
+
+    return (
+        <Box sx={{ flexGrow: 1 }}>
+            <AppBar position="static">
+                <Toolbar>
+                    <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
+                        {currentProject ? `${currentProject.name} Calendar` : 'Calendar'}
+                    </Typography>
+                    <ProjectSwitcher />
+                    <Button color="inherit" onClick={() => navigate('/tasks')} startIcon={<TasksIcon />}>
+                        Tasks
+                    </Button>
+                    <Button color="inherit" onClick={() => navigate('/dashboard')} startIcon={<DashboardIcon />}>
+                        Dashboard
+                    </Button>
+                    <Button color="inherit" onClick={handleLogout} startIcon={<LogoutIcon />}>
+                        Logout
+                    </Button>
+                </Toolbar>
+            </AppBar>
+
+            <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+                    <IconButton onClick={() => move(-1)} aria-label="previous">
+                        <PrevIcon />
+                    </IconButton>
+                    <Button variant="outlined" size="small" onClick={() => setAnchor(new Date())}>
+                        Today
+                    </Button>
+                    <IconButton onClick={() => move(1)} aria-label="next">
+                        <NextIcon />
+                    </IconButton>
+                    <Typography variant="h5" sx={{ flexGrow: 1, ml: 1 }}>
+                        {mode === 'month'
+                            ? format(anchor, 'MMMM yyyy')
+                            : `${format(rangeStart, 'MMM d')} – ${format(rangeEnd, 'MMM d, yyyy')}`}
+                    </Typography>
+                    {loading && <CircularProgress size={24} />}
+                    <Button size="small" startIcon={<FeedIcon />} onClick={() => setFeedOpen(true)}>
+                        Subscribe
+                    </Button>
+                    <ToggleButtonGroup
+                        exclusive
+                        size="small"
+                        value={mode}
+                        onChange={(e, value) => value && setMode(value)}
+                    >
+                        <ToggleButton value="month">Month</ToggleButton>
+                        <ToggleButton value="week">Week</ToggleButton>
+                    </ToggleButtonGroup>
+                </Box>
+
+                <Paper sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', overflow: 'hidden' }}>
+                    {WEEKDAY_LABELS.map((label) => (
+                        <Box key={label} sx={{ p: 1, textAlign: 'center', bgcolor: 'grey.100', borderBottom: 1, borderColor: 'divider' }}>
+                            <Typography variant="caption" fontWeight={600}>{label}</Typography>
+                        </Box>
+                    ))}
+                    {days.map((day) => {
+                        const key = dayKey(day);
+                        const dayTasks = tasksByDay[key] || [];
+                        return (
+                            <Box
+                                key={key}
+                                onDragOver={(event) => {
+                                    if (!draggingId) return;
+                                    event.preventDefault();
+                                    if (dropDay !== key) setDropDay(key);
+                                }}
+                                onDrop={(event) => handleDrop(event, day)}
+                                sx={{
+                                    minHeight: mode === 'month' ? 110 : 360,
+                                    p: 0.5,
+                                    borderRight: 1,
+                                    borderBottom: 1,
+                                    borderColor: 'divider',
+                                    bgcolor: dropDay === key
+                                        ? 'action.hover'
+                                        : (mode === 'month' && !isSameMonth(day, anchor) ? 'grey.50' : 'background.paper')
+                                }}
+                            >
+                                <Typography
+                                    variant="caption"
+                                    sx={{
+                                        display: 'inline-block',
+                                        px: 0.75,
+                                        borderRadius: 1,
+                                        fontWeight: isToday(day) ? 700 : 400,
+                                        color: isToday(day) ? 'primary.contrastText' : 'text.secondary',
+                                        bgcolor: isToday(day) ? 'primary.main' : 'transparent'
+                                    }}
+                                >
+                                    {format(day, mode === 'month' ? 'd' : 'EEE d')}
+                                </Typography>
+                                {dayTasks.map((task) => (
+                                    <Tooltip key={task._id} title={`${task.title} · ${task.priority} · ${task.status}`}>
+                                        <Box
+                                            draggable={canEdit}
+                                            onDragStart={(event) => {
+                                                event.dataTransfer.effectAllowed = 'move';
+                                                event.dataTransfer.setData('text/plain', task._id);
+                                                setDraggingId(task._id);
+                                            }}
+                                            onDragEnd={() => {
+                                                setDraggingId(null);
+                                                setDropDay(null);
+                                            }}
+                                            onClick={() => setDetailTask(task)}
+                                            sx={{
+                                                mt: 0.5,
+                                                px: 0.75,
+                                                py: 0.25,
+                                                borderRadius: 1,
+                                                fontSize: 12,
+                                                color: 'common.white',
+                                                bgcolor: PRIORITY_COLORS[task.priority] || 'grey.500',
+                                                opacity: draggingId === task._id ? 0.4 : (task.status === 'Completed' ? 0.6 : 1),
+                                                textDecoration: task.status === 'Completed' ? 'line-through' : 'none',
+                                                whiteSpace: 'nowrap',
+                                                overflow: 'hidden',
+                                                textOverflow: 'ellipsis',
+                                                cursor: canEdit ? 'grab' : 'pointer'
+                                            }}
+                                        >
+                                            {task.title}
+                                        </Box>
+                                    </Tooltip>
+                                ))}
+                            </Box>
+                        );
+                    })}
+                </Paper>
+            </Container>
+
+            <TaskDetailDialog
+                open={!!detailTask}
+                onClose={() => setDetailTask(null)}
+                task={detailTask}
+                isOwner={currentRole === 'owner'}
+                canEdit={canEdit}
+                onOpenTask={handleOpenTask}
+                onTaskChange={setDetailTask}
+            />
+
+            <CalendarFeedDialog
+                open={feedOpen}
+                onClose={() => setFeedOpen(false)}
+                projectId={currentProjectId}
+            />
+        </Box>
+    );
+};
+
+export default Calendar;
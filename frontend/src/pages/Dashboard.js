@@ -19,18 +19,24 @@ import {
     CheckCircle as CheckCircleIcon,
     PendingActions as PendingIcon,
     TrendingUp as TrendingUpIcon,
-    Logout as LogoutIcon
+    Logout as LogoutIcon,
+    CalendarMonth as CalendarIcon
 } from '@mui/icons-material';
 import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { useAuth } from '../context/AuthContext';
+import { useProjects } from '../context/ProjectContext';
 import { analyticsAPI } from '../services/api';
 import { toast } from 'react-toastify';
+import ProjectSwitcher from '../components/ProjectSwitcher';
+import useTaskEvents from '../hooks/useTaskEvents';
+import { applyStatsEvent } from '../utils/taskEvents';
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042'];
 
 const Dashboard = () => {
     const navigate = useNavigate();
     const { user, logout } = useAuth();
+    const { currentProject, currentProjectId } = useProjects();
     const [stats, setStats] = useState(null);
     const [productivity, setProductivity] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -38,7 +44,7 @@ const Dashboard = () => {
 
     useEffect(() => {
         fetchAnalytics();
-    }, []);
+    }, [currentProjectId]);
 
     const fetchAnalytics = async () => {
         try {
@@ -46,8 +52,8 @@ const Dashboard = () => {
             setError('');
 
             const [statsResponse, productivityResponse] = await Promise.all([
-                analyticsAPI.getUserStats(user.id),
-                analyticsAPI.getProductivityAnalysis(user.id, 30)
+                analyticsAPI.getUserStats(user.id, currentProjectId),
+                analyticsAPI.getProductivityAnalysis(user.id, 30, currentProjectId)
             ]);
 
             setStats(statsResponse.data);
@@ -61,6 +67,14 @@ const Dashboard = () => {
         }
     };
 
+    // Keep the task counts live as tasks change; the trends reload with the page
+    useTaskEvents((event) => {
+        const inScope = (task) => (currentProjectId
+            ? task.project === currentProjectId
+            : !task.project && task.user === user.id);
+        setStats((prev) => (prev ? applyStatsEvent(prev, event, inScope) : prev));
+    }, () => fetchAnalytics());
+
     const handleLogout = () => {
         logout();
         toast.info('Logged out successfully');
@@ -114,9 +128,13 @@ const Dashboard = () => {
                     <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
                         Task Management Dashboard
                     </Typography>
+                    <ProjectSwitcher />
                     <Button color="inherit" onClick={() => navigate('/tasks')}>
                         My Tasks
                     </Button>
+                    <Button color="inherit" onClick={() => navigate('/calendar')} startIcon={<CalendarIcon />}>
+                        Calendar
+                    </Button>
                     <Button color="inherit" onClick={handleLogout} startIcon={<LogoutIcon />}>
                         Logout
                     </Button>
@@ -127,6 +145,11 @@ const Dashboard = () => {
                 <Typography variant="h4" gutterBottom>
                     Welcome, {user?.name}!
                 </Typography>
+                {currentProject && (
+                    <Typography variant="subtitle1" color="text.secondary" gutterBottom>
+                        Showing analytics for {currentProject.name}
+                    </Typography>
+                )}
 
                 {error && (
                     <Alert severity="warning" sx={{ mb: 3 }}>
@@ -236,24 +259,34 @@ const Dashboard = () => {
                                     30-Day Productivity Summary
                                 </Typography>
                                 <Grid container spacing={2}>
-                                    <Grid item xs={12} sm={4}>
+                                    <Grid item xs={12} sm={3}>
                                         <Typography variant="body2" color="text.secondary">
                                             Tasks Created
                                         </Typography>
                                         <Typography variant="h6">{productivity.total_tasks_created}</Typography>
                                     </Grid>
-                                    <Grid item xs={12} sm={4}>
+                                    <Grid item xs={12} sm={3}>
                                         <Typography variant="body2" color="text.secondary">
                                             Tasks Completed
                                         </Typography>
                                         <Typography variant="h6">{productivity.total_tasks_completed}</Typography>
                                     </Grid>
-                                    <Grid item xs={12} sm={4}>
+                                    <Grid item xs={12} sm={3}>
                                         <Typography variant="body2" color="text.secondary">
                                             Productivity Score
                                         </Typography>
                                         <Typography variant="h6">{productivity.productivity_score}%</Typography>
                                     </Grid>
+                                    <Grid item xs={12} sm={3}>
+                                        <Typography variant="body2" color="text.secondary">
+                                            Avg. Time to Complete
+                                        </Typography>
+                                        <Typography variant="h6">
+                                            {productivity.avg_completion_hours >= 48
+                                                ? `${Math.round(productivity.avg_completion_hours / 24)} days`
+                                                : `${productivity.avg_completion_hours} hours`}
+                                        </Typography>
+                                    </Grid>
                                 </Grid>
                             </Paper>
                         )}
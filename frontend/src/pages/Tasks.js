@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import {
     Container,
     Box,
@@ -13,57 +13,229 @@ import {
     InputAdornment,
     MenuItem,
     Fab,
-    CircularProgress
+    CircularProgress,
+    ToggleButton,
+    ToggleButtonGroup,
+    Alert
 } from '@mui/material';
 import {
     Add as AddIcon,
     Search as SearchIcon,
     Dashboard as DashboardIcon,
-    Logout as LogoutIcon
+    Logout as LogoutIcon,
+    DeleteOutline as TrashIcon,
+    FileDownload as ExportIcon,
+    FileUpload as ImportIcon,
+    ViewList as ListIcon,
+    ViewKanban as BoardIcon,
+    CalendarMonth as CalendarIcon,
+    LocalOffer as TagIcon
 } from '@mui/icons-material';
 import { useAuth } from '../context/AuthContext';
+import { useProjects, hasRole } from '../context/ProjectContext';
 import { tasksAPI } from '../services/api';
+import { saveList, loadList } from '../services/offlineStore';
+import * as taskSync from '../services/taskSync';
 import { toast } from 'react-toastify';
+import { format } from 'date-fns';
 import TaskItem from '../components/TaskItem';
 import TaskForm from '../components/TaskForm';
+import ProjectSwitcher from '../components/ProjectSwitcher';
+import TaskDetailDialog from '../components/TaskDetailDialog';
+import TrashDialog from '../components/TrashDialog';
+import BulkActionBar from '../components/BulkActionBar';
+import TaskBoard from '../components/TaskBoard';
+import ImportDialog from '../components/ImportDialog';
+import SavedViewsMenu from '../components/SavedViewsMenu';
+import TagManagerDialog from '../components/TagManagerDialog';
+import useDebounce from '../hooks/useDebounce';
+import useTaskEvents from '../hooks/useTaskEvents';
+import useOutbox from '../hooks/useOutbox';
+import { searchTerms } from '../utils/search';
+import { applyTaskEvent } from '../utils/taskEvents';
+import { applyOutbox, isLocalTask, toPendingTask } from '../utils/outbox';
+
+const PAGE_SIZE = 20;
+
+// The board shows every column at once, so it loads larger pages
+const BOARD_PAGE_SIZE = 100;
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY = 300;
+
+const QUEUED_MESSAGE = 'Saved on this device; it will sync when you are back online';
 
 const Tasks = () => {
     const navigate = useNavigate();
     const { user, logout } = useAuth();
+    const { projects, currentProject, currentProjectId, currentRole, selectProject } = useProjects();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const canEdit = hasRole(currentRole, 'editor');
     const [tasks, setTasks] = useState([]);
     const [loading, setLoading] = useState(true);
-    const [searchTerm, setSearchTerm] = useState('');
-    const [statusFilter, setStatusFilter] = useState('');
-    const [priorityFilter, setPriorityFilter] = useState('');
-    const [sortBy, setSortBy] = useState('createdAt');
-    const [sortOrder, setSortOrder] = useState('desc');
+    // Toolbar state starts from the URL so links reopen the same list
+    const [searchTerm, setSearchTerm] = useState(searchParams.get('q') || '');
+    const [queryError, setQueryError] = useState(null);
+    const [statusFilter, setStatusFilter] = useState(searchParams.get('status') || '');
+    const [priorityFilter, setPriorityFilter] = useState(searchParams.get('priority') || '');
+    const [peopleFilter, setPeopleFilter] = useState(searchParams.get('people') || '');
+    const [sortBy, setSortBy] = useState(searchParams.get('sortBy') || 'createdAt');
+    const [sortOrder, setSortOrder] = useState(searchParams.get('order') || 'desc');
     const [dialogOpen, setDialogOpen] = useState(false);
     const [editingTask, setEditingTask] = useState(null);
+    const [detailTask, setDetailTask] = useState(null);
+    const [trashOpen, setTrashOpen] = useState(false);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [bulkBusy, setBulkBusy] = useState(false);
+    const [view, setView] = useState(
+        searchParams.get('layout') || localStorage.getItem('taskView') || 'list'
+    );
+    const [importOpen, setImportOpen] = useState(false);
+    const [tagsOpen, setTagsOpen] = useState(false);
+    const [total, setTotal] = useState(0);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
+    // When the list on show was saved, if it came from the offline cache
+    const [cachedAt, setCachedAt] = useState(null);
+    const loadMoreRef = useRef(null);
+    // Project from the URL, switched to once the project list has loaded
+    const linkedProject = useRef(searchParams.get('project'));
+    const search = useDebounce(searchTerm.trim(), SEARCH_DELAY);
+    const highlightTerms = searchTerms(search);
+
+    // Relevance only applies while searching; otherwise fall back to newest first
+    const activeSort = sortBy === 'relevance' && !search ? 'createdAt' : sortBy;
+
+    useEffect(() => {
+        const projectId = linkedProject.current;
+        if (!projectId || projects.length === 0) return;
+
+        linkedProject.current = null;
+        if (projectId !== currentProjectId) {
+            selectProject(projectId);
+        }
+    }, [projects, currentProjectId, selectProject]);
 
+    // Mirror the toolbar state in the URL so it can be bookmarked or shared
     useEffect(() => {
-        fetchTasks();
-    }, [statusFilter, priorityFilter, searchTerm, sortBy, sortOrder]);
+        const params = new URLSearchParams();
+        const projectId = linkedProject.current || currentProjectId;
 
-    const fetchTasks = async () => {
+        if (projectId) params.set('project', projectId);
+        if (search) params.set('q', search);
+        if (statusFilter) params.set('status', statusFilter);
+        if (priorityFilter) params.set('priority', priorityFilter);
+        if (peopleFilter) params.set('people', peopleFilter);
+        params.set('sortBy', sortBy);
+        params.set('order', sortOrder);
+        params.set('layout', view);
+
+        if (params.toString() !== searchParams.toString()) {
+            setSearchParams(params, { replace: true });
+        }
+    }, [
+        currentProjectId, search, statusFilter, priorityFilter, peopleFilter,
+        sortBy, sortOrder, view, searchParams, setSearchParams
+    ]);
+
+    // Latest fetchTasks, so the effects below reload with the current filters
+    // without re-running on every render
+    const fetchTasksRef = useRef(null);
+
+    useEffect(() => {
+        setSelectedIds([]);
+        fetchTasksRef.current();
+    }, [currentProjectId, statusFilter, priorityFilter, peopleFilter, search, activeSort, sortOrder, view]);
+
+    // Load the next page when the sentinel below the list scrolls into view
+    useEffect(() => {
+        const sentinel = loadMoreRef.current;
+        if (!sentinel || !nextCursor || loadingMore) return undefined;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting) {
+                fetchTasksRef.current(nextCursor);
+            }
+        }, { rootMargin: '200px' });
+
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [nextCursor, loadingMore]);
+
+    // Query params for the current scope, filters and sort
+    const listParams = () => {
+        const board = view === 'board';
+        const params = {};
+
+        if (currentProjectId) params.project = currentProjectId;
+
+        // The board groups by status itself and keeps its own order
+        if (statusFilter && !board) params.status = statusFilter;
+        if (priorityFilter) params.priority = priorityFilter;
+        if (peopleFilter === 'assigned') params.assignee = 'me';
+        if (peopleFilter === 'created') params.createdBy = 'me';
+        if (search) params.q = search;
+        params.sortBy = board ? 'position' : activeSort;
+        params.order = board ? 'asc' : sortOrder;
+
+        return params;
+    };
+
+    const fetchTasks = async (cursor = null) => {
         try {
-            setLoading(true);
-            const params = {};
+            if (cursor) {
+                setLoadingMore(true);
+            } else {
+                setLoading(true);
+            }
+            const params = {
+                ...listParams(),
+                limit: view === 'board' ? BOARD_PAGE_SIZE : PAGE_SIZE
+            };
+            // First pages are kept on the device for when the network is down
+            const cacheKey = JSON.stringify(params);
+            if (cursor) params.cursor = cursor;
 
-            if (statusFilter) params.status = statusFilter;
-            if (priorityFilter) params.priority = priorityFilter;
-            if (searchTerm) params.search = searchTerm;
-            if (sortBy) params.sortBy = sortBy;
-            if (sortOrder) params.order = sortOrder;
+            let response;
+            try {
+                response = await tasksAPI.getTasks(params);
+            } catch (error) {
+                const cached = !cursor && taskSync.isNetworkError(error) && await loadList(cacheKey).catch(() => null);
+                if (!cached) throw error;
 
-            const response = await tasksAPI.getTasks(params);
-            setTasks(response.data.tasks);
+                setTasks(cached.tasks);
+                setTotal(cached.total);
+                setNextCursor(null);
+                setCachedAt(cached.savedAt);
+                return;
+            }
+            const { tasks: page, total: count, nextCursor: next } = response.data;
+
+            setTasks((prev) => (cursor ? [...prev, ...page] : page));
+            setTotal(count);
+            setNextCursor(next);
+            setQueryError(null);
+            if (!cursor) {
+                setCachedAt(null);
+                saveList(cacheKey, { tasks: page, total: count }).catch((error) => {
+                    console.error('Cache tasks error:', error);
+                });
+            }
         } catch (error) {
+            // A malformed query is reported under the search box, not as a toast
+            const data = error.response?.data;
+            if (error.response?.status === 400 && data?.position !== undefined) {
+                setQueryError(data);
+                return;
+            }
             console.error('Fetch tasks error:', error);
             toast.error('Failed to load tasks');
         } finally {
             setLoading(false);
+            setLoadingMore(false);
         }
     };
+    fetchTasksRef.current = fetchTasks;
 
     const handleCreateTask = () => {
         setEditingTask(null);
@@ -75,39 +247,308 @@ const Tasks = () => {
         setDialogOpen(true);
     };
 
+    const handleRestoreTask = async (taskId) => {
+        try {
+            await tasksAPI.restoreTask(taskId);
+            toast.success('Task restored');
+            fetchTasks();
+        } catch (error) {
+            console.error('Restore task error:', error);
+            toast.error('Failed to restore task');
+        }
+    };
+
+    // Deleted tasks go to the trash, so offer an undo instead of confirming first
     const handleDeleteTask = async (taskId) => {
-        if (window.confirm('Are you sure you want to delete this task?')) {
-            try {
-                await tasksAPI.deleteTask(taskId);
-                toast.success('Task deleted successfully');
+        try {
+            const response = await taskSync.deleteTask(shownTasks.find((t) => t._id === taskId));
+            if (!response) {
+                toast.info(QUEUED_MESSAGE);
+                return;
+            }
+            setTasks((prev) => prev.filter((t) => t._id !== taskId));
+            setTotal((prev) => prev - 1);
+            toast.success(({ closeToast }) => (
+                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1 }}>
+                    Task moved to trash
+                    <Button
+                        size="small"
+                        onClick={() => {
+                            closeToast();
+                            handleRestoreTask(taskId);
+                        }}
+                    >
+                        Undo
+                    </Button>
+                </Box>
+            ));
+        } catch (error) {
+            console.error('Delete task error:', error);
+            toast.error('Failed to delete task');
+        }
+    };
+
+    const toggleSelected = (taskId) => {
+        setSelectedIds((prev) => (
+            prev.includes(taskId) ? prev.filter((id) => id !== taskId) : [...prev, taskId]
+        ));
+    };
+
+    // Apply a bulk action to the selection; tasks that failed stay selected
+    const handleBulkAction = async (action, value) => {
+        setBulkBusy(true);
+        try {
+            const response = await tasksAPI.bulkUpdate(selectedIds, action, value);
+            const { succeeded, failed, results } = response.data;
+
+            if (succeeded > 0) {
+                toast.success(action === 'delete'
+                    ? `${succeeded} task${succeeded === 1 ? '' : 's'} moved to trash`
+                    : `${succeeded} task${succeeded === 1 ? '' : 's'} updated`);
+            }
+            if (failed > 0) {
+                const firstFailure = results.find((result) => !result.success);
+                toast.warning(`${failed} task${failed === 1 ? '' : 's'} could not be updated: ${firstFailure.message}`);
+            }
+            const spawned = results.filter((result) => result.nextTask).length;
+            if (spawned > 0) {
+                toast.info(`Scheduled the next occurrence of ${spawned} recurring task${spawned === 1 ? '' : 's'}`);
+            }
+
+            setSelectedIds(results.filter((result) => !result.success).map((result) => result.id));
+            fetchTasks();
+        } catch (error) {
+            console.error('Bulk action error:', error);
+            toast.error('Failed to apply bulk action');
+        } finally {
+            setBulkBusy(false);
+        }
+    };
+
+    // Download the tasks matching the current filters
+    const handleExport = async (fileType) => {
+        try {
+            const response = await tasksAPI.exportTasks({ ...listParams(), format: fileType });
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `tasks-${format(new Date(), 'yyyy-MM-dd')}.${fileType}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Export tasks error:', error);
+            toast.error('Failed to export tasks');
+        }
+    };
+
+    // Rank by relevance when a search starts, and stop when it is cleared
+    const handleSearchChange = (event) => {
+        const { value } = event.target;
+        if (value.trim() && !searchTerm.trim() && sortBy === 'createdAt') {
+            setSortBy('relevance');
+        } else if (!value.trim() && sortBy === 'relevance') {
+            setSortBy('createdAt');
+        }
+        setSearchTerm(value);
+    };
+
+    // Toolbar state a saved view stores
+    const currentViewState = () => ({
+        project: currentProjectId,
+        filters: {
+            q: searchTerm.trim(),
+            status: statusFilter,
+            priority: priorityFilter,
+            people: peopleFilter
+        },
+        sort: { sortBy, order: sortOrder },
+        layout: view
+    });
+
+    const handleApplyView = (savedView) => {
+        const projectId = savedView.project ? savedView.project._id : null;
+        if (projectId !== currentProjectId) {
+            selectProject(projectId);
+        }
+        setSearchTerm(savedView.filters.q);
+        setStatusFilter(savedView.filters.status);
+        setPriorityFilter(savedView.filters.priority);
+        setPeopleFilter(savedView.filters.people);
+        setSortBy(savedView.sort.sortBy);
+        setSortOrder(savedView.sort.order);
+        localStorage.setItem('taskView', savedView.layout);
+        setView(savedView.layout);
+    };
+
+    const handleViewChange = (event, value) => {
+        if (value) {
+            localStorage.setItem('taskView', value);
+            setView(value);
+        }
+    };
+
+    // Reorder locally straight away, then persist the move
+    const handleMoveTask = async (taskId, status, afterId, beforeId) => {
+        setTasks((prev) => {
+            const moving = prev.find((t) => t._id === taskId);
+            const rest = prev.filter((t) => t._id !== taskId);
+            let index = rest.length;
+            if (beforeId) {
+                index = rest.findIndex((t) => t._id === beforeId);
+            } else if (afterId) {
+                index = rest.findIndex((t) => t._id === afterId) + 1;
+            }
+            rest.splice(index, 0, { ...moving, status });
+            return rest;
+        });
+
+        try {
+            const response = await tasksAPI.moveTask(taskId, { status, afterId, beforeId });
+            if (response.data.rebalanced) {
                 fetchTasks();
-            } catch (error) {
-                console.error('Delete task error:', error);
-                toast.error('Failed to delete task');
+            } else {
+                handleTaskChange(response.data.task, response.data.nextTask);
             }
+        } catch (error) {
+            console.error('Move task error:', error);
+            toast.error(error.response?.data?.message || 'Failed to move task');
+            fetchTasks();
         }
     };
 
-    const handleTaskSubmit = async (taskData) => {
+    const notifyNextOccurrence = (nextTask) => {
+        if (nextTask) {
+            toast.info(`Next occurrence scheduled for ${format(new Date(nextTask.dueDate), 'MMM dd, yyyy')}`);
+        }
+    };
+
+    // Swap in a task returned by a per-task action without refetching the list
+    const handleTaskChange = (updatedTask, nextTask) => {
+        setTasks((prev) => prev.map((t) => (t._id === updatedTask._id ? updatedTask : t)));
+        if (nextTask) {
+            notifyNextOccurrence(nextTask);
+            fetchTasks();
+        }
+    };
+
+    // Open a task by ID, e.g. a blocker, loading it if it isn't on this page
+    const handleOpenTask = async (taskId) => {
+        const loaded = tasks.find((t) => t._id === taskId);
+        if (loaded) {
+            setDetailTask(loaded);
+            return;
+        }
         try {
+            const response = await tasksAPI.getTask(taskId);
+            setDetailTask(response.data.task);
+        } catch (error) {
+            console.error('Open task error:', error);
+            toast.error('Failed to load task');
+        }
+    };
+
+    // Dependency changes made from the detail dialog
+    const handleDetailTaskChange = (updatedTask) => {
+        handleTaskChange(updatedTask);
+        setDetailTask(updatedTask);
+    };
+
+    // Keep attachment counts in step with uploads made from the detail dialog
+    const handleAttachmentsChange = (taskId, attachmentCount) => {
+        setTasks((prev) => prev.map((t) => (t._id === taskId ? { ...t, attachmentCount } : t)));
+        setDetailTask((prev) => (prev && prev._id === taskId ? { ...prev, attachmentCount } : prev));
+    };
+
+    // Whether a task belongs in the list as currently scoped and filtered. Text
+    // searches can't be checked here, so searched lists only take updates.
+    const matchesList = (task) => {
+        // Outside a project the people filters span every task you can see
+        let inScope = !task.project && task.user === user.id;
+        if (currentProjectId) {
+            inScope = task.project === currentProjectId;
+        } else if (peopleFilter) {
+            inScope = true;
+        }
+
+        return inScope
+            && !task.deletedAt
+            && (!statusFilter || view === 'board' || task.status === statusFilter)
+            && (!priorityFilter || task.priority === priorityFilter)
+            && (peopleFilter !== 'assigned' || task.assignee?._id === user.id)
+            && (peopleFilter !== 'created' || task.user === user.id);
+    };
+
+    // Apply changes made in other tabs or by teammates without refetching
+    const handleTaskEvent = (event) => {
+        const present = tasks.some((t) => t._id === event.task._id);
+        if (search && !present) return;
+
+        const next = applyTaskEvent(tasks, event, {
+            matches: matchesList,
+            prepend: view === 'list' && activeSort === 'createdAt' && sortOrder === 'desc'
+        });
+        setTotal((count) => count + next.length - tasks.length);
+        setTasks(next);
+
+        if (!next.some((t) => t._id === event.task._id)) {
+            setSelectedIds((prev) => prev.filter((id) => id !== event.task._id));
+        }
+        if (event.type === 'updated') {
+            setDetailTask((prev) => (prev && prev._id === event.task._id ? event.task : prev));
+        }
+    };
+
+    useTaskEvents(handleTaskEvent, () => fetchTasks());
+
+    // Refresh from the server as queued changes reach it
+    const outbox = useOutbox(() => fetchTasks());
+    const shownTasks = applyOutbox(tasks, outbox.entries, matchesList);
+    // Tasks created offline can't be picked for bulk actions until they sync
+    const selectableIds = shownTasks.filter((task) => !isLocalTask(task)).map((task) => task._id);
+
+    // Without a connection the change is queued and shown as pending until it syncs
+    const handleTaskSubmit = async (taskData, version, formValues, idempotencyKey) => {
+        try {
+            const pending = toPendingTask(formValues);
+            let response;
             if (editingTask) {
-                await tasksAPI.updateTask(editingTask._id, taskData);
-                toast.success('Task updated successfully');
+                response = await taskSync.updateTask(editingTask, taskData, version, pending, idempotencyKey);
+                if (response) {
+                    toast.success('Task updated successfully');
+                    notifyNextOccurrence(response.data.nextTask);
+                }
             } else {
-                await tasksAPI.createTask(taskData);
-                toast.success('Task created successfully');
+                response = await taskSync.createTask(
+                    { ...taskData, project: currentProjectId },
+                    { ...pending, project: currentProjectId, user: user.id },
+                    idempotencyKey
+                );
+                if (response) {
+                    toast.success('Task created successfully');
+                }
             }
             setDialogOpen(false);
             setEditingTask(null);
-            fetchTasks();
+            if (response) {
+                fetchTasks();
+            } else {
+                toast.info(QUEUED_MESSAGE);
+            }
         } catch (error) {
-            console.error('Task submit error:', error);
-            toast.error(editingTask ? 'Failed to update task' : 'Failed to create task');
+            // TaskForm resolves edit conflicts against the server copy itself
+            if (!error.response?.data?.task) {
+                console.error('Task submit error:', error);
+                toast.error(error.response?.data?.message || (editingTask ? 'Failed to update task' : 'Failed to create task'));
+            }
             throw error;
         }
     };
 
     const handleLogout = () => {
+        if (outbox.entries.length > 0
+            && !window.confirm(`${outbox.entries.length} change(s) haven't synced yet and will be lost. Log out anyway?`)) {
+            return;
+        }
         logout();
         toast.info('Logged out successfully');
         navigate('/login');
@@ -118,8 +559,17 @@ const Tasks = () => {
             <AppBar position="static">
                 <Toolbar>
                     <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
-                        My Tasks
+                        {currentProject ? currentProject.name : 'My Tasks'}
                     </Typography>
+                    <ProjectSwitcher />
+                    {canEdit && (
+                        <Button color="inherit" onClick={() => setTrashOpen(true)} startIcon={<TrashIcon />}>
+                            Trash
+                        </Button>
+                    )}
+                    <Button color="inherit" onClick={() => navigate('/calendar')} startIcon={<CalendarIcon />}>
+                        Calendar
+                    </Button>
                     <Button color="inherit" onClick={() => navigate('/dashboard')} startIcon={<DashboardIcon />}>
                         Dashboard
                     </Button>
@@ -132,12 +582,16 @@ const Tasks = () => {
             <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
                 <Paper sx={{ p: 3, mb: 3 }}>
                     <Grid container spacing={2} alignItems="center">
-                        <Grid item xs={12} md={4}>
+                        <Grid item xs={12}>
                             <TextField
                                 fullWidth
-                                placeholder="Search tasks..."
+                                placeholder='Search or filter, e.g. status:"In Progress" priority:High due:<2026-11-01 -word'
                                 value={searchTerm}
-                                onChange={(e) => setSearchTerm(e.target.value)}
+                                onChange={handleSearchChange}
+                                error={Boolean(queryError)}
+                                helperText={queryError
+                                    ? `${queryError.message} (at character ${queryError.position + 1})`
+                                    : 'Filters: status, priority, due, created, assignee, createdBy, tag. Separate values with commas; prefix with - to exclude.'}
                                 InputProps={{
                                     startAdornment: (
                                         <InputAdornment position="start">
@@ -147,12 +601,26 @@ const Tasks = () => {
                                 }}
                             />
                         </Grid>
+                        <Grid item xs={12} sm={6} md={2}>
+                            <TextField
+                                fullWidth
+                                select
+                                label="People"
+                                value={peopleFilter}
+                                onChange={(e) => setPeopleFilter(e.target.value)}
+                            >
+                                <MenuItem value="">All</MenuItem>
+                                <MenuItem value="assigned">Assigned to me</MenuItem>
+                                <MenuItem value="created">Created by me</MenuItem>
+                            </TextField>
+                        </Grid>
                         <Grid item xs={12} sm={6} md={2}>
                             <TextField
                                 fullWidth
                                 select
                                 label="Status"
-                                value={statusFilter}
+                                value={view === 'board' ? '' : statusFilter}
+                                disabled={view === 'board'}
                                 onChange={(e) => setStatusFilter(e.target.value)}
                             >
                                 <MenuItem value="">All</MenuItem>
@@ -181,8 +649,10 @@ const Tasks = () => {
                                 select
                                 label="Sort By"
                                 value={sortBy}
+                                disabled={view === 'board'}
                                 onChange={(e) => setSortBy(e.target.value)}
                             >
+                                <MenuItem value="relevance" disabled={!search}>Relevance</MenuItem>
                                 <MenuItem value="createdAt">Created Date</MenuItem>
                                 <MenuItem value="dueDate">Due Date</MenuItem>
                                 <MenuItem value="priority">Priority</MenuItem>
@@ -195,53 +665,144 @@ const Tasks = () => {
                                 select
                                 label="Order"
                                 value={sortOrder}
+                                disabled={view === 'board' || activeSort === 'relevance'}
                                 onChange={(e) => setSortOrder(e.target.value)}
                             >
                                 <MenuItem value="asc">Ascending</MenuItem>
                                 <MenuItem value="desc">Descending</MenuItem>
                             </TextField>
                         </Grid>
+                        <Grid item xs={12} sm={6} md={2}>
+                            <ToggleButtonGroup
+                                exclusive
+                                fullWidth
+                                value={view}
+                                onChange={handleViewChange}
+                                aria-label="task view"
+                            >
+                                <ToggleButton value="list" aria-label="list view">
+                                    <ListIcon />
+                                </ToggleButton>
+                                <ToggleButton value="board" aria-label="board view">
+                                    <BoardIcon />
+                                </ToggleButton>
+                            </ToggleButtonGroup>
+                        </Grid>
+                        <Grid item xs={12} sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 1 }}>
+                            <SavedViewsMenu current={currentViewState()} onApply={handleApplyView} />
+                            <Box sx={{ flexGrow: 1 }} />
+                            <Button size="small" startIcon={<ExportIcon />} onClick={() => handleExport('csv')}>
+                                Export CSV
+                            </Button>
+                            <Button size="small" startIcon={<ExportIcon />} onClick={() => handleExport('json')}>
+                                Export JSON
+                            </Button>
+                            {canEdit && (
+                                <Button size="small" startIcon={<ImportIcon />} onClick={() => setImportOpen(true)}>
+                                    Import
+                                </Button>
+                            )}
+                            {canEdit && (
+                                <Button size="small" startIcon={<TagIcon />} onClick={() => setTagsOpen(true)}>
+                                    Tags
+                                </Button>
+                            )}
+                        </Grid>
                     </Grid>
                 </Paper>
 
+                {(!outbox.online || cachedAt) && (
+                    <Alert severity="warning" sx={{ mb: 2 }}>
+                        {cachedAt
+                            ? `You're offline. Showing tasks saved ${format(new Date(cachedAt), 'MMM dd, HH:mm')}.`
+                            : 'You\'re offline.'}
+                        {' '}Changes are kept on this device and sync when you reconnect.
+                    </Alert>
+                )}
                 {loading ? (
                     <Box sx={{ display: 'flex', justifyContent: 'center', py: 5 }}>
                         <CircularProgress />
                     </Box>
-                ) : tasks.length === 0 ? (
+                ) : shownTasks.length === 0 ? (
                     <Paper sx={{ p: 5, textAlign: 'center' }}>
                         <Typography variant="h6" color="text.secondary">
                             No tasks found
                         </Typography>
                         <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
-                            {searchTerm || statusFilter || priorityFilter
+                            {searchTerm || statusFilter || priorityFilter || peopleFilter
                                 ? 'Try adjusting your filters'
-                                : 'Create your first task to get started'}
+                                : canEdit
+                                    ? 'Create your first task to get started'
+                                    : 'This project has no tasks yet'}
                         </Typography>
                     </Paper>
                 ) : (
-                    <Grid container spacing={2}>
-                        {tasks.map((task) => (
-                            <Grid item xs={12} key={task._id}>
-                                <TaskItem
-                                    task={task}
-                                    onEdit={handleEditTask}
-                                    onDelete={handleDeleteTask}
-                                />
+                    <>
+                        {canEdit && view === 'list' && selectedIds.length > 0 && (
+                            <BulkActionBar
+                                selectedCount={selectedIds.length}
+                                totalCount={selectableIds.length}
+                                onSelectAll={() => setSelectedIds(selectableIds)}
+                                onClear={() => setSelectedIds([])}
+                                onAction={handleBulkAction}
+                                busy={bulkBusy}
+                            />
+                        )}
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                            Showing {shownTasks.length} of {total} tasks
+                        </Typography>
+                        {view === 'board' ? (
+                            <TaskBoard
+                                tasks={shownTasks}
+                                onMove={handleMoveTask}
+                                onOpen={setDetailTask}
+                                canEdit={canEdit}
+                            />
+                        ) : (
+                            <Grid container spacing={2}>
+                                {shownTasks.map((task) => (
+                                    <Grid item xs={12} key={task._id}>
+                                        <TaskItem
+                                            task={task}
+                                            onEdit={handleEditTask}
+                                            onDelete={handleDeleteTask}
+                                            onOpen={setDetailTask}
+                                            onOpenTask={handleOpenTask}
+                                            onTaskChange={handleTaskChange}
+                                            canEdit={canEdit}
+                                            selected={selectedIds.includes(task._id)}
+                                            onSelect={canEdit ? toggleSelected : undefined}
+                                            highlight={highlightTerms}
+                                        />
+                                    </Grid>
+                                ))}
                             </Grid>
-                        ))}
-                    </Grid>
+                        )}
+                        {nextCursor && (
+                            <Box ref={loadMoreRef} sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+                                {loadingMore ? (
+                                    <CircularProgress size={28} />
+                                ) : (
+                                    <Button variant="outlined" onClick={() => fetchTasks(nextCursor)}>
+                                        Load more
+                                    </Button>
+                                )}
+                            </Box>
+                        )}
+                    </>
                 )}
             </Container>
 
-            <Fab
-                color="primary"
-                aria-label="add"
-                sx={{ position: 'fixed', bottom: 16, right: 16 }}
-                onClick={handleCreateTask}
-            >
-                <AddIcon />
-            </Fab>
+            {canEdit && (
+                <Fab
+                    color="primary"
+                    aria-label="add"
+                    sx={{ position: 'fixed', bottom: 16, right: 16 }}
+                    onClick={handleCreateTask}
+                >
+                    <AddIcon />
+                </Fab>
+            )}
 
             <TaskForm
                 open={dialogOpen}
@@ -251,6 +812,39 @@ const Tasks = () => {
                 }}
                 onSubmit={handleTaskSubmit}
                 task={editingTask}
+                projectId={editingTask ? editingTask.project : currentProjectId}
+            />
+
+            <TaskDetailDialog
+                open={!!detailTask}
+                onClose={() => setDetailTask(null)}
+                task={detailTask}
+                isOwner={currentRole === 'owner'}
+                canEdit={canEdit}
+                onAttachmentsChange={handleAttachmentsChange}
+                onOpenTask={handleOpenTask}
+                onTaskChange={handleDetailTaskChange}
+            />
+
+            <ImportDialog
+                open={importOpen}
+                onClose={() => setImportOpen(false)}
+                projectId={currentProjectId}
+                onImported={() => fetchTasks()}
+            />
+
+            <TagManagerDialog
+                open={tagsOpen}
+                onClose={() => setTagsOpen(false)}
+                projectId={currentProjectId}
+                onChange={() => fetchTasks()}
+            />
+
+            <TrashDialog
+                open={trashOpen}
+                onClose={() => setTrashOpen(false)}
+                projectId={currentProjectId}
+                onRestore={() => fetchTasks()}
             />
         </Box>
     );
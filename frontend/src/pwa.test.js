@@ -0,0 +1,31 @@
+import fs from 'fs';
+import path from 'path';
+
+// The installable app needs index.html to link a manifest whose files exist
+const publicDir = path.join(__dirname, '..', 'public');
+const readPublic = (file) => fs.readFileSync(path.join(publicDir, file), 'utf8');
+
+const linkedFile = (doc, rel) => {
+    const link = doc.querySelector(`link[rel="${rel}"]`);
+    return link && link.getAttribute('href').replace('%PUBLIC_URL%/', '');
+};
+
+describe('PWA setup', () => {
+    const doc = new DOMParser().parseFromString(readPublic('index.html'), 'text/html');
+
+    it('links the web app manifest and its icons', () => {
+        const manifestFile = linkedFile(doc, 'manifest');
+        const manifest = JSON.parse(readPublic(manifestFile));
+
+        expect(manifestFile).toBe('manifest.json');
+        expect(manifest).toMatchObject({ display: 'standalone', start_url: '/' });
+        expect(manifest.icons.map((icon) => icon.sizes)).toEqual(expect.arrayContaining(['192x192', '512x512']));
+        manifest.icons.forEach((icon) => {
+            expect(fs.existsSync(path.join(publicDir, icon.src))).toBe(true);
+        });
+    });
+
+    it('links an icon for the iOS home screen', () => {
+        expect(fs.existsSync(path.join(publicDir, linkedFile(doc, 'apple-touch-icon')))).toBe(true);
+    });
+});
@@ -0,0 +1,14 @@
+// Register the service worker that caches the app shell, so the app opens
+// and can be installed without a connection. Only production builds have
+// stable asset names worth caching; in development it would serve stale code.
+const registerServiceWorker = () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker
+            .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+            .catch((error) => console.error('Service worker registration error:', error));
+    });
+};
+
+export default registerServiceWorker;
@@ -1,9 +1,10 @@
 import axios from 'axios';
 
-// Create axios instances
+export const API_URL = process.env.REACT_APP_API_URL || '/api';
+
 // Create axios instances
 const api = axios.create({
-    baseURL: process.env.REACT_APP_API_URL || '/api',
+    baseURL: API_URL,
     headers: {
         'Content-Type': 'application/json'
     }
@@ -30,14 +31,100 @@ api.interceptors.request.use(
     }
 );
 
-// Response interceptor for error handling
+// Task changes carry an Idempotency-Key so the server applies a repeated
+// request only once. Callers that may send the same change again later pass
+// their own key; otherwise each request gets a fresh one, which the retry
+// after a token refresh below keeps, as it reuses the request's headers.
+// File uploads go without one, as the server can't match their bodies.
+const IDEMPOTENT_METHODS = ['post', 'put', 'patch', 'delete'];
+
+export const newIdempotencyKey = () => (window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+api.interceptors.request.use((config) => {
+    if (IDEMPOTENT_METHODS.includes(config.method)
+        && config.url.startsWith('/tasks')
+        && !(config.data instanceof FormData)
+        && !config.headers['Idempotency-Key']) {
+        config.headers['Idempotency-Key'] = newIdempotencyKey();
+    }
+    return config;
+});
+
+const keyHeader = (idempotencyKey) => (idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {});
+
+const clearSession = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+};
+
+// Tabs share one refresh token through localStorage, and each can be used
+// only once, so refreshes run one at a time across tabs under this lock
+const REFRESH_LOCK = 'auth-refresh';
+
+// Rotate `spentToken`, unless another tab already did while this one waited
+// for the lock, in which case its new tokens are used instead
+const rotateRefreshToken = async (spentToken) => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+        throw new Error('No refresh token');
+    }
+    if (refreshToken !== spentToken) {
+        return localStorage.getItem('token');
+    }
+
+    const response = await api.post('/auth/refresh', { refreshToken });
+    const { token, refreshToken: nextRefreshToken } = response.data;
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', nextRefreshToken);
+    return token;
+};
+
+// Shared so that concurrent 401s in this tab trigger a single refresh
+let refreshPromise = null;
+
+export const refreshAccessToken = () => {
+    if (!refreshPromise) {
+        const refreshToken = localStorage.getItem('refreshToken');
+        const rotate = () => rotateRefreshToken(refreshToken);
+
+        // Browsers without Web Locks fall back to refreshing per tab
+        refreshPromise = (navigator.locks ? navigator.locks.request(REFRESH_LOCK, rotate) : rotate())
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+};
+
+// Whether a failed refresh means the session is over: the server turned the
+// refresh token down, or there is none. Being offline or a server error
+// doesn't end it, so offline changes keep queueing and the refresh is retried.
+export const isSessionEnded = (error) => !localStorage.getItem('refreshToken')
+    || [401, 403].includes(error.response?.status);
+
+// Response interceptor: refresh the access token once, then retry
 api.interceptors.response.use(
     (response) => response,
-    (error) => {
-        if (error.response?.status === 401) {
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
-            window.location.href = '/login';
+    async (error) => {
+        const originalRequest = error.config;
+        const isAuthRoute = originalRequest?.url?.startsWith('/auth/');
+
+        if (error.response?.status === 401 && !isAuthRoute && !originalRequest._retry) {
+            originalRequest._retry = true;
+            try {
+                const token = await refreshAccessToken();
+                originalRequest.headers.Authorization = `Bearer ${token}`;
+                return api(originalRequest);
+            } catch (refreshError) {
+                if (!isSessionEnded(refreshError)) {
+                    return Promise.reject(refreshError);
+                }
+                clearSession();
+                window.location.href = '/login';
+            }
         }
         return Promise.reject(error);
     }
@@ -47,6 +134,7 @@ api.interceptors.response.use(
 export const authAPI = {
     register: (userData) => api.post('/auth/register', userData),
     login: (credentials) => api.post('/auth/login', credentials),
+    logout: (refreshToken) => api.post('/auth/logout', { refreshToken }),
     getCurrentUser: () => api.get('/auth/me')
 };
 
@@ -54,16 +142,112 @@ export const authAPI = {
 export const tasksAPI = {
     getTasks: (params) => api.get('/tasks', { params }),
     getTask: (id) => api.get(`/tasks/${id}`),
-    createTask: (taskData) => api.post('/tasks', taskData),
-    updateTask: (id, taskData) => api.put(`/tasks/${id}`, taskData),
-    deleteTask: (id) => api.delete(`/tasks/${id}`)
+    // Repeating a change with the same key returns the first response
+    createTask: (taskData, idempotencyKey) => api.post('/tasks', taskData, {
+        headers: keyHeader(idempotencyKey)
+    }),
+    // With a version, the server refuses (409) to overwrite newer changes
+    updateTask: (id, taskData, version, idempotencyKey) => api.put(`/tasks/${id}`, taskData, {
+        headers: {
+            ...keyHeader(idempotencyKey),
+            ...(version === undefined ? {} : { 'If-Match': `"${version}"` })
+        }
+    }),
+    // JSON Merge Patch: only the fields given change, null clears a field
+    patchTask: (id, changes, idempotencyKey) => api.patch(`/tasks/${id}`, changes, {
+        headers: { ...keyHeader(idempotencyKey), 'Content-Type': 'application/merge-patch+json' }
+    }),
+    deleteTask: (id, idempotencyKey) => api.delete(`/tasks/${id}`, {
+        headers: keyHeader(idempotencyKey)
+    }),
+    bulkUpdate: (ids, action, value) => api.post('/tasks/bulk', { ids, action, value }),
+    moveTask: (id, move) => api.post(`/tasks/${id}/move`, move),
+    exportTasks: (params) => api.get('/tasks/export', { params, responseType: 'blob' }),
+    importTasks: (file, params) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        return api.post('/tasks/import', formData, {
+            params,
+            headers: { 'Content-Type': 'multipart/form-data' }
+        });
+    },
+    getTrash: (projectId) => api.get('/tasks/trash', { params: projectId ? { project: projectId } : {} }),
+    restoreTask: (id) => api.post(`/tasks/${id}/restore`),
+    addChecklistItem: (id, title) => api.post(`/tasks/${id}/checklist`, { title }),
+    updateChecklistItem: (id, itemId, changes) => api.patch(`/tasks/${id}/checklist/${itemId}`, changes),
+    reorderChecklist: (id, itemIds) => api.put(`/tasks/${id}/checklist/order`, { itemIds }),
+    removeChecklistItem: (id, itemId) => api.delete(`/tasks/${id}/checklist/${itemId}`),
+    getHistory: (id) => api.get(`/tasks/${id}/history`),
+    getComments: (id) => api.get(`/tasks/${id}/comments`),
+    addComment: (id, body) => api.post(`/tasks/${id}/comments`, { body }),
+    updateComment: (id, commentId, body) => api.patch(`/tasks/${id}/comments/${commentId}`, { body }),
+    deleteComment: (id, commentId) => api.delete(`/tasks/${id}/comments/${commentId}`),
+    getAttachments: (id) => api.get(`/tasks/${id}/attachments`),
+    uploadAttachment: (id, file, onUploadProgress) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        return api.post(`/tasks/${id}/attachments`, formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress
+        });
+    },
+    downloadAttachment: (id, attachmentId, inline = false) => api.get(
+        `/tasks/${id}/attachments/${attachmentId}/download`,
+        { params: inline ? { inline: true } : {}, responseType: 'blob' }
+    ),
+    deleteAttachment: (id, attachmentId) => api.delete(`/tasks/${id}/attachments/${attachmentId}`),
+    getDependencies: (id) => api.get(`/tasks/${id}/dependencies`),
+    addDependency: (id, blockerId) => api.post(`/tasks/${id}/dependencies`, { blockerId }),
+    removeDependency: (id, blockerId) => api.delete(`/tasks/${id}/dependencies/${blockerId}`)
+};
+
+// Projects API
+export const projectsAPI = {
+    getProjects: () => api.get('/projects'),
+    getProject: (id) => api.get(`/projects/${id}`),
+    createProject: (projectData) => api.post('/projects', projectData),
+    updateProject: (id, projectData) => api.put(`/projects/${id}`, projectData),
+    deleteProject: (id) => api.delete(`/projects/${id}`),
+    addMember: (id, memberData) => api.post(`/projects/${id}/members`, memberData),
+    updateMember: (id, userId, role) => api.put(`/projects/${id}/members/${userId}`, { role }),
+    removeMember: (id, userId) => api.delete(`/projects/${id}/members/${userId}`)
+};
+
+// Users API
+export const usersAPI = {
+    search: (q, projectId) =>
+        api.get('/users/search', { params: projectId ? { q, project: projectId } : { q } }),
+    getCalendarFeed: () => api.get('/users/calendar-feed'),
+    rotateCalendarFeed: () => api.post('/users/calendar-feed/rotate')
+};
+
+// Tags API
+export const tagsAPI = {
+    getTags: (projectId) => api.get('/tags', { params: projectId ? { project: projectId } : {} }),
+    createTag: (tagData) => api.post('/tags', tagData),
+    updateTag: (id, changes) => api.put(`/tags/${id}`, changes),
+    mergeTag: (id, intoId) => api.post(`/tags/${id}/merge`, { into: intoId }),
+    deleteTag: (id) => api.delete(`/tags/${id}`)
+};
+
+// Saved views API
+export const viewsAPI = {
+    getViews: () => api.get('/views'),
+    createView: (viewData) => api.post('/views', viewData),
+    updateView: (id, viewData) => api.put(`/views/${id}`, viewData),
+    deleteView: (id) => api.delete(`/views/${id}`)
 };
 
 // Analytics API
 export const analyticsAPI = {
-    getUserStats: (userId) => analyticsApi.get(`/analytics/user-stats/${userId}`),
-    getProductivityAnalysis: (userId, days = 30) =>
-        analyticsApi.get(`/analytics/productivity/${userId}`, { params: { days } })
+    getUserStats: (userId, projectId) =>
+        analyticsApi.get(`/analytics/user-stats/${userId}`, {
+            params: projectId ? { project_id: projectId } : {}
+        }),
+    getProductivityAnalysis: (userId, days = 30, projectId) =>
+        analyticsApi.get(`/analytics/productivity/${userId}`, {
+            params: projectId ? { days, project_id: projectId } : { days }
+        })
 };
 
 export default api;
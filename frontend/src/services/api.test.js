@@ -0,0 +1,123 @@
+jest.mock('axios', () => {
+    const instance = {
+        post: jest.fn(),
+        interceptors: {
+            request: { use: () => {} },
+            // Kept so tests can run the 401 handling
+            response: {
+                use: (onFulfilled, onRejected) => {
+                    instance.onResponseError = onRejected;
+                }
+            }
+        }
+    };
+    return { create: () => instance };
+});
+
+// Web Locks stand-in that runs callbacks one at a time, as across tabs
+const fakeLocks = () => {
+    let queue = Promise.resolve();
+    return {
+        request: (name, callback) => {
+            const run = queue.then(callback);
+            queue = run.catch(() => {});
+            return run;
+        }
+    };
+};
+
+describe('refreshAccessToken', () => {
+    let api;
+    let refreshAccessToken;
+
+    beforeEach(() => {
+        jest.resetModules();
+        localStorage.clear();
+        localStorage.setItem('token', 'access-1');
+        localStorage.setItem('refreshToken', 'refresh-1');
+        navigator.locks = fakeLocks();
+        api = require('axios').create();
+        ({ refreshAccessToken } = require('./api'));
+    });
+
+    afterEach(() => {
+        delete navigator.locks;
+    });
+
+    it('rotates the refresh token once for concurrent callers', async () => {
+        api.post.mockResolvedValue({ data: { token: 'access-2', refreshToken: 'refresh-2' } });
+
+        const tokens = await Promise.all([refreshAccessToken(), refreshAccessToken()]);
+
+        expect(tokens).toEqual(['access-2', 'access-2']);
+        expect(api.post).toHaveBeenCalledTimes(1);
+        expect(api.post).toHaveBeenCalledWith('/auth/refresh', { refreshToken: 'refresh-1' });
+        expect(localStorage.getItem('refreshToken')).toBe('refresh-2');
+    });
+
+    it('uses the tokens another tab stored while it held the lock', async () => {
+        let releaseOtherTab;
+        const otherTab = new Promise((resolve) => {
+            releaseOtherTab = resolve;
+        });
+        navigator.locks.request('auth-refresh', () => otherTab);
+
+        const refreshed = refreshAccessToken();
+        localStorage.setItem('token', 'access-2');
+        localStorage.setItem('refreshToken', 'refresh-2');
+        releaseOtherTab();
+
+        expect(await refreshed).toBe('access-2');
+        expect(api.post).not.toHaveBeenCalled();
+    });
+
+    it('fails without a refresh token', async () => {
+        localStorage.removeItem('refreshToken');
+
+        await expect(refreshAccessToken()).rejects.toThrow('No refresh token');
+        expect(api.post).not.toHaveBeenCalled();
+    });
+});
+
+describe('expired access token', () => {
+    let api;
+
+    const unauthorized = () => Object.assign(new Error('Unauthorized'), {
+        config: { url: '/tasks', headers: {} },
+        response: { status: 401 }
+    });
+
+    beforeEach(() => {
+        jest.resetModules();
+        localStorage.clear();
+        localStorage.setItem('token', 'access-1');
+        localStorage.setItem('refreshToken', 'refresh-1');
+        api = require('axios').create();
+        require('./api');
+    });
+
+    it('keeps the session when the refresh fails offline', async () => {
+        const offline = new Error('Network Error');
+        api.post.mockRejectedValue(offline);
+
+        await expect(api.onResponseError(unauthorized())).rejects.toBe(offline);
+        expect(localStorage.getItem('refreshToken')).toBe('refresh-1');
+    });
+
+    it('keeps the session when the server fails to refresh', async () => {
+        api.post.mockRejectedValue(Object.assign(new Error('Server error'), { response: { status: 503 } }));
+
+        await expect(api.onResponseError(unauthorized())).rejects.toThrow('Server error');
+        expect(localStorage.getItem('token')).toBe('access-1');
+    });
+
+    it('ends the session when the refresh token is refused', async () => {
+        api.post.mockRejectedValue(Object.assign(new Error('Refused'), { response: { status: 401 } }));
+        // jsdom can't follow the redirect to the login page
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(api.onResponseError(unauthorized())).rejects.toThrow('Unauthorized');
+        expect(localStorage.getItem('token')).toBeNull();
+        expect(localStorage.getItem('refreshToken')).toBeNull();
+    });
+});
@@ -0,0 +1,55 @@
+// IndexedDB storage for working offline: `lists` holds the last copy of each
+// task list fetched, keyed by its filters, and `outbox` the task changes
+// waiting to be sent to the server, in the order they were made.
+const DB_NAME = 'task-manager';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('lists');
+                db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+// Run one store request in its own transaction, resolving with its result
+// once the transaction has committed
+const run = async (storeName, mode, makeRequest) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+};
+
+export const saveList = (key, list) => run('lists', 'readwrite', (store) => store.put({ ...list, savedAt: Date.now() }, key));
+
+export const loadList = (key) => run('lists', 'readonly', (store) => store.get(key));
+
+export const getOutbox = () => run('outbox', 'readonly', (store) => store.getAll());
+
+// Add or replace an outbox entry, resolving with its id
+export const putOutboxEntry = (entry) => run('outbox', 'readwrite', (store) => store.put(entry));
+
+export const deleteOutboxEntry = (id) => run('outbox', 'readwrite', (store) => store.delete(id));
+
+// Forget everything stored for the signed-in user
+export const clearOfflineData = async () => {
+    await run('lists', 'readwrite', (store) => store.clear());
+    await run('outbox', 'readwrite', (store) => store.clear());
+};
@@ -0,0 +1,312 @@
+import { tasksAPI, newIdempotencyKey } from './api';
+import { getOutbox, putOutboxEntry, deleteOutboxEntry, clearOfflineData } from './offlineStore';
+import { LOCAL_ID_PREFIX, isLocalTask, toPendingTask } from '../utils/outbox';
+import { mergeTaskForms } from '../utils/taskConflicts';
+import { toFormData, toPayload } from '../utils/taskForm';
+
+// Try the outbox again this often while changes are waiting
+const RETRY_INTERVAL = 30 * 1000;
+
+// Outbox entries, mirrored from IndexedDB: { id, type ('create', 'update',
+// 'patch' or 'delete'), taskId, payload, version, base (for updates, the task
+// the edit was made to), key (its Idempotency-Key), sent (whether it may have
+// reached the server under that key), task (the copy shown until it syncs),
+// status ('pending' or 'failed'), error, conflict (for an update someone else
+// overtook: { conflicts, merged, theirs, current }) }
+let entries = [];
+const listeners = new Set();
+let syncing = null;
+
+const setEntries = (next, synced = false) => {
+    entries = next;
+    listeners.forEach((listener) => listener(entries, synced));
+};
+
+// Follow the outbox: `listener(entries, synced)` runs now and on every
+// change, with `synced` set when a change has just reached the server
+export const subscribeOutbox = (listener) => {
+    listeners.add(listener);
+    listener(entries, false);
+    return () => listeners.delete(listener);
+};
+
+// A request that got no answer (offline, server unreachable), as opposed to
+// one the server refused
+export const isNetworkError = (error) => !error.response;
+
+const save = async (entry) => {
+    const id = await putOutboxEntry(entry);
+    const saved = { ...entry, id };
+    setEntries(entries.some((e) => e.id === id)
+        ? entries.map((e) => (e.id === id ? saved : e))
+        : [...entries, saved]);
+    return saved;
+};
+
+const remove = async (entry, synced = false) => {
+    await deleteOutboxEntry(entry.id);
+    setEntries(entries.filter((e) => e.id !== entry.id), synced);
+};
+
+// Queue a change, folding it into the change already waiting for the same
+// task: edits merge into a queued create or edit, and a delete replaces them
+// (or cancels a create that never synced). Changes that may have reached the
+// server keep their payload, as their key must be replayed with it unchanged.
+const enqueue = async (change) => {
+    const queued = entries.find((e) => e.taskId === change.taskId && !e.sent);
+    if (!queued) {
+        return save({ ...change, status: 'pending', error: null });
+    }
+
+    if (change.type === 'delete') {
+        return queued.type === 'create'
+            ? remove(queued)
+            : save({ ...queued, type: 'delete', payload: null, task: change.task, status: 'pending', error: null });
+    }
+    return save({
+        ...queued,
+        type: queued.type === 'patch' ? change.type : queued.type,
+        payload: { ...queued.payload, ...change.payload },
+        version: queued.version ?? change.version,
+        base: queued.base ?? change.base,
+        task: change.task,
+        status: 'pending',
+        error: null
+    });
+};
+
+const send = (entry) => {
+    switch (entry.type) {
+        case 'create':
+            return tasksAPI.createTask(entry.payload, entry.key);
+        case 'update':
+            return tasksAPI.updateTask(entry.taskId, entry.payload, entry.version, entry.key);
+        case 'patch':
+            return tasksAPI.patchTask(entry.taskId, entry.payload, entry.key);
+        default:
+            return tasksAPI.deleteTask(entry.taskId, entry.key);
+    }
+};
+
+// Send a change now, or queue it when offline or when earlier changes to the
+// task are still waiting. Resolves with the response, or null when queued.
+// A change that failed to send is queued under the same key, so if it did
+// reach the server the replay gets its response instead of applying it twice.
+const sendOrQueue = async (change) => {
+    // The same submission again, e.g. a double click while offline
+    if (entries.some((e) => e.key === change.key)) return null;
+
+    let sent = false;
+    if (!entries.some((e) => e.taskId === change.taskId)) {
+        try {
+            return await send(change);
+        } catch (error) {
+            if (!isNetworkError(error)) throw error;
+            sent = true;
+        }
+    }
+    await enqueue({ ...change, sent });
+    syncOutbox();
+    return null;
+};
+
+// `key` identifies the submission, so submitting the same form twice creates
+// one task; the task goes by a local ID derived from it until it syncs
+export const createTask = (payload, task, key = newIdempotencyKey()) => {
+    const taskId = `${LOCAL_ID_PREFIX}${key}`;
+    const now = new Date().toISOString();
+
+    return sendOrQueue({
+        type: 'create',
+        taskId,
+        payload,
+        key,
+        task: { ...task, _id: taskId, createdAt: now, updatedAt: now }
+    });
+};
+
+export const updateTask = (task, payload, version, changed, key = newIdempotencyKey()) => sendOrQueue({
+    type: 'update',
+    taskId: task._id,
+    payload,
+    version,
+    base: task,
+    key,
+    task: { ...task, ...changed }
+});
+
+export const patchTask = (task, changes) => sendOrQueue({
+    type: 'patch',
+    taskId: task._id,
+    payload: changes,
+    key: newIdempotencyKey(),
+    task: { ...task, ...changes }
+});
+
+export const deleteTask = (task) => sendOrQueue({
+    type: 'delete',
+    taskId: task._id,
+    key: newIdempotencyKey(),
+    task
+});
+
+// Point the changes queued for a task created offline at its real ID
+const retarget = async (localId, taskId) => {
+    for (const later of entries.filter((e) => e.taskId === localId && e.type !== 'create')) {
+        await save({ ...later, taskId });
+    }
+};
+
+// Point a queued edit at the current server copy of its task, as the form
+// values `form`, ready to be sent again
+const rebase = (entry, current, form) => save({
+    ...entry,
+    payload: toPayload(form),
+    version: current.version,
+    base: current,
+    task: { ...current, ...toPendingTask(form) },
+    key: newIdempotencyKey(),
+    status: 'pending',
+    error: null,
+    conflict: null
+});
+
+// Someone else saved the task after the queued edit was made. As in the task
+// form, their changes are merged in and the edit is sent again, unless you
+// both changed the same field: then it waits for the conflict dialog.
+const resolveAgainst = async (entry, current) => {
+    const theirs = toFormData(current);
+    const { merged, conflicts } = mergeTaskForms(toFormData(entry.base), toFormData(entry.task), theirs);
+
+    if (conflicts.length === 0) {
+        return sendEntry(await rebase(entry, current, merged));
+    }
+    await save({
+        ...entry,
+        status: 'failed',
+        error: 'Someone else changed this task while you were offline',
+        conflict: { conflicts, merged, theirs, current }
+    });
+    return true;
+};
+
+// Send one entry, removing it once the server has it. Resolves false when
+// the network is down, so the rest of the outbox waits too.
+const sendEntry = async (entry) => {
+    if (!entry.sent) {
+        // From here on later changes queue behind it instead of merging in
+        entry = await save({ ...entry, sent: true });
+    }
+    try {
+        const response = await send(entry);
+        if (entry.type === 'create') {
+            await retarget(entry.taskId, response.data.task._id);
+        }
+    } catch (error) {
+        if (isNetworkError(error)) return false;
+
+        const current = error.response.status === 409 && error.response.data?.task;
+        if (current && entry.base) {
+            return resolveAgainst(entry, current);
+        }
+
+        // Deleting a task that is already gone has done its job
+        if (!(entry.type === 'delete' && error.response.status === 404)) {
+            const { data } = error.response;
+            await save({
+                ...entry,
+                status: 'failed',
+                error: data?.message || data?.errors?.[0]?.msg || 'The server refused this change'
+            });
+            return true;
+        }
+    }
+    await remove(entry, true);
+    return true;
+};
+
+const replay = async () => {
+    // Without a session the requests would only bounce to the login page
+    if (!localStorage.getItem('token')) return;
+
+    // Take entries one at a time from the live list, as changes keep being
+    // queued and merged while earlier ones are sent. Changes to a task created
+    // offline wait until its create has synced and given it a real ID, and
+    // changes queued behind one that failed wait until it is dealt with, so
+    // a retry can't overwrite them.
+    const tried = new Set();
+    const heldBack = (e) => entries.some((earlier) => earlier.taskId === e.taskId
+        && earlier.id < e.id
+        && earlier.status === 'failed');
+    const ready = (e) => e.status === 'pending'
+        && !tried.has(e.id)
+        && (e.type === 'create' || !isLocalTask({ _id: e.taskId }))
+        && !heldBack(e);
+    let entry;
+    while ((entry = entries.find(ready))) {
+        tried.add(entry.id);
+        if (!(await sendEntry(entry))) break;
+    }
+};
+
+// Send the waiting changes in order, stopping at the first network failure.
+// Changes the server refuses are marked failed, to be retried or discarded.
+export const syncOutbox = () => {
+    if (!syncing) {
+        syncing = replay()
+            .catch((error) => console.error('Sync outbox error:', error))
+            .finally(() => {
+                syncing = null;
+            });
+    }
+    return syncing;
+};
+
+// The refused response is stored under the entry's key, so a retry needs
+// a new one to be tried again
+export const retryEntry = async (id) => {
+    const entry = entries.find((e) => e.id === id);
+    if (entry) {
+        await save({ ...entry, key: newIdempotencyKey(), status: 'pending', error: null });
+        syncOutbox();
+    }
+};
+
+// Finish a conflicted edit with the values picked in the conflict dialog
+export const resolveConflict = async (id, values) => {
+    const entry = entries.find((e) => e.id === id);
+    if (entry?.conflict) {
+        const { merged, current } = entry.conflict;
+        await rebase(entry, current, { ...merged, ...values });
+        syncOutbox();
+    }
+};
+
+export const discardEntry = async (id) => {
+    const entry = entries.find((e) => e.id === id);
+    if (entry) {
+        await remove(entry);
+    }
+};
+
+// Drop the outbox and cached lists, e.g. when signing out
+export const clearOutbox = async () => {
+    setEntries([]);
+    await clearOfflineData();
+};
+
+// Load the outbox and keep sending it: now, whenever the browser comes back
+// online, and every so often while changes are waiting
+export const startSync = async () => {
+    try {
+        setEntries(await getOutbox());
+    } catch (error) {
+        console.error('Load outbox error:', error);
+        return;
+    }
+    window.addEventListener('online', () => syncOutbox());
+    setInterval(() => {
+        if (entries.some((e) => e.status === 'pending')) syncOutbox();
+    }, RETRY_INTERVAL);
+    syncOutbox();
+};
@@ -0,0 +1,159 @@
+import { toFormData, toPayload } from '../utils/taskForm';
+import { toPendingTask } from '../utils/outbox';
+
+jest.mock('./api', () => {
+    let keys = 0;
+    return {
+        newIdempotencyKey: () => `key-${++keys}`,
+        tasksAPI: {
+            createTask: jest.fn(),
+            updateTask: jest.fn(),
+            patchTask: jest.fn(),
+            deleteTask: jest.fn()
+        }
+    };
+});
+
+jest.mock('./offlineStore', () => {
+    let ids = 0;
+    return {
+        getOutbox: async () => [],
+        putOutboxEntry: async (entry) => entry.id ?? ++ids,
+        deleteOutboxEntry: async () => {},
+        clearOfflineData: async () => {}
+    };
+});
+
+const offline = () => Promise.reject(new Error('Network Error'));
+const refused = (status, data) => Promise.reject(Object.assign(new Error('Refused'), { response: { status, data } }));
+const ok = (task) => Promise.resolve({ data: { task } });
+
+const task = {
+    _id: 'task-1',
+    title: 'Write report',
+    description: '',
+    priority: 'Medium',
+    status: 'Todo',
+    dueDate: '2026-10-20T00:00:00.000Z',
+    assignee: null,
+    watchers: [],
+    tags: [],
+    checklist: [],
+    autoComplete: false,
+    recurrence: null,
+    version: 1
+};
+
+// Queue an edit of `task` made offline, as the task page does
+const editOffline = (taskSync, changes) => {
+    const form = { ...toFormData(task), ...changes };
+    return taskSync.updateTask(task, toPayload(form), task.version, toPendingTask(form));
+};
+
+describe('taskSync', () => {
+    let taskSync;
+    let tasksAPI;
+    let entries;
+
+    // Fresh modules for each test, as the outbox lives in module state
+    beforeEach(() => {
+        jest.resetModules();
+        localStorage.setItem('token', 'token');
+        ({ tasksAPI } = require('./api'));
+        taskSync = require('./taskSync');
+        taskSync.subscribeOutbox((next) => {
+            entries = next;
+        });
+    });
+
+    it('queues a double submission made offline once', async () => {
+        tasksAPI.createTask.mockImplementation(offline);
+
+        await taskSync.createTask({ title: 'A' }, { title: 'A' }, 'form-key');
+        await taskSync.syncOutbox();
+        await taskSync.createTask({ title: 'A' }, { title: 'A' }, 'form-key');
+
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({ type: 'create', key: 'form-key', taskId: 'local-form-key' });
+    });
+
+    it('sends edits to a task created offline once the create has synced', async () => {
+        tasksAPI.createTask.mockImplementation(offline);
+        tasksAPI.patchTask.mockImplementation(offline);
+
+        await taskSync.createTask({ title: 'A' }, { title: 'A' }, 'form-key');
+        await taskSync.syncOutbox();
+        await taskSync.patchTask({ _id: 'local-form-key' }, { status: 'Completed' });
+        await taskSync.syncOutbox();
+        expect(tasksAPI.patchTask).not.toHaveBeenCalled();
+
+        tasksAPI.createTask.mockImplementation(() => ok({ _id: 'server-1' }));
+        tasksAPI.patchTask.mockImplementation(() => ok({ _id: 'server-1' }));
+        await taskSync.syncOutbox();
+
+        expect(tasksAPI.createTask).toHaveBeenLastCalledWith({ title: 'A' }, 'form-key');
+        expect(tasksAPI.patchTask).toHaveBeenCalledWith('server-1', { status: 'Completed' }, expect.any(String));
+        expect(entries).toHaveLength(0);
+    });
+
+    it('merges a queued edit into a newer server copy and sends it again', async () => {
+        tasksAPI.updateTask.mockImplementation(offline);
+        await editOffline(taskSync, { title: 'Write the report' });
+        await taskSync.syncOutbox();
+
+        const current = { ...task, priority: 'High', version: 2 };
+        tasksAPI.updateTask
+            .mockImplementationOnce(() => refused(409, { task: current }))
+            .mockImplementationOnce(() => ok(current));
+        await taskSync.syncOutbox();
+
+        const [id, payload, version] = tasksAPI.updateTask.mock.calls[tasksAPI.updateTask.mock.calls.length - 1];
+        expect(id).toBe('task-1');
+        expect(payload).toMatchObject({ title: 'Write the report', priority: 'High' });
+        expect(version).toBe(2);
+        expect(entries).toHaveLength(0);
+    });
+
+    it('holds a conflicting edit for the conflict dialog', async () => {
+        tasksAPI.updateTask.mockImplementation(offline);
+        await editOffline(taskSync, { title: 'Mine' });
+        await taskSync.syncOutbox();
+
+        const current = { ...task, title: 'Theirs', version: 2 };
+        tasksAPI.updateTask.mockImplementationOnce(() => refused(409, { task: current }));
+        await taskSync.syncOutbox();
+
+        expect(entries[0]).toMatchObject({ status: 'failed', conflict: { conflicts: ['title'] } });
+
+        tasksAPI.updateTask.mockImplementation(() => ok(current));
+        await taskSync.resolveConflict(entries[0].id, { title: 'Theirs' });
+        await taskSync.syncOutbox();
+
+        const [, payload, version] = tasksAPI.updateTask.mock.calls[tasksAPI.updateTask.mock.calls.length - 1];
+        expect(payload.title).toBe('Theirs');
+        expect(version).toBe(2);
+        expect(entries).toHaveLength(0);
+    });
+
+    it('holds later changes to a task behind one that failed', async () => {
+        tasksAPI.patchTask.mockImplementation(offline);
+        await taskSync.patchTask(task, { priority: 'High' });
+        await taskSync.syncOutbox();
+
+        tasksAPI.patchTask.mockImplementationOnce(() => refused(403, { message: 'Requires editor access' }));
+        await taskSync.syncOutbox();
+        await taskSync.patchTask(task, { status: 'Completed' });
+        await taskSync.syncOutbox();
+
+        expect(entries.map((e) => e.status)).toEqual(['failed', 'pending']);
+        expect(tasksAPI.patchTask).toHaveBeenCalledTimes(3);
+
+        tasksAPI.patchTask.mockImplementation(() => ok(task));
+        await taskSync.retryEntry(entries[0].id);
+        await taskSync.syncOutbox();
+
+        const sent = tasksAPI.patchTask.mock.calls.slice(3).map(([, changes]) => changes);
+        expect(sent).toEqual([{ priority: 'High' }, { status: 'Completed' }]);
+        expect(entries).toHaveLength(0);
+    });
+});
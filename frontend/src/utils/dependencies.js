@@ -0,0 +1,3 @@
+// Blockers of a task that still hold it up. Needs `blockedBy` populated, as in
+// task API responses.
+export const openBlockers = (task) => (task.blockedBy || []).filter((blocker) => blocker.status !== 'Completed');
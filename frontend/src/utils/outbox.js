@@ -0,0 +1,44 @@
+// Tasks created offline go by a local ID until the server has them
+export const LOCAL_ID_PREFIX = 'local-';
+
+export const isLocalTask = (task) => task._id.startsWith(LOCAL_ID_PREFIX);
+
+// How a task submitted from the form shows while it waits to sync
+export const toPendingTask = (form) => ({
+    ...form,
+    dueDate: `${form.dueDate}T00:00:00.000Z`,
+    checklist: form.checklist.map((item, index) => ({ ...item, _id: item._id || `${LOCAL_ID_PREFIX}${index}` }))
+});
+
+// Show queued changes on a loaded task list: tasks created offline are added
+// at the top when they `match` the list, edited tasks show their queued copy
+// and tasks deleted offline are hidden until the delete syncs (or fails).
+// Affected tasks carry `_sync` ('pending' or 'failed'), `_syncId` (the outbox
+// entry), `_syncError` and `_syncConflict`. A failed change keeps its badge
+// while later changes to the task wait behind it.
+export const applyOutbox = (tasks, entries, matches) => entries.reduce((list, entry) => {
+    const queued = {
+        ...entry.task,
+        _sync: entry.status,
+        _syncId: entry.id,
+        _syncError: entry.error,
+        _syncConflict: entry.conflict || null
+    };
+    const showOver = (task) => (task._sync === 'failed'
+        ? {
+            ...queued,
+            _sync: 'failed',
+            _syncId: task._syncId,
+            _syncError: task._syncError,
+            _syncConflict: task._syncConflict
+        }
+        : queued);
+
+    if (entry.type === 'create') {
+        return matches(queued) ? [queued, ...list.filter((t) => t._id !== entry.taskId)] : list;
+    }
+    if (entry.type === 'delete' && entry.status === 'pending') {
+        return list.filter((t) => t._id !== entry.taskId || t._sync === 'failed');
+    }
+    return list.map((t) => (t._id === entry.taskId ? showOver(t) : t));
+}, tasks);
@@ -0,0 +1,83 @@
+import { applyOutbox, isLocalTask, toPendingTask } from './outbox';
+
+const task = (id, fields = {}) => ({ _id: id, title: `Task ${id}`, status: 'Todo', ...fields });
+
+const entry = (id, type, taskId, fields = {}) => ({
+    id,
+    type,
+    taskId,
+    status: 'pending',
+    task: task(taskId),
+    ...fields
+});
+
+const matchesAll = () => true;
+
+describe('outbox', () => {
+    it('tells tasks created offline by their local ID', () => {
+        expect(isLocalTask({ _id: 'local-form-key' })).toBe(true);
+        expect(isLocalTask({ _id: '6530f1c2a1b2c3d4e5f60718' })).toBe(false);
+    });
+
+    it('shows a submitted form as a task', () => {
+        const pending = toPendingTask({
+            title: 'Write report',
+            dueDate: '2026-10-20',
+            checklist: [{ title: 'Draft', done: false }, { _id: 'item-1', title: 'Review', done: true }]
+        });
+
+        expect(pending.dueDate).toBe('2026-10-20T00:00:00.000Z');
+        expect(pending.checklist.map((item) => item._id)).toEqual(['local-0', 'item-1']);
+    });
+
+    describe('applyOutbox', () => {
+        const tasks = [task('a'), task('b')];
+
+        it('adds tasks created offline at the top when they match the list', () => {
+            const create = entry(1, 'create', 'local-1');
+
+            expect(applyOutbox(tasks, [create], matchesAll).map((t) => t._id)).toEqual(['local-1', 'a', 'b']);
+            expect(applyOutbox(tasks, [create], () => false)).toEqual(tasks);
+        });
+
+        it('shows the queued copy of an edited task with its sync state', () => {
+            const update = entry(2, 'update', 'a', { task: task('a', { title: 'Edited' }) });
+
+            const [shown] = applyOutbox(tasks, [update], matchesAll);
+
+            expect(shown).toMatchObject({ title: 'Edited', _sync: 'pending', _syncId: 2, _syncConflict: null });
+        });
+
+        it('hides tasks deleted offline until the delete fails', () => {
+            const pendingDelete = entry(3, 'delete', 'a');
+            const failedDelete = { ...pendingDelete, status: 'failed', error: 'Requires editor access' };
+
+            expect(applyOutbox(tasks, [pendingDelete], matchesAll).map((t) => t._id)).toEqual(['b']);
+            expect(applyOutbox(tasks, [failedDelete], matchesAll)[0]).toMatchObject({
+                _id: 'a', _sync: 'failed', _syncError: 'Requires editor access'
+            });
+        });
+
+        it('keeps a failed change badged while later changes wait behind it', () => {
+            const conflict = { conflicts: ['title'] };
+            const failed = entry(4, 'update', 'a', {
+                status: 'failed',
+                error: 'Changed by someone else',
+                conflict,
+                task: task('a', { title: 'Mine' })
+            });
+            const later = entry(5, 'patch', 'a', { task: task('a', { title: 'Mine', status: 'Completed' }) });
+            const laterDelete = entry(6, 'delete', 'a');
+
+            const [shown] = applyOutbox(tasks, [failed, later, laterDelete], matchesAll);
+
+            expect(shown).toMatchObject({
+                status: 'Completed',
+                _sync: 'failed',
+                _syncId: 4,
+                _syncError: 'Changed by someone else',
+                _syncConflict: conflict
+            });
+        });
+    });
+});
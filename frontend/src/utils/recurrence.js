@@ -0,0 +1,31 @@
+import { format } from 'date-fns';
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const UNITS = {
+    daily: 'day',
+    weekly: 'week',
+    monthly: 'month'
+};
+
+// Human-readable summary of a recurrence rule, e.g. "Every 2 weeks on Mon, Wed"
+export const describeRecurrence = (rule) => {
+    if (!rule) return '';
+
+    const interval = rule.interval || 1;
+    const unit = UNITS[rule.frequency];
+    let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+    if (rule.frequency === 'weekly' && rule.byWeekday?.length) {
+        text += ` on ${[...rule.byWeekday].sort().map((d) => WEEKDAYS[d]).join(', ')}`;
+    }
+    if (rule.frequency === 'monthly' && rule.byMonthDay) {
+        text += ` on day ${rule.byMonthDay}`;
+    }
+    if (rule.until) {
+        text += `, until ${format(new Date(rule.until), 'MMM dd, yyyy')}`;
+    } else if (rule.count) {
+        text += `, ${rule.count} times`;
+    }
+    return text;
+};
@@ -0,0 +1,42 @@
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Field filters such as status:Todo,"In Progress" or -due:<2026-11-01
+const FILTER_PATTERN = /-?[A-Za-z]+:(?:"[^"]*"|[^\s",]+)(?:,(?:"[^"]*"|[^\s",]+))*/g;
+
+// Terms a search looks for: "quoted phrases" and plain words, minus -excluded
+// ones and field filters
+export const searchTerms = (search = '') => {
+    const terms = [];
+    const pattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+    const text = search.replace(FILTER_PATTERN, ' ');
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const excluded = match[1] || match[3];
+        const term = (match[2] ?? match[4]).trim();
+        if (term && !excluded) {
+            terms.push(term);
+        }
+    }
+    return terms;
+};
+
+// Split text into parts, flagging those that match one of the terms
+export const splitMatches = (text = '', terms = []) => {
+    if (!text || terms.length === 0) {
+        return [{ text, match: false }];
+    }
+
+    // Longest first so a phrase wins over the words inside it
+    const alternatives = [...terms]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp)
+        .join('|');
+    const pattern = new RegExp(`(${alternatives})`, 'gi');
+
+    // Splitting on a capture group alternates unmatched and matched parts
+    return text
+        .split(pattern)
+        .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+        .filter((part) => part.text);
+};
@@ -0,0 +1,14 @@
+// Colors offered for new tags
+export const TAG_COLORS = [
+    '#1976d2',
+    '#388e3c',
+    '#f57c00',
+    '#d32f2f',
+    '#7b1fa2',
+    '#0097a7',
+    '#5d4037',
+    '#757575'
+];
+
+// Cycle through the palette so neighbouring tags differ
+export const nextTagColor = (tags = []) => TAG_COLORS[tags.length % TAG_COLORS.length];
@@ -0,0 +1,81 @@
+import { format } from 'date-fns';
+import { describeRecurrence } from './recurrence';
+
+// Task form fields, in form order, with the labels shown when they conflict
+export const CONFLICT_FIELDS = {
+    title: 'Title',
+    description: 'Description',
+    priority: 'Priority',
+    status: 'Status',
+    dueDate: 'Due date',
+    recurrence: 'Repeat',
+    assignee: 'Assignee',
+    watchers: 'Watchers',
+    tags: 'Tags',
+    checklist: 'Checklist',
+    autoComplete: 'Auto-complete'
+};
+
+// Comparable form of a field's value; people and tags compare by ID
+const normalize = (field, value) => {
+    switch (field) {
+        case 'assignee':
+            return value?._id || null;
+        case 'watchers':
+        case 'tags':
+            return value.map((item) => item._id).sort().join(',');
+        case 'checklist':
+            return JSON.stringify(value.map(({ title, done }) => [title, done]));
+        case 'recurrence':
+            return JSON.stringify(value);
+        default:
+            return value;
+    }
+};
+
+const sameValue = (field, a, b) => normalize(field, a) === normalize(field, b);
+
+// Three-way merge of task form data after a conflicting save: `base` is the
+// version the form was opened with, `mine` the edited form and `theirs` the
+// current server copy. Fields only one side changed are taken from that
+// side; `conflicts` lists the fields both sides changed differently, which
+// are left as `mine` in `merged`.
+export const mergeTaskForms = (base, mine, theirs) => {
+    const merged = { ...mine };
+    const conflicts = [];
+
+    Object.keys(CONFLICT_FIELDS).forEach((field) => {
+        const mineChanged = !sameValue(field, base[field], mine[field]);
+        const theirsChanged = !sameValue(field, base[field], theirs[field]);
+
+        if (theirsChanged && !mineChanged) {
+            merged[field] = theirs[field];
+        } else if (theirsChanged && !sameValue(field, mine[field], theirs[field])) {
+            conflicts.push(field);
+        }
+    });
+    return { merged, conflicts };
+};
+
+// Short display of a form field's value for the conflict dialog
+export const describeFieldValue = (field, value) => {
+    switch (field) {
+        case 'dueDate':
+            return format(new Date(`${value}T00:00:00`), 'MMM dd, yyyy');
+        case 'recurrence':
+            return describeRecurrence(value) || 'Does not repeat';
+        case 'assignee':
+            return value ? value.name : 'Unassigned';
+        case 'watchers':
+        case 'tags':
+            return value.length ? value.map((item) => item.name).join(', ') : 'None';
+        case 'checklist':
+            return value.length
+                ? value.map((item) => `${item.done ? '☑' : '☐'} ${item.title}`).join(', ')
+                : 'No items';
+        case 'autoComplete':
+            return value ? 'On' : 'Off';
+        default:
+            return value || '(empty)';
+    }
+};
@@ -0,0 +1,65 @@
+// Apply a live task event to a loaded task list. `matches` says whether a task
+// belongs in the list under its current scope and filters; tasks that stop
+// matching are dropped and new matches are added at the top or the bottom.
+export const applyTaskEvent = (tasks, { type, task }, { matches, prepend = false }) => {
+    const present = tasks.some((t) => t._id === task._id);
+    let next = tasks;
+
+    if (type === 'deleted' || !matches(task)) {
+        next = tasks.filter((t) => t._id !== task._id);
+    } else if (present) {
+        next = tasks.map((t) => (t._id === task._id ? task : t));
+    } else {
+        next = prepend ? [task, ...tasks] : [...tasks, task];
+    }
+
+    // Keep other tasks' blocker summaries in step, dropping trashed blockers
+    return next.map((t) => {
+        if (!t.blockedBy?.some((blocker) => blocker._id === task._id)) return t;
+        const blockedBy = type === 'deleted'
+            ? t.blockedBy.filter((blocker) => blocker._id !== task._id)
+            : t.blockedBy.map((blocker) => (
+                blocker._id === task._id ? { ...blocker, title: task.title, status: task.status } : blocker
+            ));
+        return { ...t, blockedBy };
+    });
+};
+
+const STATUS_COUNTS = {
+    Todo: 'pending_tasks',
+    'In Progress': 'in_progress_tasks',
+    Completed: 'completed_tasks'
+};
+
+// Apply a live task event to the analytics user stats. `inScope` says whether
+// a task counts towards them (the personal or project scope on display).
+export const applyStatsEvent = (stats, { type, task, previous }, inScope) => {
+    const next = {
+        ...stats,
+        status_distribution: { ...stats.status_distribution },
+        priority_distribution: { ...stats.priority_distribution }
+    };
+
+    const count = (counted, delta) => {
+        if (!inScope(counted)) return;
+        next.total_tasks += delta;
+        next.status_distribution[counted.status] += delta;
+        next.priority_distribution[counted.priority] += delta;
+        next[STATUS_COUNTS[counted.status]] += delta;
+    };
+
+    if (type === 'created') {
+        count(task, 1);
+    } else if (type === 'deleted') {
+        count(task, -1);
+    } else if (previous) {
+        // Updates without a previous snapshot (e.g. attachments) don't move the stats
+        count({ ...task, ...previous }, -1);
+        count(task, 1);
+    }
+
+    next.completion_rate = next.total_tasks > 0
+        ? Math.round((next.completed_tasks / next.total_tasks) * 10000) / 100
+        : 0;
+    return next;
+};
@@ -0,0 +1,39 @@
+import { format } from 'date-fns';
+
+// Task form values and their conversion to and from the API's task shape
+export const emptyForm = () => ({
+    title: '',
+    description: '',
+    priority: 'Medium',
+    status: 'Todo',
+    dueDate: format(new Date(), 'yyyy-MM-dd'),
+    assignee: null,
+    watchers: [],
+    tags: [],
+    checklist: [],
+    autoComplete: false,
+    recurrence: null
+});
+
+// Form values for an existing task
+export const toFormData = (task) => ({
+    title: task.title,
+    description: task.description || '',
+    priority: task.priority,
+    status: task.status,
+    dueDate: format(new Date(task.dueDate), 'yyyy-MM-dd'),
+    assignee: task.assignee || null,
+    watchers: task.watchers || [],
+    tags: task.tags || [],
+    checklist: (task.checklist || []).map(({ _id, title, done }) => ({ _id, title, done })),
+    autoComplete: !!task.autoComplete,
+    recurrence: task.recurrence || null
+});
+
+// The API takes user and tag IDs rather than the picked objects
+export const toPayload = (formData) => ({
+    ...formData,
+    assignee: formData.assignee ? formData.assignee._id : null,
+    watchers: formData.watchers.map((w) => w._id),
+    tags: formData.tags.map((t) => t._id)
+});